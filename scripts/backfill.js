@@ -6,8 +6,10 @@
  * Run once, then use webhooks for real-time updates.
  *
  * Usage:
- *   node scripts/backfill.js          # Normal sync
- *   node scripts/backfill.js --force  # Delete DB and resync
+ *   node scripts/backfill.js                  # Normal sync (TOKEN_MINT)
+ *   node scripts/backfill.js --force          # Delete DB and resync
+ *   node scripts/backfill.js --mint <mint>    # Backfill another tracked token
+ *   node scripts/backfill.js --mint <mint> --force  # Clear that token's data and resync
  */
 
 import { existsSync, unlinkSync } from 'fs';
@@ -17,6 +19,8 @@ import { fileURLToPath } from 'url';
 import db from '../src/db.js';
 import helius from '../src/helius.js';
 import calculator from '../src/calculator.js';
+import clusters from '../src/clusters.js';
+import bundles from '../src/bundles.js';
 import { loadEnv, log, delay } from '../src/utils.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -26,17 +30,31 @@ loadEnv();
 
 const TOKEN_MINT = process.env.TOKEN_MINT;
 
+/**
+ * Read --mint <address> from argv (defaults to TOKEN_MINT)
+ */
+function getMintArg() {
+  const index = process.argv.indexOf('--mint');
+  return index !== -1 ? process.argv[index + 1] : TOKEN_MINT;
+}
+
 async function main() {
   const startTime = Date.now();
   const forceResync = process.argv.includes('--force');
+  const mint = getMintArg();
+  const isPrimary = mint === TOKEN_MINT;
+
+  if (!mint) {
+    throw new Error('No mint: set TOKEN_MINT or pass --mint <address>');
+  }
 
   log('INFO', '═══════════════════════════════════════════');
   log('INFO', 'K-METRIC BACKFILL STARTED');
-  log('INFO', `Token: ${TOKEN_MINT}`);
+  log('INFO', `Token: ${mint}${isPrimary ? ' (primary)' : ''}`);
   log('INFO', '═══════════════════════════════════════════');
 
-  // Force resync: delete database
-  if (forceResync && existsSync(DB_PATH)) {
+  // Force resync of primary token: delete database
+  if (forceResync && isPrimary && existsSync(DB_PATH)) {
     log('WARN', 'Force resync: deleting existing database...');
     unlinkSync(DB_PATH);
   }
@@ -44,25 +62,35 @@ async function main() {
   // Initialize database
   await db.getDb();
 
+  // Register as tracked token (tier 1)
+  await db.trackToken({ mint });
+
+  // Force resync of a secondary token: clear only its rows
+  if (forceResync && !isPrimary) {
+    log('WARN', `Force resync: clearing local data for ${mint.slice(0, 8)}...`);
+    await db.clearTokenData(mint);
+  }
+
   // Check if already synced
-  const lastSync = await db.getSyncState('last_full_sync');
+  const lastSync = await db.getSyncState('last_full_sync', mint);
   if (lastSync && !forceResync) {
     log('INFO', `Already synced on ${new Date(parseInt(lastSync) * 1000).toISOString()}`);
     log('INFO', 'Use --force to resync from scratch');
 
     // Just recalculate K
-    const kMetric = await calculator.calculateAndSave();
+    const kMetric = await calculator.calculateAndSave(mint);
     log('INFO', `Current K: ${kMetric.k}%`);
     return;
   }
 
   // Step 1: Fetch current holders
   log('INFO', 'Step 1/3: Fetching current holders...');
-  const holders = await helius.fetchHolders();
+  const holders = await helius.fetchHolders(mint);
 
   // Update wallet balances
   for (const holder of holders) {
     await db.upsertWallet({
+      mint,
       address: holder.address,
       balance: holder.balance,
       firstBuyTs: null,
@@ -83,7 +111,7 @@ async function main() {
 
   await helius.streamMintTransactions(async (transactions) => {
     for (const tx of transactions) {
-      const changes = helius.parseTransaction(tx);
+      const changes = await clusters.markLinkedTransfers(mint, helius.parseTransaction(tx, mint));
 
       for (const change of changes) {
         txCount++;
@@ -100,30 +128,49 @@ async function main() {
             firstBuyAmount: 0,
             totalReceived: 0,
             totalSent: 0,
+            bought: 0,
+            sold: 0,
+            transferredIn: 0,
+            transferredOut: 0,
+            linkedOut: 0,
+            airdropped: 0,
           });
         }
 
         const data = walletData.get(change.wallet);
+        const flows = db.transferFlows(change.kind, change.amountChange, change.linked);
 
         if (change.amountChange > 0) {
-          // Buy/receive
           data.totalReceived += change.amountChange;
-          if (!data.firstBuyTs) {
-            data.firstBuyTs = change.blockTime;
-            data.firstBuyAmount = change.amountChange;
-          }
         } else {
-          // Sell/send
           data.totalSent += Math.abs(change.amountChange);
         }
 
-        // Record transaction
-        await db.recordTransaction(change);
+        // Only purchases (swap / CEX withdrawal) count as first buy
+        if (flows.isPurchase && !data.firstBuyTs) {
+          data.firstBuyTs = change.blockTime;
+          data.firstBuyAmount = change.amountChange;
+        }
+        data.bought += flows.bought;
+        data.sold += flows.sold;
+        data.transferredIn += flows.transferredIn;
+        data.transferredOut += flows.transferredOut;
+        data.linkedOut += flows.linkedOut;
+        data.airdropped += flows.airdropped;
+
+        // Record transaction (keyed per wallet, same as polling sync)
+        await db.recordTransaction({
+          ...change,
+          signature: `${change.signature}-${change.wallet}`,
+        });
       }
+
+      // Peer transfers link sender and recipient (entity clustering)
+      await clusters.recordTransferLinks(mint, changes);
     }
 
     return transactions.length;
-  });
+  }, null, mint);
 
   log('INFO', `Processed ${txCount} token transfers`);
 
@@ -136,24 +183,39 @@ async function main() {
     const balance = holder?.balance || 0;
 
     await db.upsertWallet({
+      mint,
       address,
       balance,
       firstBuyTs: data.firstBuyTs,
       firstBuyAmount: data.firstBuyAmount,
       received: data.totalReceived,
       sent: data.totalSent,
+      bought: data.bought,
+      sold: data.sold,
+      transferredIn: data.transferredIn,
+      transferredOut: data.transferredOut,
+      linkedOut: data.linkedOut,
+      airdropped: data.airdropped,
       lastTxSig: null,
     });
   }
 
   // Mark sync complete
-  await db.setSyncState('last_full_sync', Math.floor(Date.now() / 1000).toString());
-  await db.setSyncState('first_tx_time', firstTxTime?.toString() || '0');
-  await db.setSyncState('total_transactions', txCount.toString());
+  await db.setSyncState('last_full_sync', Math.floor(Date.now() / 1000).toString(), mint);
+  await db.setSyncState('first_tx_time', firstTxTime?.toString() || '0', mint);
+  await db.setSyncState('total_transactions', txCount.toString(), mint);
+
+  // Use first transaction as launch time if none configured (OG window)
+  if (firstTxTime && !(await db.getTokenLaunchTs(mint))) {
+    await db.trackToken({ mint, launchTs: firstTxTime });
+  }
+
+  // Flag launch bundles (same-slot / same-amount first buys)
+  await bundles.detectBundles(mint);
 
   // Calculate and save initial K-metric
   log('INFO', 'Calculating initial K-metric...');
-  const kMetric = await calculator.calculateAndSave();
+  const kMetric = await calculator.calculateAndSave(mint);
 
   const elapsed = Math.round((Date.now() - startTime) / 1000);
 
@@ -166,7 +228,7 @@ async function main() {
   log('INFO', '═══════════════════════════════════════════');
 
   // Print stats
-  const stats = await db.getStats();
+  const stats = await db.getStats(mint);
   console.log('\nDatabase stats:', stats);
 }
 
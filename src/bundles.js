@@ -0,0 +1,154 @@
+/**
+ * Bundle Detection (launch snipers)
+ *
+ * PumpFun launches are often bought by bundles: many wallets controlled by one
+ * actor buying in the same slot, which distorts early-holder and OG stats.
+ * Detection runs on the local transactions ledger over each wallet's first
+ * purchase within BUNDLE_WINDOW_SECONDS of launch. Signals:
+ *   - same_slot:     >= BUNDLE_MIN_WALLETS first buys in one slot
+ *   - same_amount:   >= BUNDLE_MIN_WALLETS first buys of an identical amount
+ *   - common_funder: >= 2 early buyers with the same SOL funder (see clusters.js)
+ *
+ * Wallets connected by any signal form one bundle (id = smallest member address).
+ * K can then count bundles as-is, collapsed into one holder, or excluded.
+ */
+
+import db from './db.js';
+import helius from './helius.js';
+import clusters from './clusters.js';
+import { log, loadEnv } from './utils.js';
+
+loadEnv();
+
+const BUNDLE_WINDOW_SECONDS = parseInt(process.env.BUNDLE_WINDOW_SECONDS || '600');
+const BUNDLE_MIN_WALLETS = parseInt(process.env.BUNDLE_MIN_WALLETS || '3');
+
+// How bundled wallets are counted in K
+export const BUNDLE_POLICIES = ['include', 'collapse', 'exclude'];
+
+/**
+ * Link every member of a group to the first one (connectivity is enough)
+ */
+function starLinks(members, signal) {
+  return members.slice(1).map((member) => ({ a: members[0], b: member, signal }));
+}
+
+/**
+ * Group wallets by a key and keep groups of at least `min` wallets
+ */
+function groupBy(entries, keyOf, min) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry.wallet);
+  }
+  return [...groups.values()].filter((wallets) => wallets.length >= min);
+}
+
+/**
+ * Detect bundle groups for a mint and store the flags on wallets
+ * @returns {Promise<Object>} { groups, bundledWallets, bundledSupplyPct, window }
+ */
+export async function detectBundles(mint = db.getPrimaryMint()) {
+  const bounds = await db.getLedgerBounds(mint);
+  if (!bounds.entries) {
+    return { groups: [], bundledWallets: 0, bundledSupplyPct: 0, window: null };
+  }
+
+  const firstEntry = (await db.getLedger(mint, bounds.first_slot))[0];
+  const launchTs = (await db.getTokenLaunchTs(mint)) || firstEntry?.block_time || 0;
+  const untilTs = launchTs + BUNDLE_WINDOW_SECONDS;
+
+  // First purchase per wallet within the launch window
+  const firstBuys = new Map();
+  for (const entry of await db.getPurchases(mint, untilTs)) {
+    if (!firstBuys.has(entry.wallet)) firstBuys.set(entry.wallet, entry);
+  }
+  const buys = [...firstBuys.values()];
+
+  const links = [
+    ...groupBy(buys, (b) => b.slot, BUNDLE_MIN_WALLETS).flatMap((g) => starLinks(g, 'same_slot')),
+    ...groupBy(buys, (b) => String(b.amount_change), BUNDLE_MIN_WALLETS).flatMap((g) => starLinks(g, 'same_amount')),
+  ];
+
+  // Common funder among early buyers (CEX hot wallets fund everyone)
+  const funding = await db.getFundingForMint(mint);
+  const funded = buys
+    .filter((b) => funding.has(b.wallet) && !helius.isCexWallet(funding.get(b.wallet)))
+    .map((b) => ({ ...b, funder: funding.get(b.wallet) }));
+  links.push(...groupBy(funded, (b) => b.funder, 2).flatMap((g) => starLinks(g, 'common_funder')));
+
+  const bundleOf = clusters.buildClusters(links);
+  await db.setWalletBundles(mint, bundleOf);
+
+  // Describe groups with their signals and current supply share
+  const wallets = await db.getWallets(1, mint);
+  const balanceOf = new Map(wallets.map((w) => [w.address, w.current_balance]));
+  const totalSupply = wallets.reduce((sum, w) => sum + w.current_balance, 0n);
+
+  const groups = new Map();
+  for (const [address, bundleId] of bundleOf) {
+    if (!groups.has(bundleId)) {
+      groups.set(bundleId, { bundle_id: bundleId, wallets: [], signals: new Set(), slot: null, balance: 0n });
+    }
+    const group = groups.get(bundleId);
+    group.wallets.push(address);
+    group.balance += balanceOf.get(address) || 0n;
+    const slot = firstBuys.get(address)?.slot;
+    if (slot !== undefined && (group.slot === null || slot < group.slot)) group.slot = slot;
+  }
+  for (const link of links) {
+    groups.get(bundleOf.get(link.a)).signals.add(link.signal);
+  }
+
+  const bundledBalance = [...groups.values()].reduce((sum, g) => sum + g.balance, 0n);
+  const bundledSupplyPct = supplyPct(bundledBalance, totalSupply);
+
+  log('INFO', `[Bundles] ${mint.slice(0, 8)}: ${groups.size} bundles, ${bundleOf.size} wallets, ${bundledSupplyPct}% of supply`);
+
+  return {
+    groups: [...groups.values()]
+      .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0))
+      .map((g) => ({
+        bundle_id: g.bundle_id,
+        wallets: g.wallets.sort(),
+        size: g.wallets.length,
+        signals: [...g.signals],
+        first_slot: g.slot,
+        balance: g.balance.toString(),
+        supply_pct: supplyPct(g.balance, totalSupply),
+      })),
+    bundledWallets: bundleOf.size,
+    bundledSupplyPct,
+    window: { from: launchTs, to: untilTs },
+  };
+}
+
+/**
+ * Share of supply in percent (1 decimal)
+ */
+function supplyPct(balance, total) {
+  if (total <= 0n) return 0;
+  return Number((balance * 1000n) / total) / 10;
+}
+
+/**
+ * Share of the given wallets' supply held by bundled wallets (bundle_id set)
+ * @param {Object[]} wallets - Wallet rows (BigInt current_balance)
+ */
+export function bundledSupplyPct(wallets) {
+  let total = 0n;
+  let bundled = 0n;
+  for (const wallet of wallets) {
+    total += wallet.current_balance;
+    if (wallet.bundle_id) bundled += wallet.current_balance;
+  }
+  return supplyPct(bundled, total);
+}
+
+export default {
+  BUNDLE_POLICIES,
+  detectBundles,
+  bundledSupplyPct,
+};
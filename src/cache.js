@@ -178,6 +178,12 @@ export const holderCache = new LRUCache({
   ttl: 2 * 60 * 1000,
 });
 
+// Mint platform cache (launch detections, evicted mints are reloaded from token_platforms)
+export const platformCache = new LRUCache({
+  maxSize: parseInt(process.env.PLATFORM_CACHE_SIZE || '50000'),
+  ttl: 24 * 60 * 60 * 1000,
+});
+
 // Rate limit cache (1 minute window)
 export const rateLimitCache = new LRUCache({
   maxSize: 50000, // Support 50k unique IPs
@@ -198,6 +204,7 @@ export function getAllCacheStats() {
     wallet: walletCache.getStats(),
     token: tokenCache.getStats(),
     holder: holderCache.getStats(),
+    platform: platformCache.getStats(),
     rateLimit: rateLimitCache.getStats(),
   };
 }
@@ -212,6 +219,7 @@ export function cleanupAllCaches() {
   total += walletCache.cleanup();
   total += tokenCache.cleanup();
   total += holderCache.cleanup();
+  total += platformCache.cleanup();
   total += rateLimitCache.cleanup();
   return total;
 }
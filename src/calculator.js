@@ -3,6 +3,7 @@
  *
  * Calculates holder conviction from local SQLite data.
  * No API calls - instant calculation.
+ * Works for any tracked (tier 1) token; defaults to TOKEN_MINT.
  *
  * Uses $1 USD threshold (from sync) or MIN_BALANCE fallback.
  */
@@ -11,24 +12,29 @@ import db from './db.js';
 import { pct, log, loadEnv } from './utils.js';
 import webhooks from './webhooks.js';
 import ws from './ws.js';
+import scoring from './scoring.js';
+import clusters from './clusters.js';
+import labels from './labels.js';
+import bundles from './bundles.js';
 
 loadEnv();
 
 const MIN_BALANCE_FALLBACK = parseInt(process.env.MIN_BALANCE || '1000');
 
-// Track last K for change detection (protected by mutex)
-let lastK = null;
-let calculationInProgress = false;
-const TOKEN_LAUNCH_TS = parseInt(process.env.TOKEN_LAUNCH_TS || '0');
-const OG_EARLY_WINDOW = parseInt(process.env.OG_EARLY_WINDOW || '21') * 86400; // days to seconds
-const OG_HOLD_THRESHOLD = parseInt(process.env.OG_HOLD_THRESHOLD || '55') * 86400; // days to seconds
+// Track last K per mint for change detection (protected by per-mint mutex)
+const lastK = new Map();
+const calculationsInProgress = new Set();
+
+// K variant driving k_change webhooks / k WebSocket events (k | k_supply | k_time)
+const K_TRIGGER_FIELDS = { k: 'k', k_supply: 'kSupply', k_time: 'kTime' };
+const K_TRIGGER_METRIC = K_TRIGGER_FIELDS[process.env.K_TRIGGER_METRIC] ? process.env.K_TRIGGER_METRIC : 'k';
 
 /**
  * Get minimum balance threshold ($1 USD or fallback)
  */
-async function getMinBalance() {
+async function getMinBalance(mint) {
   // Try to get $1 threshold from sync state
-  const threshold = await db.getSyncState('one_usd_threshold');
+  const threshold = await db.getSyncState('one_usd_threshold', mint);
   if (threshold) {
     return parseInt(threshold);
   }
@@ -37,68 +43,102 @@ async function getMinBalance() {
 }
 
 /**
- * Calculate K-Metric from stored wallet data
- * @returns {Object} K-metric data
+ * Analyze a single wallet (BigInt fields as returned by db.getWallets())
+ * @param {Object} wallet - Wallet row
+ * @param {number} now - Reference time (unix seconds) for hold days / OG
+ * @param {number} launchTs - Token launch time (unix seconds)
+ * @param {Object} model - Scoring model (see scoring.js)
  */
-export async function calculate() {
-  log('INFO', 'Calculating K-Metric...');
-  const startTime = Date.now();
+function analyzeWallet(wallet, now, launchTs, model) {
+  const firstBuy = wallet.first_buy_amount || wallet.current_balance;
+  const sold = wallet.sold ?? wallet.total_sent ?? 0n;
+  const balance = wallet.current_balance;
 
-  // Get $1 threshold or fallback
-  const minBalance = await getMinBalance();
+  // Calculate retention ratio under the model (BigInt converted for floating point)
+  // Only purchases form the basis: a wallet funded purely by transfers has no first buy
+  const retention = scoring.computeRetention({
+    current: balance,
+    firstBuy: wallet.first_buy_amount,
+    totalReceived: wallet.total_received,
+    bought: wallet.bought,
+    transferredIn: wallet.transferred_in,
+    linkedOut: wallet.linked_out,
+    airdropped: wallet.airdropped,
+  }, model);
 
-  // Get all wallets with minimum balance
-  const wallets = await db.getWallets(minBalance);
+  // Calculate hold days
+  const holdDays = wallet.first_buy_ts
+    ? Math.floor((now - wallet.first_buy_ts) / 86400)
+    : 0;
 
-  if (wallets.length === 0) {
-    log('WARN', 'No wallets found with minimum balance');
-    return null;
-  }
+  // Drawdown from peak (pumped then dumped)
+  const peakPosition = { current: balance, peak: wallet.peak_balance, firstBuy };
 
-  const results = [];
+  return {
+    address: wallet.address,
+    balance: Number(balance),
+    firstBuy: Number(firstBuy),
+    firstBuyTs: wallet.first_buy_ts || null,
+    sent: Number(sold),
+    retention,
+    peakRetention: scoring.computePeakRetention(peakPosition),
+    isDistributor: scoring.isDistributor(peakPosition, model),
+    classification: scoring.classifyRetention(retention, model),
+    neverSold: sold === 0n,
+    holdDays,
+    isOG: scoring.isOG(wallet.first_buy_ts, launchTs, now, model),
+  };
+}
 
-  for (const wallet of wallets) {
-    // All values are BigInt from db.getWallets()
-    const firstBuy = wallet.first_buy_amount || wallet.current_balance;
-    const sent = wallet.total_sent || 0n;
-    const balance = wallet.current_balance;
-
-    // Calculate retention ratio (convert BigInt to Number for floating point)
-    const firstBuyNum = Number(firstBuy);
-    const balanceNum = Number(balance);
-    const retention = firstBuyNum > 0 ? balanceNum / firstBuyNum : 1;
-
-    // Calculate hold days
-    const now = Math.floor(Date.now() / 1000);
-    const holdDays = wallet.first_buy_ts
-      ? Math.floor((now - wallet.first_buy_ts) / 86400)
-      : 0;
-
-    // OG = early buyer (within first 21 days) AND held for 55+ days
-    const isEarlyBuyer = wallet.first_buy_ts && wallet.first_buy_ts <= TOKEN_LAUNCH_TS + OG_EARLY_WINDOW;
-    const hasHeldLongEnough = wallet.first_buy_ts && (now - wallet.first_buy_ts) >= OG_HOLD_THRESHOLD;
-    const isOG = isEarlyBuyer && hasHeldLongEnough;
-
-    results.push({
-      address: wallet.address,
-      balance: balanceNum,
-      firstBuy: firstBuyNum,
-      sent: Number(sent),
-      retention,
-      neverSold: sent === 0n,
-      holdDays,
-      isOG,
-    });
+/**
+ * Per-holder breakdown (largest balances first)
+ */
+function holdersDetail(results) {
+  return [...results]
+    .sort((a, b) => b.balance - a.balance)
+    .map((r) => ({
+      address: r.address,
+      balance: r.balance,
+      firstBuy: r.firstBuy,
+      firstBuyTs: r.firstBuyTs,
+      retention: Math.round(r.retention * 1000) / 1000,
+      peakRetention: Math.round(r.peakRetention * 1000) / 1000,
+      classification: r.classification,
+      isDistributor: r.isDistributor,
+      neverSold: r.neverSold,
+      holdDays: r.holdDays,
+      isOG: r.isOG,
+    }));
+}
+
+/**
+ * Weighted K: share of total weight held by maintained/accumulating wallets
+ * Supply-weighted uses balances, time-weighted uses hold days (min 1).
+ */
+function weightedK(results, weightOf, model) {
+  let total = 0;
+  let maintained = 0;
+  for (const r of results) {
+    const weight = weightOf(r);
+    total += weight;
+    if (scoring.isMaintained(r.retention, model)) maintained += weight;
   }
+  return pct(maintained, total);
+}
 
+/**
+ * Build the K-metric breakdown from analyzed wallets
+ */
+function summarize(results, model) {
   const total = results.length;
 
   // Classify holders
   const neverSold = results.filter((r) => r.neverSold).length;
-  const accumulators = results.filter((r) => r.retention >= 1.5).length;
-  const maintained = results.filter((r) => r.retention >= 1.0).length;
-  const partialSellers = results.filter((r) => r.retention >= 0.5 && r.retention < 1.0).length;
-  const majorSellers = results.filter((r) => r.retention < 0.5).length;
+  const accumulators = results.filter((r) => r.classification === 'accumulator').length;
+  const maintained = results.filter((r) => scoring.isMaintained(r.retention, model)).length;
+  const partialSellers = results.filter((r) => r.classification === 'reducer').length;
+  const majorSellers = results.filter((r) => r.classification === 'extractor').length;
+  const distributors = results.filter((r) => r.isDistributor).length;
 
   // K = maintained + accumulators (those who kept or grew their position)
   const k = pct(maintained, total);
@@ -108,14 +148,13 @@ export async function calculate() {
     results.reduce((sum, r) => sum + r.holdDays, 0) / total
   );
 
-  // OG holders (early buyers who held 55+ days)
+  // OG holders (early buyers who held long enough)
   const og = results.filter((r) => r.isOG).length;
 
-  const elapsed = Date.now() - startTime;
-  log('INFO', `K-Metric calculated: K=${k}% (${elapsed}ms)`);
-
-  const data = {
+  return {
     k,
+    kSupply: weightedK(results, (r) => r.balance, model),
+    kTime: weightedK(results, (r) => Math.max(r.holdDays, 1), model),
     holders: total,
     neverSold,
     neverSoldPct: pct(neverSold, total),
@@ -127,51 +166,374 @@ export async function calculate() {
     partialSellersPct: pct(partialSellers, total),
     majorSellers,
     majorSellersPct: pct(majorSellers, total),
+    distributors,
+    distributorsPct: pct(distributors, total),
     avgHoldDays,
     og,
     ogPct: pct(og, total),
+  };
+}
+
+// K is computed per wallet, or per entity (cluster of linked wallets, see clusters.js)
+export const CALCULATION_MODES = ['wallet', 'entity'];
+
+// BigInt wallet fields summed when merging a cluster into one entity
+const ENTITY_SUM_FIELDS = [
+  'first_buy_amount', 'total_received', 'total_sent', 'bought', 'sold',
+  'transferred_in', 'transferred_out', 'airdropped', 'current_balance', 'peak_balance',
+];
+
+/**
+ * Merge a group of wallets (cluster or bundle) into one entity row
+ * Transfers between members cancel out in retention (received ones summed in transferred_in,
+ * sent ones in linked_out, see clusters.getLinkedOutflows); peak is the sum of member peaks (upper bound).
+ * @param {Map<string, bigint>} linkedOut - address -> transfers sent within the group or to a linked wallet
+ */
+function mergeEntity(groupId, members, linkedOut = new Map()) {
+  if (members.length === 1) return members[0];
+
+  const entity = {
+    address: groupId,
+    members: members.reduce((count, w) => count + (w.members || 1), 0),
+    bundle_id: members.find((w) => w.bundle_id)?.bundle_id || null,
+  };
+  for (const field of ENTITY_SUM_FIELDS) {
+    entity[field] = members.reduce((sum, w) => sum + (w[field] ?? 0n), 0n);
+  }
+  entity.linked_out = members.reduce((sum, w) => sum + (linkedOut.get(w.address) ?? w.linked_out ?? 0n), 0n);
+  const firstBuys = members.map((w) => w.first_buy_ts).filter(Boolean);
+  entity.first_buy_ts = firstBuys.length > 0 ? Math.min(...firstBuys) : null;
+  return entity;
+}
+
+/**
+ * Merge wallets sharing a group id (ungrouped wallets stay as-is)
+ * @param {Object[]} wallets - Wallet rows
+ * @param {Function} groupOf - wallet -> group id or null
+ */
+async function groupWallets(mint, wallets, groupOf) {
+  const groupMap = new Map();
+  const groups = new Map();
+  for (const wallet of wallets) {
+    const group = groupOf(wallet);
+    if (group) groupMap.set(wallet.address, group);
+    const groupId = group || wallet.address;
+    if (!groups.has(groupId)) groups.set(groupId, []);
+    groups.get(groupId).push(wallet);
+  }
+  // Sends within the group or to a wallet of the same owner
+  const linkedOut = groupMap.size > 0
+    ? await clusters.getLinkedOutflows(mint, [groupMap, await clusters.getOwnerClusterMap(mint)])
+    : new Map();
+  return [...groups].map(([groupId, members]) => mergeEntity(groupId, members, linkedOut));
+}
+
+/**
+ * Calculate K-Metric from stored wallet data
+ * @param {string} mint - Tracked token mint (defaults to TOKEN_MINT)
+ * @param {Object} options - { model, mode, bundles }
+ *   model: scoring model version (defaults to SCORING_MODEL)
+ *   mode: 'wallet' (default) or 'entity' (linked wallets merged, holders = entities)
+ *   bundles: 'include' (default), 'collapse' (one holder per bundle) or 'exclude' (see bundles.js)
+ *   includeHolders: add per-holder holdersDetail
+ * @returns {Object} K-metric data
+ */
+export async function calculate(mint = db.getPrimaryMint(), options = {}) {
+  const model = scoring.getModel(options.model);
+  if (!model) throw new Error(`Unknown scoring model: ${options.model}`);
+  const mode = options.mode || 'wallet';
+  if (!CALCULATION_MODES.includes(mode)) throw new Error(`Unknown calculation mode: ${mode}`);
+  const bundlePolicy = options.bundles || 'include';
+  if (!bundles.BUNDLE_POLICIES.includes(bundlePolicy)) throw new Error(`Unknown bundle policy: ${bundlePolicy}`);
+
+  log('INFO', `Calculating K-Metric for ${mint.slice(0, 8)}...`);
+  const startTime = Date.now();
+
+  // Get $1 threshold or fallback
+  const minBalance = await getMinBalance(mint);
+  const min = BigInt(minBalance);
+
+  // Grouped wallets can reach min balance together: load all of them
+  const isGrouped = mode === 'entity' || bundlePolicy === 'collapse';
+  const { included, excluded: labelled } = await labels.splitExcluded(
+    mint,
+    await db.getWallets(isGrouped ? 0 : minBalance, mint)
+  );
+  const excluded = labelled.filter((entry) => entry.balance >= min);
+  const bundledSupplyPct = bundles.bundledSupplyPct(included.filter((w) => w.current_balance >= min));
+
+  // Bundles first (collapsed bundle members may also be clustered)
+  let wallets = included;
+  if (bundlePolicy === 'exclude') {
+    wallets = wallets.filter((w) => !w.bundle_id);
+  } else if (bundlePolicy === 'collapse') {
+    wallets = await groupWallets(mint, wallets, (w) => w.bundle_id);
+  }
+
+  if (mode === 'entity') {
+    const { clusterOf } = await clusters.getClusterMap(mint);
+    wallets = await groupWallets(mint, wallets, (w) => clusterOf.get(w.address));
+  }
+
+  wallets = wallets.filter((w) => w.current_balance >= min);
+  const clusteredWallets = mode === 'entity'
+    ? wallets.filter((w) => w.members > 1).reduce((count, w) => count + w.members, 0)
+    : 0;
+
+  if (wallets.length === 0) {
+    log('WARN', `No wallets found with minimum balance for ${mint.slice(0, 8)}`);
+    return null;
+  }
+
+  const launchTs = await db.getTokenLaunchTs(mint);
+  const now = Math.floor(Date.now() / 1000);
+
+  const results = wallets.map((wallet) => analyzeWallet(wallet, now, launchTs, model));
+  const summary = summarize(results, model);
+
+  const elapsed = Date.now() - startTime;
+  log('INFO', `K-Metric calculated for ${mint.slice(0, 8)}: K=${summary.k}% (${elapsed}ms)`);
+
+  const price = parseFloat(await db.getSyncState('token_price', mint)) || null;
+
+  const data = {
+    mint,
+    ...summary,
+    minBalance,
+    price,
+    model_version: model.version,
+    mode,
+    bundles: bundlePolicy,
+    bundledSupplyPct,
+    exclusions: labels.summarizeExclusions(excluded),
     calculatedAt: new Date().toISOString(),
     calculationTimeMs: elapsed,
   };
 
+  if (mode === 'entity') {
+    data.clusteredWallets = clusteredWallets;
+  }
+
+  if (options.includeHolders) {
+    data.holdersDetail = holdersDetail(results);
+  }
+
+  return data;
+}
+
+/**
+ * Parse a stored amount_change (TEXT) into BigInt
+ */
+function toBigInt(value) {
+  try {
+    return BigInt(value || '0');
+  } catch {
+    return BigInt(Math.trunc(Number(value) || 0));
+  }
+}
+
+/**
+ * Replay the transaction ledger up to a slot into wallet state
+ * Mirrors the live rules: first purchase = first buy, flows split by transfer kind
+ * (entries recorded before kinds were stored count as swaps), transfers to a wallet of
+ * the same owner cluster counted as linked outflows.
+ * @param {Map<string, string>} clusterOf - Owner clusters (see clusters.getOwnerClusterMap)
+ * @returns {Map<string, Object>} address -> wallet row (BigInt fields)
+ */
+function replayLedger(entries, clusterOf = new Map()) {
+  const wallets = new Map();
+  const linkedSends = clusters.linkedLedgerSends(entries, clusterOf);
+
+  for (const entry of entries) {
+    const change = toBigInt(entry.amount_change);
+    if (change === 0n) continue;
+
+    let wallet = wallets.get(entry.wallet);
+    if (!wallet) {
+      wallet = {
+        address: entry.wallet,
+        first_buy_ts: null,
+        first_buy_amount: 0n,
+        total_received: 0n,
+        total_sent: 0n,
+        bought: 0n,
+        sold: 0n,
+        transferred_in: 0n,
+        transferred_out: 0n,
+        linked_out: 0n,
+        airdropped: 0n,
+        current_balance: 0n,
+        peak_balance: 0n,
+        last_slot: entry.slot,
+      };
+      wallets.set(entry.wallet, wallet);
+    }
+
+    const flows = db.transferFlows(entry.kind, change, linkedSends.has(entry));
+    wallet.bought += flows.bought;
+    wallet.sold += flows.sold;
+    wallet.transferred_in += flows.transferredIn;
+    wallet.transferred_out += flows.transferredOut;
+    wallet.linked_out += flows.linkedOut;
+    wallet.airdropped += flows.airdropped;
+
+    if (change > 0n) {
+      wallet.total_received += change;
+      if (flows.isPurchase && !wallet.first_buy_ts) {
+        wallet.first_buy_ts = entry.block_time;
+        wallet.first_buy_amount = change;
+      }
+    } else {
+      wallet.total_sent += -change;
+    }
+
+    wallet.current_balance += change;
+    if (wallet.current_balance < 0n) wallet.current_balance = 0n;
+    if (wallet.current_balance > wallet.peak_balance) wallet.peak_balance = wallet.current_balance;
+    wallet.last_slot = entry.slot;
+  }
+
+  return wallets;
+}
+
+/**
+ * Reconstruct K as of a past slot by replaying the transactions ledger
+ * Only available for tracked tokens (ledger is local).
+ *
+ * @param {string} mint - Tracked token mint
+ * @param {Object} options - { slot, time, minBalance, includeHolders, model }
+ *   slot: PoH slot (inclusive); time: unix seconds (resolved to last slot at or before)
+ * @returns {Object|null} K-metric breakdown as of that slot, null if no ledger data
+ */
+export async function calculateAtSlot(mint = db.getPrimaryMint(), options = {}) {
+  const model = scoring.getModel(options.model);
+  if (!model) throw new Error(`Unknown scoring model: ${options.model}`);
+
+  const startTime = Date.now();
+  const bounds = await db.getLedgerBounds(mint);
+
+  if (!bounds.entries) {
+    return null;
+  }
+
+  let slot = options.slot ?? null;
+  if (slot === null && options.time !== undefined && options.time !== null) {
+    slot = await db.getSlotAtTime(mint, options.time);
+  }
+  if (slot === null) {
+    slot = bounds.last_slot;
+  }
+
+  const entries = await db.getLedger(mint, slot);
+  const replayed = replayLedger(entries, await clusters.getOwnerClusterMap(mint));
+
+  const minBalance = options.minBalance ?? await getMinBalance(mint);
+  const { included: wallets, excluded } = await labels.splitExcluded(
+    mint,
+    [...replayed.values()].filter((w) => w.current_balance >= BigInt(minBalance))
+  );
+
+  // Reference time: block time of the last ledger entry at or before the slot
+  const asOfTs = entries.length > 0
+    ? entries[entries.length - 1].block_time
+    : Math.floor(Date.now() / 1000);
+
+  const ledger = {
+    first_slot: bounds.first_slot,
+    last_slot: bounds.last_slot,
+    entries_replayed: entries.length,
+    wallets_seen: replayed.size,
+    backfilled: Boolean(await db.getSyncState('last_full_sync', mint)),
+  };
+
+  if (wallets.length === 0) {
+    return {
+      mint,
+      k: null,
+      holders: 0,
+      atSlot: slot,
+      atTime: asOfTs ? new Date(asOfTs * 1000).toISOString() : null,
+      minBalance,
+      model_version: model.version,
+      source: 'ledger_replay',
+      ledger,
+    };
+  }
+
+  const launchTs = await db.getTokenLaunchTs(mint);
+  const results = wallets.map((wallet) => analyzeWallet(wallet, asOfTs, launchTs, model));
+  const summary = summarize(results, model);
+
+  const elapsed = Date.now() - startTime;
+  log('INFO', `K-Metric replayed for ${mint.slice(0, 8)} at slot ${slot}: K=${summary.k}% (${elapsed}ms, ${entries.length} entries)`);
+
+  const data = {
+    mint,
+    ...summary,
+    atSlot: slot,
+    atTime: asOfTs ? new Date(asOfTs * 1000).toISOString() : null,
+    minBalance,
+    model_version: model.version,
+    source: 'ledger_replay',
+    ledger,
+    exclusions: labels.summarizeExclusions(excluded),
+    calculatedAt: new Date().toISOString(),
+    calculationTimeMs: elapsed,
+  };
+
+  if (options.includeHolders) {
+    data.holdersDetail = holdersDetail(results);
+  }
+
   return data;
 }
 
 /**
  * Calculate and save a snapshot
  * Triggers k_change webhook if K changes significantly
- * Protected by mutex to prevent race conditions on lastK
+ * Protected by per-mint mutex to prevent race conditions on lastK
  */
-export async function calculateAndSave() {
+export async function calculateAndSave(mint = db.getPrimaryMint()) {
   // Prevent concurrent calculations (race condition on lastK)
-  if (calculationInProgress) {
-    log('DEBUG', 'Calculation already in progress, skipping');
+  if (calculationsInProgress.has(mint)) {
+    log('DEBUG', `Calculation already in progress for ${mint.slice(0, 8)}, skipping`);
     return null;
   }
 
-  calculationInProgress = true;
+  calculationsInProgress.add(mint);
   try {
-    const data = await calculate();
+    const data = await calculate(mint);
     if (data) {
-      await db.saveSnapshot(data);
-      log('INFO', 'Snapshot saved');
+      await db.saveSnapshot(data, mint);
+      log('INFO', `Snapshot saved for ${mint.slice(0, 8)}`);
 
-      // Trigger k_change webhook and WebSocket broadcast if delta > 1%
-      if (lastK !== null) {
-        const delta = data.k - lastK;
+      // Trigger k_change webhook and WebSocket broadcast if the selected K variant moves > 1%
+      const value = data[K_TRIGGER_FIELDS[K_TRIGGER_METRIC]];
+      const previousK = lastK.get(mint);
+      if (previousK !== undefined) {
+        const delta = value - previousK;
         if (Math.abs(delta) >= 1) {
           const changeData = {
-            previousK: lastK,
-            newK: data.k,
+            mint,
+            metric: K_TRIGGER_METRIC,
+            previousK,
+            newK: value,
             delta,
             holders: data.holders,
+            k: data.k,
+            kSupply: data.kSupply,
+            kTime: data.kTime,
           };
           // HTTP webhook
           webhooks.triggerKChange(changeData)
             .catch(err => log('ERROR', `[Webhook] k_change trigger failed: ${err.message}`));
           // WebSocket broadcast
           ws.broadcast('k', {
+            mint,
+            metric: K_TRIGGER_METRIC,
             k: data.k,
+            k_supply: data.kSupply,
+            k_time: data.kTime,
             holders: data.holders,
             delta,
             accumulators: data.accumulators,
@@ -179,26 +541,72 @@ export async function calculateAndSave() {
           });
         }
       }
-      lastK = data.k;
+      lastK.set(mint, value);
     }
     return data;
   } finally {
-    calculationInProgress = false;
+    calculationsInProgress.delete(mint);
   }
 }
 
+// Snapshot columns -> history field names
+export const HISTORY_FIELDS = {
+  k: 'k',
+  kSupply: 'k_supply',
+  kTime: 'k_time',
+  holders: 'holders',
+  neverSold: 'never_sold',
+  neverSoldPct: 'never_sold_pct',
+  accumulators: 'accumulators',
+  accumulatorsPct: 'accumulators_pct',
+  maintained: 'maintained',
+  maintainedPct: 'maintained_pct',
+  partialSellers: 'partial_sellers',
+  partialSellersPct: 'partial_sellers_pct',
+  majorSellers: 'major_sellers',
+  majorSellersPct: 'major_sellers_pct',
+  distributors: 'distributors',
+  distributorsPct: 'distributors_pct',
+  avgHoldDays: 'avg_hold_days',
+  og: 'og',
+  ogPct: 'og_pct',
+  minBalance: 'min_balance',
+  price: 'token_price',
+  resolution: 'resolution',
+  samples: 'samples',
+  model_version: 'model_version',
+};
+
+/**
+ * Parse a history interval ('raw', '5m', '1h', '1d') into bucket seconds
+ * @returns {number|null} 0 for raw, null if invalid
+ */
+export function parseInterval(interval) {
+  if (!interval || interval === 'raw') return 0;
+  const match = /^(\d+)([mhd])$/.exec(interval);
+  if (!match || parseInt(match[1]) === 0) return null;
+  const unit = { m: 60, h: 3600, d: 86400 }[match[2]];
+  return parseInt(match[1]) * unit;
+}
+
 /**
  * Get historical snapshots
+ * @param {Object} options - { mint, from, to, interval, fields, limit }
+ *   from/to: unix seconds; interval: 'raw' | '<n>m' | '<n>h' | '<n>d'; fields: history field names
  */
-export async function getHistory(days = 30) {
-  const snapshots = await db.getSnapshots(days);
-  return snapshots.map((s) => ({
-    date: new Date(s.created_at * 1000).toISOString(),
-    k: s.k,
-    holders: s.holders,
-    neverSoldPct: s.never_sold_pct,
-    accumulatorsPct: s.accumulators_pct,
-  }));
+export async function getHistory({ mint = db.getPrimaryMint(), from = 0, to = null, interval = 'raw', fields = null, limit = 1000 } = {}) {
+  const bucket = parseInterval(interval) || 0;
+  const snapshots = await db.getSnapshotRange({ mint, from, to, bucket, limit });
+  const selected = fields?.length ? fields : Object.keys(HISTORY_FIELDS);
+
+  return snapshots.map((s) => {
+    const point = { date: new Date(s.created_at * 1000).toISOString() };
+    for (const field of selected) {
+      const column = HISTORY_FIELDS[field];
+      if (column && column in s) point[field] = s[column];
+    }
+    return point;
+  });
 }
 
-export default { calculate, calculateAndSave, getHistory };
+export default { calculate, calculateAtSlot, calculateAndSave, getHistory, parseInterval, HISTORY_FIELDS, CALCULATION_MODES };
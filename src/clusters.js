@@ -0,0 +1,351 @@
+/**
+ * Wallet Clustering
+ *
+ * Groups wallets that likely share an owner into entities, so moving tokens
+ * between one's own wallets is neither a sell on one side nor a new holder on the other.
+ *
+ * Wallets are linked by:
+ *   - transfer: a direct peer transfer of the tracked mint (recorded by sync/webhook/backfill)
+ *   - funding:  the same first SOL funding source (CEX hot wallets and
+ *               funders of more than CLUSTER_FUNDING_MAX_FANOUT holders are ignored)
+ *   - manual:   declared by an admin
+ *
+ * Clusters are the connected components of these links, computed per mint.
+ * The cluster id is the smallest member address (stable while links only grow).
+ *
+ * Whether a peer transfer is a sell uses owner links only (funding, manual): a transfer
+ * link just records that tokens moved, so it cannot make that same transfer internal.
+ * Only transfers sent to a wallet of the same owner are netted out of retention.
+ */
+
+import db from './db.js';
+import helius from './helius.js';
+import { log, loadEnv } from './utils.js';
+
+loadEnv();
+
+const FUNDING_MAX_FANOUT = parseInt(process.env.CLUSTER_FUNDING_MAX_FANOUT || '20');
+
+export const LINK_SOURCES = ['transfer', 'funding', 'manual'];
+const OWNER_LINK_SOURCES = ['funding', 'manual'];
+const OWNER_CLUSTER_TTL = 60 * 1000;
+
+// mint -> { clusterOf, at } (owner links only)
+const ownerClusters = new Map();
+
+/**
+ * Connected components of a link list (union-find)
+ * @param {Object[]} links - [{ a, b }]
+ * @returns {Map<string, string>} address -> cluster id (linked addresses only)
+ */
+export function buildClusters(links) {
+  const parent = new Map();
+
+  const find = (address) => {
+    let root = address;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    let node = address;
+    while (node !== root) {
+      const next = parent.get(node);
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+
+  for (const { a, b } of links) {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) continue;
+    // Smallest address becomes the root (= cluster id)
+    if (rootA < rootB) parent.set(rootB, rootA);
+    else parent.set(rootA, rootB);
+  }
+
+  const clusterOf = new Map();
+  for (const address of parent.keys()) {
+    clusterOf.set(address, find(address));
+  }
+  return clusterOf;
+}
+
+/**
+ * Links implied by shared funding sources among a mint's holders
+ */
+async function getFundingLinks(mint) {
+  const funding = await db.getFundingForMint(mint);
+
+  const byFunder = new Map();
+  for (const [address, funder] of funding) {
+    if (!byFunder.has(funder)) byFunder.set(funder, []);
+    byFunder.get(funder).push(address);
+  }
+
+  const links = [];
+  for (const [funder, funded] of byFunder) {
+    if (funded.length < 2 || funded.length > FUNDING_MAX_FANOUT) continue;
+    if (helius.isCexWallet(funder)) continue;
+    // Star around the first funded wallet is enough for connectivity
+    for (const address of funded.slice(1)) {
+      links.push({ a: funded[0], b: address, source: 'funding', mint, evidence: funder });
+    }
+  }
+  return links;
+}
+
+/**
+ * All links for a mint and the resulting clusters
+ * @returns {Promise<{clusterOf: Map<string, string>, links: Object[]}>}
+ */
+export async function getClusterMap(mint = db.getPrimaryMint()) {
+  const links = [
+    ...(await db.getLinksForMint(mint)),
+    ...(await getFundingLinks(mint)),
+  ];
+  return { clusterOf: buildClusters(links), links };
+}
+
+/**
+ * Clusters of a mint from owner links only (funding, manual), cached OWNER_CLUSTER_TTL
+ * @returns {Promise<Map<string, string>>} address -> cluster id
+ */
+export async function getOwnerClusterMap(mint = db.getPrimaryMint()) {
+  const cached = ownerClusters.get(mint);
+  if (cached && Date.now() - cached.at < OWNER_CLUSTER_TTL) return cached.clusterOf;
+
+  const { links } = await getClusterMap(mint);
+  const clusterOf = buildClusters(links.filter((link) => OWNER_LINK_SOURCES.includes(link.source)));
+  ownerClusters.set(mint, { clusterOf, at: Date.now() });
+  return clusterOf;
+}
+
+/**
+ * Wallets sharing an owner with a wallet: its owner cluster for the mint, manual links
+ * (all mints) and wallets with the same funding source (CEX and high-fanout funders ignored)
+ * @param {string|null} mint - null for mints without holder data (manual links and funders only)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getLinkedWallets(address, mint = null) {
+  const linked = new Set();
+
+  for (const link of await db.getWalletLinks(address, mint)) {
+    if (link.source === 'manual') linked.add(link.a === address ? link.b : link.a);
+  }
+
+  const funding = await db.getWalletFunding(address);
+  if (funding?.funder && !helius.isCexWallet(funding.funder)) {
+    const funded = await db.getWalletsFundedBy(funding.funder, FUNDING_MAX_FANOUT + 1);
+    if (funded.length <= FUNDING_MAX_FANOUT) funded.forEach((wallet) => linked.add(wallet));
+  }
+
+  if (mint) {
+    const clusterOf = await getOwnerClusterMap(mint);
+    const clusterId = clusterOf.get(address);
+    if (clusterId) {
+      for (const [member, id] of clusterOf) {
+        if (id === clusterId) linked.add(member);
+      }
+    }
+  }
+
+  linked.delete(address);
+  return linked;
+}
+
+/**
+ * Flag the changes of a peer transfer between linked wallets (`linked: true`, see db.transferFlows)
+ * Only transfers with a single sender and a single recipient are attributed.
+ * @param {Object[]} changes - One transaction's balance changes [{ wallet, amountChange, kind }]
+ * @returns {Promise<Object[]>} The same changes
+ */
+export async function markLinkedTransfers(mint, changes) {
+  const transfers = changes.filter((change) => change.kind === 'transfer');
+  const senders = transfers.filter((change) => change.amountChange < 0);
+  const recipients = transfers.filter((change) => change.amountChange > 0);
+  if (senders.length !== 1 || recipients.length !== 1) return changes;
+
+  const linked = await getLinkedWallets(senders[0].wallet, mint);
+  if (linked.has(recipients[0].wallet)) {
+    senders[0].linked = true;
+    recipients[0].linked = true;
+  }
+  return changes;
+}
+
+/**
+ * Ledger sends of peer transfers between wallets of the same owner cluster
+ * Entries are grouped into transactions by signature (ledger keys are `${signature}-${wallet}`).
+ * @param {Object[]} entries - Ledger entries (see db.getLedger)
+ * @param {Map<string, string>} clusterOf - Owner clusters (see getOwnerClusterMap)
+ * @returns {Set<Object>} Linked send entries
+ */
+export function linkedLedgerSends(entries, clusterOf) {
+  const byTx = new Map();
+  for (const entry of entries) {
+    if (entry.kind !== 'transfer' || !entry.signature) continue;
+    const suffix = `-${entry.wallet}`;
+    const tx = entry.signature.endsWith(suffix) ? entry.signature.slice(0, -suffix.length) : entry.signature;
+    if (!byTx.has(tx)) byTx.set(tx, []);
+    byTx.get(tx).push(entry);
+  }
+
+  const linked = new Set();
+  for (const txEntries of byTx.values()) {
+    const senders = txEntries.filter((entry) => Number(entry.amount_change) < 0);
+    const recipients = txEntries.filter((entry) => Number(entry.amount_change) > 0);
+    if (senders.length !== 1 || recipients.length !== 1) continue;
+    const clusterId = clusterOf.get(senders[0].wallet);
+    if (clusterId && clusterOf.get(recipients[0].wallet) === clusterId) linked.add(senders[0]);
+  }
+  return linked;
+}
+
+/**
+ * Transfers each wallet of a tracked mint sent to a wallet of its own group (ledger)
+ * Only the transactions in which a grouped wallet sent tokens are read.
+ * @param {Map<string, string>[]} groupings - address -> group id maps, a send counts if
+ *   any of them groups sender and recipient together (e.g. an entity and owner clusters)
+ * @returns {Promise<Map<string, bigint>>} address -> raw amount sent
+ */
+export async function getLinkedOutflows(mint, groupings) {
+  const linkedOut = new Map();
+  const used = groupings.filter((groupOf) => groupOf.size > 0);
+  if (used.length === 0) return linkedOut;
+
+  const grouped = new Set(used.flatMap((groupOf) => [...groupOf.keys()]));
+  const entries = await db.getTransfersSentBy(mint, [...grouped]);
+  const sends = new Set(used.flatMap((groupOf) => [...linkedLedgerSends(entries, groupOf)]));
+  for (const entry of sends) {
+    // amount_change is an integer string (raw amount), negative for sends
+    let amount;
+    try {
+      amount = -BigInt(entry.amount_change);
+    } catch {
+      amount = -BigInt(Math.trunc(Number(entry.amount_change) || 0));
+    }
+    linkedOut.set(entry.wallet, (linkedOut.get(entry.wallet) || 0n) + amount);
+  }
+  return linkedOut;
+}
+
+/**
+ * Recompute a tracked mint's linked outflows from its ledger (after owner links changed)
+ * @returns {Promise<number>} Wallets with linked outflows
+ */
+export async function refreshLinkedFlows(mint = db.getPrimaryMint()) {
+  ownerClusters.delete(mint);
+  const linkedOut = await getLinkedOutflows(mint, [await getOwnerClusterMap(mint)]);
+  await db.setWalletLinkedOutflows(mint, linkedOut);
+  return linkedOut.size;
+}
+
+/**
+ * Get the cluster (entity) a wallet belongs to for a mint
+ * @returns {Promise<Object>} { cluster_id, members, links } (single member if unlinked)
+ */
+export async function getCluster(address, mint = db.getPrimaryMint()) {
+  const { clusterOf, links } = await getClusterMap(mint);
+  const clusterId = clusterOf.get(address);
+
+  if (!clusterId) {
+    return { cluster_id: address, members: [address], links: [] };
+  }
+
+  const members = [...clusterOf.entries()]
+    .filter(([, id]) => id === clusterId)
+    .map(([member]) => member)
+    .sort();
+  const memberSet = new Set(members);
+
+  return {
+    cluster_id: clusterId,
+    members,
+    links: links.filter((link) => memberSet.has(link.a) && memberSet.has(link.b)),
+  };
+}
+
+/**
+ * Record transfer links from one transaction's balance changes
+ * Only peer transfers with a single sender (or single recipient) are unambiguous.
+ * @param {string} mint - Token mint
+ * @param {Object[]} changes - [{ wallet, amountChange, kind, signature }] (see helius.parseTransaction)
+ * @returns {Promise<number>} Links added
+ */
+export async function recordTransferLinks(mint, changes) {
+  if (changes.length < 2 || changes[0].kind !== 'transfer') return 0;
+
+  const senders = changes.filter((c) => c.amountChange < 0);
+  const recipients = changes.filter((c) => c.amountChange > 0);
+  if (senders.length !== 1 && recipients.length !== 1) return 0;
+
+  let added = 0;
+  for (const sender of senders) {
+    for (const recipient of recipients) {
+      const isNew = await db.addWalletLink({
+        a: sender.wallet,
+        b: recipient.wallet,
+        source: 'transfer',
+        mint,
+        evidence: sender.signature,
+      });
+      if (isNew) added++;
+    }
+  }
+  return added;
+}
+
+/**
+ * Resolve and store a wallet's funding source (once per wallet)
+ * @returns {Promise<string|null>} Funder address
+ */
+export async function detectFunding(address) {
+  const known = await db.getWalletFunding(address);
+  if (known) return known.funder;
+
+  const source = await helius.getFundingSource(address);
+  await db.setWalletFunding(address, source?.funder || null, source?.signature || null);
+  return source?.funder || null;
+}
+
+/**
+ * Resolve funding sources for a mint's holders that were never checked
+ * @returns {Promise<Object>} { checked, funded, errors }
+ */
+export async function detectFundingForMint(mint = db.getPrimaryMint(), limit = 100) {
+  const addresses = await db.getWalletsNeedingFunding(mint, limit);
+  let funded = 0;
+  let errors = 0;
+
+  for (const address of addresses) {
+    try {
+      if (await detectFunding(address)) funded++;
+    } catch (error) {
+      errors++;
+      log('WARN', `[Clusters] Funding lookup failed for ${address.slice(0, 8)}: ${error.message}`);
+    }
+  }
+
+  if (funded > 0) await refreshLinkedFlows(mint);
+
+  log('INFO', `[Clusters] Funding for ${mint.slice(0, 8)}: ${addresses.length} checked, ${funded} funded, ${errors} errors`);
+  return { checked: addresses.length, funded, errors };
+}
+
+export default {
+  LINK_SOURCES,
+  buildClusters,
+  getClusterMap,
+  getOwnerClusterMap,
+  getLinkedWallets,
+  getCluster,
+  markLinkedTransfers,
+  linkedLedgerSends,
+  getLinkedOutflows,
+  refreshLinkedFlows,
+  recordTransferLinks,
+  detectFunding,
+  detectFundingForMint,
+};
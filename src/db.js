@@ -10,9 +10,17 @@
  * - db/transactions.js: Transaction recording
  * - db/snapshots.js: K-metric snapshots and sync state
  * - db/k-wallet-queue.js: Background queue for K_wallet calculations
- * - db/tokens.js: Multi-token K scoring
+ * - db/k-wallet-history.js: K_wallet series per wallet
+ * - db/jobs.js: Persistent background jobs (state, attempts, progress)
+ * - db/tokens.js: Multi-token K scoring and tracked token registry
  * - db/api-keys.js: API key management and usage tracking
  * - db/webhooks.js: Outbound webhook subscriptions
+ * - db/clusters.js: Wallet links and funding sources (clustering)
+ * - db/labels.js: Address labels (pools, burn, team, CEX...)
+ * - db/token-holders.js: Per-holder analysis of on-demand tokens
+ * - db/token-snapshots.js: K history and trend of on-demand tokens
+ * - db/platforms.js: Launch platform detected per mint
+ * - db/wallet-positions.js: Per-mint positions of wallets (K_wallet + token K), scan state
  */
 
 // Connection
@@ -22,6 +30,11 @@ export { getDb, getDbSync } from './db/connection.js';
 export {
   classifyWalletK,
   upsertWallet,
+  transferFlows,
+  applyWalletChange,
+  setWalletFirstBuy,
+  setWalletBundles,
+  setWalletLinkedOutflows,
   getWallets,
   getWalletKScore,
   updateWalletBalance,
@@ -35,14 +48,22 @@ export {
   getLastProcessedSlot,
   getLastProcessedSignature,
   getRecentTransactions,
+  getLedger,
+  getTransfersSentBy,
+  getPurchases,
+  getSlotAtTime,
+  getLedgerBounds,
 } from './db/transactions.js';
 
 // Snapshots & Sync State
 export {
   saveSnapshot,
   getSnapshots,
+  getSnapshotRange,
+  rollupSnapshots,
   getSyncState,
   setSyncState,
+  clearSyncState,
   getStats,
 } from './db/snapshots.js';
 
@@ -52,14 +73,35 @@ export {
   enqueueKWalletBatch,
   dequeueKWallet,
   completeKWallet,
-  failKWallet,
-  cleanupKWalletQueue,
-  clearKWalletQueue,
   getKWalletQueueStats,
 } from './db/k-wallet-queue.js';
 
-// Token K Scoring
+// K_wallet history
 export {
+  saveKWalletSnapshot,
+  getKWalletHistory,
+} from './db/k-wallet-history.js';
+
+// Jobs
+export {
+  JOB_TYPES,
+  JOB_STATUSES,
+  enqueueJob,
+  enqueueJobs,
+  claimJob,
+  updateJobProgress,
+  completeJob,
+  failJob,
+  requeueRunningJobs,
+  getJob,
+  getLatestJob,
+  getJobStats,
+  cleanupJobs,
+} from './db/jobs.js';
+
+// Token K Scoring & Tracked Tokens
+export {
+  getPrimaryMint,
   getToken,
   upsertToken,
   enqueueToken,
@@ -67,7 +109,20 @@ export {
   completeToken,
   failToken,
   getTokenQueueStats,
-  cleanupTokenQueue,
+  recordTokenRequest,
+  getTokenRequestStats,
+  setTokenTier,
+  unpinTokenTier,
+  getTier2RefreshDue,
+  cleanupTokenRequests,
+  getFreshTokens,
+  getTrackedTokens,
+  getTrackedMints,
+  isTrackedToken,
+  trackToken,
+  untrackToken,
+  getTokenLaunchTs,
+  clearTokenData,
 } from './db/tokens.js';
 
 // API Keys & Usage
@@ -103,16 +158,86 @@ export {
   getWebhookDeliveryHistory,
 } from './db/webhooks.js';
 
+// Clusters
+export {
+  addWalletLink,
+  removeWalletLink,
+  getWalletLinks,
+  getLinksForMint,
+  listManualLinks,
+  setWalletFunding,
+  getWalletFunding,
+  getFundingForMint,
+  getWalletsFundedBy,
+  getWalletsNeedingFunding,
+} from './db/clusters.js';
+
+// Labels
+export {
+  setAddressLabel,
+  addAddressLabels,
+  removeAddressLabel,
+  getAddressLabel,
+  getLabelsForMint,
+  listAddressLabels,
+} from './db/labels.js';
+
+// Token holders
+export {
+  TOKEN_HOLDER_SORTS,
+  replaceTokenHolders,
+  getTokenHolders,
+  getTokenHolderBreakdown,
+} from './db/token-holders.js';
+
+// Token snapshots
+export {
+  saveTokenSnapshot,
+  getTokenSnapshots,
+  computeKTrend,
+} from './db/token-snapshots.js';
+
+// Token platforms
+export {
+  setTokenPlatform,
+  getTokenPlatform,
+  getLaunchSlots,
+  getDetectedPlatforms,
+  countDetectedPlatforms,
+} from './db/platforms.js';
+
+// Wallet positions
+export {
+  WALLET_POSITION_SORTS,
+  upsertWalletPositions,
+  getWalletPositionsBySource,
+  getWalletsSharingMints,
+  getWalletPosition,
+  getWalletPositions,
+  getWalletPositionBreakdown,
+  getWalletScanState,
+  setWalletScanState,
+  clearWalletScanState,
+} from './db/wallet-positions.js';
+
 // Default export for backward compatibility
 import { getDb, getDbSync } from './db/connection.js';
-import { classifyWalletK, upsertWallet, getWallets, getWalletKScore, updateWalletBalance, getWalletsNeedingKWallet, getHoldersFiltered } from './db/wallets.js';
-import { recordTransaction, getLastProcessedSlot, getLastProcessedSignature, getRecentTransactions } from './db/transactions.js';
-import { saveSnapshot, getSnapshots, getSyncState, setSyncState, getStats } from './db/snapshots.js';
-import { enqueueKWallet, enqueueKWalletBatch, dequeueKWallet, completeKWallet, failKWallet, cleanupKWalletQueue, clearKWalletQueue, getKWalletQueueStats } from './db/k-wallet-queue.js';
-import { getToken, upsertToken, enqueueToken, dequeueToken, completeToken, failToken, getTokenQueueStats, cleanupTokenQueue } from './db/tokens.js';
+import { classifyWalletK, upsertWallet, transferFlows, applyWalletChange, setWalletFirstBuy, setWalletBundles, setWalletLinkedOutflows, getWallets, getWalletKScore, updateWalletBalance, getWalletsNeedingKWallet, getHoldersFiltered } from './db/wallets.js';
+import { recordTransaction, getLastProcessedSlot, getLastProcessedSignature, getRecentTransactions, getLedger, getTransfersSentBy, getPurchases, getSlotAtTime, getLedgerBounds } from './db/transactions.js';
+import { saveSnapshot, getSnapshots, getSnapshotRange, rollupSnapshots, getSyncState, setSyncState, clearSyncState, getStats } from './db/snapshots.js';
+import { enqueueKWallet, enqueueKWalletBatch, dequeueKWallet, completeKWallet, getKWalletQueueStats } from './db/k-wallet-queue.js';
+import { saveKWalletSnapshot, getKWalletHistory } from './db/k-wallet-history.js';
+import { JOB_TYPES, JOB_STATUSES, enqueueJob, enqueueJobs, claimJob, updateJobProgress, completeJob, failJob, requeueRunningJobs, getJob, getLatestJob, getJobStats, cleanupJobs } from './db/jobs.js';
+import { getPrimaryMint, getToken, upsertToken, enqueueToken, dequeueToken, completeToken, failToken, getTokenQueueStats, recordTokenRequest, getTokenRequestStats, setTokenTier, unpinTokenTier, getTier2RefreshDue, cleanupTokenRequests, getFreshTokens, getTrackedTokens, getTrackedMints, isTrackedToken, trackToken, untrackToken, getTokenLaunchTs, clearTokenData } from './db/tokens.js';
 import { createApiKey, validateApiKey, getApiKey, listApiKeys, updateApiKey, revokeApiKey, deleteApiKey, incrementUsage, getTodayUsage, getUsageHistory, getUsageStats, cleanupUsageHistory } from './db/api-keys.js';
 import { getWebhookEventTypes, createWebhookSubscription, getWebhookSubscription, listWebhookSubscriptions, getSubscriptionsForEvent, updateWebhookSubscription, deleteWebhookSubscription, createWebhookDelivery, getPendingWebhookDeliveries, updateWebhookDelivery, incrementWebhookFailure, resetWebhookFailure, getWebhookDeliveryHistory } from './db/webhooks.js';
 
+import { addWalletLink, removeWalletLink, getWalletLinks, getLinksForMint, listManualLinks, setWalletFunding, getWalletFunding, getFundingForMint, getWalletsFundedBy, getWalletsNeedingFunding } from './db/clusters.js';
+import { setAddressLabel, addAddressLabels, removeAddressLabel, getAddressLabel, getLabelsForMint, listAddressLabels } from './db/labels.js';
+import { TOKEN_HOLDER_SORTS, replaceTokenHolders, getTokenHolders, getTokenHolderBreakdown } from './db/token-holders.js';
+import { saveTokenSnapshot, getTokenSnapshots, computeKTrend } from './db/token-snapshots.js';
+import { setTokenPlatform, getTokenPlatform, getLaunchSlots, getDetectedPlatforms, countDetectedPlatforms } from './db/platforms.js';
+import { WALLET_POSITION_SORTS, upsertWalletPositions, getWalletPositionsBySource, getWalletsSharingMints, getWalletPosition, getWalletPositions, getWalletPositionBreakdown, getWalletScanState, setWalletScanState, clearWalletScanState } from './db/wallet-positions.js';
 export default {
   // Connection
   getDb,
@@ -120,6 +245,11 @@ export default {
   // Wallets
   classifyWalletK,
   upsertWallet,
+  transferFlows,
+  applyWalletChange,
+  setWalletFirstBuy,
+  setWalletBundles,
+  setWalletLinkedOutflows,
   getWallets,
   getWalletKScore,
   updateWalletBalance,
@@ -130,22 +260,44 @@ export default {
   getLastProcessedSlot,
   getLastProcessedSignature,
   getRecentTransactions,
+  getLedger,
+  getTransfersSentBy,
+  getPurchases,
+  getSlotAtTime,
+  getLedgerBounds,
   // Snapshots
   saveSnapshot,
   getSnapshots,
+  getSnapshotRange,
+  rollupSnapshots,
   getSyncState,
   setSyncState,
+  clearSyncState,
   getStats,
   // K_wallet Queue
   enqueueKWallet,
   enqueueKWalletBatch,
   dequeueKWallet,
   completeKWallet,
-  failKWallet,
-  cleanupKWalletQueue,
-  clearKWalletQueue,
   getKWalletQueueStats,
-  // Token K Scoring
+  saveKWalletSnapshot,
+  getKWalletHistory,
+  // Jobs
+  JOB_TYPES,
+  JOB_STATUSES,
+  enqueueJob,
+  enqueueJobs,
+  claimJob,
+  updateJobProgress,
+  completeJob,
+  failJob,
+  requeueRunningJobs,
+  getJob,
+  getLatestJob,
+  getJobStats,
+  cleanupJobs,
+  // Token K Scoring & Tracked Tokens
+  getPrimaryMint,
   getToken,
   upsertToken,
   enqueueToken,
@@ -153,7 +305,20 @@ export default {
   completeToken,
   failToken,
   getTokenQueueStats,
-  cleanupTokenQueue,
+  recordTokenRequest,
+  getTokenRequestStats,
+  setTokenTier,
+  unpinTokenTier,
+  getTier2RefreshDue,
+  cleanupTokenRequests,
+  getFreshTokens,
+  getTrackedTokens,
+  getTrackedMints,
+  isTrackedToken,
+  trackToken,
+  untrackToken,
+  getTokenLaunchTs,
+  clearTokenData,
   // API Keys
   createApiKey,
   validateApiKey,
@@ -182,4 +347,48 @@ export default {
   incrementWebhookFailure,
   resetWebhookFailure,
   getWebhookDeliveryHistory,
+  // Clusters
+  addWalletLink,
+  removeWalletLink,
+  getWalletLinks,
+  getLinksForMint,
+  listManualLinks,
+  setWalletFunding,
+  getWalletFunding,
+  getFundingForMint,
+  getWalletsFundedBy,
+  getWalletsNeedingFunding,
+  // Labels
+  setAddressLabel,
+  addAddressLabels,
+  removeAddressLabel,
+  getAddressLabel,
+  getLabelsForMint,
+  listAddressLabels,
+  // Token holders
+  TOKEN_HOLDER_SORTS,
+  replaceTokenHolders,
+  getTokenHolders,
+  getTokenHolderBreakdown,
+  // Token snapshots
+  saveTokenSnapshot,
+  getTokenSnapshots,
+  computeKTrend,
+  // Token platforms
+  setTokenPlatform,
+  getTokenPlatform,
+  getLaunchSlots,
+  getDetectedPlatforms,
+  countDetectedPlatforms,
+  // Wallet positions
+  WALLET_POSITION_SORTS,
+  upsertWalletPositions,
+  getWalletPositionsBySource,
+  getWalletsSharingMints,
+  getWalletPosition,
+  getWalletPositions,
+  getWalletPositionBreakdown,
+  getWalletScanState,
+  setWalletScanState,
+  clearWalletScanState,
 };
@@ -0,0 +1,175 @@
+/**
+ * Wallet Cluster Database Operations
+ *
+ * Links between wallets believed to share an owner:
+ * - transfer: direct peer transfer of a tracked mint (per mint)
+ * - manual:   declared by an admin (all mints)
+ * Plus each wallet's first SOL funding source (shared funder = linked).
+ */
+
+import { getDb } from './connection.js';
+
+/**
+ * Order a pair so (a, b) and (b, a) map to the same row
+ */
+function orderPair(a, b) {
+  return a < b ? [a, b] : [b, a];
+}
+
+/**
+ * Record a link between two wallets (idempotent per pair/source/mint)
+ * @param {Object} link - { a, b, source, mint, evidence }
+ */
+export async function addWalletLink({ a, b, source, mint = null, evidence = null }) {
+  if (!a || !b || a === b) return false;
+  const db = await getDb();
+  const [first, second] = orderPair(a, b);
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO wallet_links (address_a, address_b, source, mint, evidence, created_at)
+    VALUES (?, ?, ?, ?, ?, unixepoch())
+  `);
+  return stmt.run(first, second, source, mint || '', evidence).changes > 0;
+}
+
+/**
+ * Remove a link (manual links by default)
+ */
+export async function removeWalletLink(a, b, source = 'manual') {
+  const db = await getDb();
+  const [first, second] = orderPair(a, b);
+  const stmt = db.prepare('DELETE FROM wallet_links WHERE address_a = ? AND address_b = ? AND source = ?');
+  return stmt.run(first, second, source).changes > 0;
+}
+
+/**
+ * Links touching a wallet
+ * @param {string} address - Wallet address
+ * @param {string|null} mint - Restrict transfer links to this mint (manual links always apply)
+ */
+export async function getWalletLinks(address, mint = null) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT address_a, address_b, source, mint, evidence, created_at
+    FROM wallet_links
+    WHERE (address_a = ? OR address_b = ?) AND (? IS NULL OR mint = '' OR mint = ?)
+    ORDER BY created_at ASC
+  `);
+  return stmt.all(address, address, mint, mint).map(formatLink);
+}
+
+/**
+ * All links that apply to a mint (transfer links for the mint + manual links)
+ */
+export async function getLinksForMint(mint) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT address_a, address_b, source, mint, evidence, created_at
+    FROM wallet_links
+    WHERE mint = '' OR mint = ?
+  `);
+  return stmt.all(mint).map(formatLink);
+}
+
+/**
+ * List manual links (admin)
+ */
+export async function listManualLinks(limit = 100) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT address_a, address_b, source, mint, evidence, created_at
+    FROM wallet_links
+    WHERE source = 'manual'
+    ORDER BY created_at DESC
+    LIMIT ?
+  `);
+  return stmt.all(limit).map(formatLink);
+}
+
+function formatLink(row) {
+  return {
+    a: row.address_a,
+    b: row.address_b,
+    source: row.source,
+    mint: row.mint || null,
+    evidence: row.evidence,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Store a wallet's first SOL funding source (funder null = checked, none found)
+ */
+export async function setWalletFunding(address, funder, signature = null) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO wallet_funding (address, funder, signature, checked_at)
+    VALUES (?, ?, ?, unixepoch())
+    ON CONFLICT(address) DO UPDATE SET
+      funder = excluded.funder,
+      signature = excluded.signature,
+      checked_at = excluded.checked_at
+  `);
+  stmt.run(address, funder, signature);
+}
+
+/**
+ * Get a wallet's funding source (null if never checked)
+ */
+export async function getWalletFunding(address) {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT address, funder, signature, checked_at FROM wallet_funding WHERE address = ?');
+  return stmt.get(address) || null;
+}
+
+/**
+ * Funding sources of a mint's holders
+ * @returns {Map<string, string>} address -> funder
+ */
+export async function getFundingForMint(mint) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT w.address, f.funder
+    FROM wallets w
+    JOIN wallet_funding f ON f.address = w.address
+    WHERE w.mint = ? AND f.funder IS NOT NULL
+  `);
+  return new Map(stmt.all(mint).map((row) => [row.address, row.funder]));
+}
+
+/**
+ * Wallets funded by a given source
+ */
+export async function getWalletsFundedBy(funder, limit = 1000) {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT address FROM wallet_funding WHERE funder = ? LIMIT ?');
+  return stmt.all(funder, limit).map((row) => row.address);
+}
+
+/**
+ * Holders of a mint whose funding source was never checked
+ */
+export async function getWalletsNeedingFunding(mint, limit = 100) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT w.address
+    FROM wallets w
+    LEFT JOIN wallet_funding f ON f.address = w.address
+    WHERE w.mint = ? AND f.address IS NULL AND CAST(w.current_balance AS INTEGER) > 0
+    ORDER BY CAST(w.current_balance AS INTEGER) DESC
+    LIMIT ?
+  `);
+  return stmt.all(mint, limit).map((row) => row.address);
+}
+
+export default {
+  addWalletLink,
+  removeWalletLink,
+  getWalletLinks,
+  getLinksForMint,
+  listManualLinks,
+  setWalletFunding,
+  getWalletFunding,
+  getFundingForMint,
+  getWalletsFundedBy,
+  getWalletsNeedingFunding,
+};
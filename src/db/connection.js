@@ -5,6 +5,7 @@
  * Exports shared database instance for all db modules.
  */
 
+import { randomUUID } from 'crypto';
 import { existsSync, mkdirSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
@@ -94,18 +95,8 @@ function applyOptimizations() {
  */
 function migrate() {
   const migrations = [
-    // Wallets table - stores per-wallet token history
-    `CREATE TABLE IF NOT EXISTS wallets (
-      address TEXT PRIMARY KEY,
-      first_buy_ts INTEGER,
-      first_buy_amount TEXT DEFAULT '0',
-      total_received TEXT DEFAULT '0',
-      total_sent TEXT DEFAULT '0',
-      current_balance TEXT DEFAULT '0',
-      peak_balance TEXT DEFAULT '0',
-      last_tx_signature TEXT,
-      updated_at INTEGER DEFAULT (unixepoch())
-    )`,
+    // Wallets table - stores per-wallet token history (one row per tracked mint)
+    walletsSchema('wallets'),
 
     // Migration: Add peak_balance column
     `ALTER TABLE wallets ADD COLUMN peak_balance TEXT DEFAULT '0'`,
@@ -119,15 +110,8 @@ function migrate() {
       END
     WHERE peak_balance = '0' OR peak_balance IS NULL`,
 
-    // Transactions table
-    `CREATE TABLE IF NOT EXISTS transactions (
-      signature TEXT PRIMARY KEY,
-      slot INTEGER,
-      block_time INTEGER,
-      wallet TEXT,
-      amount_change TEXT,
-      processed_at INTEGER DEFAULT (unixepoch())
-    )`,
+    // Transactions table (keyed by mint + per-wallet signature)
+    transactionsSchema('transactions'),
 
     // Snapshots table - K-metric history
     `CREATE TABLE IF NOT EXISTS snapshots (
@@ -140,9 +124,37 @@ function migrate() {
       accumulators_pct INTEGER,
       maintained INTEGER,
       maintained_pct INTEGER,
+      mint TEXT,
       created_at INTEGER DEFAULT (unixepoch())
     )`,
 
+    // Migration: per-mint snapshots
+    `ALTER TABLE snapshots ADD COLUMN mint TEXT`,
+
+    // Migration: full-fidelity snapshots (every calculator field + rollup resolution)
+    `ALTER TABLE snapshots ADD COLUMN partial_sellers INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN partial_sellers_pct INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN major_sellers INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN major_sellers_pct INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN avg_hold_days INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN og INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN og_pct INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN min_balance INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN token_price REAL`,
+    `ALTER TABLE snapshots ADD COLUMN resolution TEXT DEFAULT 'raw'`,
+    `ALTER TABLE snapshots ADD COLUMN samples INTEGER DEFAULT 1`,
+
+    // Migration: scoring model used for the snapshot
+    `ALTER TABLE snapshots ADD COLUMN model_version TEXT`,
+
+    // Migration: supply-weighted and hold-time-weighted K
+    `ALTER TABLE snapshots ADD COLUMN k_supply INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN k_time INTEGER`,
+
+    // Migration: distributors bucket (drawdown from peak)
+    `ALTER TABLE snapshots ADD COLUMN distributors INTEGER`,
+    `ALTER TABLE snapshots ADD COLUMN distributors_pct INTEGER`,
+
     // Sync state
     `CREATE TABLE IF NOT EXISTS sync_state (
       key TEXT PRIMARY KEY,
@@ -156,16 +168,6 @@ function migrate() {
     `ALTER TABLE wallets ADD COLUMN k_wallet_updated_at INTEGER DEFAULT NULL`,
     `ALTER TABLE wallets ADD COLUMN k_wallet_slot INTEGER DEFAULT NULL`,
 
-    // K_wallet job queue
-    `CREATE TABLE IF NOT EXISTS k_wallet_queue (
-      address TEXT PRIMARY KEY,
-      priority INTEGER DEFAULT 0,
-      attempts INTEGER DEFAULT 0,
-      last_error TEXT,
-      created_at INTEGER DEFAULT (unixepoch()),
-      locked_until INTEGER DEFAULT NULL
-    )`,
-
     // Tokens registry
     `CREATE TABLE IF NOT EXISTS tokens (
       mint TEXT PRIMARY KEY,
@@ -181,18 +183,40 @@ function migrate() {
       sync_duration_ms INTEGER,
       sync_status TEXT DEFAULT 'pending',
       error_message TEXT,
+      launch_ts INTEGER,
       created_at INTEGER DEFAULT (unixepoch())
     )`,
 
-    // Token K calculation queue
-    `CREATE TABLE IF NOT EXISTS token_queue (
-      mint TEXT PRIMARY KEY,
-      priority INTEGER DEFAULT 0,
-      attempts INTEGER DEFAULT 0,
-      last_error TEXT,
-      created_at INTEGER DEFAULT (unixepoch()),
-      locked_until INTEGER DEFAULT NULL
-    )`,
+    // Migration: token launch time (OG window for tracked tokens)
+    `ALTER TABLE tokens ADD COLUMN launch_ts INTEGER`,
+
+    // Migration: scoring model used for the cached K
+    `ALTER TABLE tokens ADD COLUMN model_version TEXT`,
+
+    // Migration: supply-weighted and hold-time-weighted K
+    `ALTER TABLE tokens ADD COLUMN k_supply INTEGER`,
+    `ALTER TABLE tokens ADD COLUMN k_time INTEGER`,
+
+    // Migration: how on-demand K was computed ('sample' top holders or 'full' mint history)
+    `ALTER TABLE tokens ADD COLUMN calc_mode TEXT`,
+    `ALTER TABLE tokens ADD COLUMN analyzed INTEGER`,
+
+    // Migration: sampling confidence (strategy, sample size, supply covered, 95% CI on K)
+    `ALTER TABLE tokens ADD COLUMN sample_strategy TEXT`,
+    `ALTER TABLE tokens ADD COLUMN sample_size INTEGER`,
+    `ALTER TABLE tokens ADD COLUMN supply_covered REAL`,
+    `ALTER TABLE tokens ADD COLUMN k_ci_low INTEGER`,
+    `ALTER TABLE tokens ADD COLUMN k_ci_high INTEGER`,
+
+    // Migration: wallets/transactions keyed by mint (multi-token tracking)
+    migrateMultiToken,
+
+    // Migration: transfer kinds on the ledger + per-kind wallet flows
+    `ALTER TABLE transactions ADD COLUMN kind TEXT`,
+    migrateTransferFlows,
+
+    // Bundle detection (launch snipers): group id per wallet, NULL = not bundled
+    `ALTER TABLE wallets ADD COLUMN bundle_id TEXT`,
 
     // API keys table
     `CREATE TABLE IF NOT EXISTS api_keys (
@@ -246,18 +270,212 @@ function migrate() {
       FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id)
     )`,
 
+    // Wallet links (same owner): peer transfers per mint, admin-declared (mint = '')
+    `CREATE TABLE IF NOT EXISTS wallet_links (
+      address_a TEXT NOT NULL,
+      address_b TEXT NOT NULL,
+      source TEXT NOT NULL,
+      mint TEXT NOT NULL DEFAULT '',
+      evidence TEXT,
+      created_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (address_a, address_b, source, mint)
+    )`,
+
+    // First SOL funding source per wallet (funder NULL = checked, none found)
+    `CREATE TABLE IF NOT EXISTS wallet_funding (
+      address TEXT PRIMARY KEY,
+      funder TEXT,
+      signature TEXT,
+      checked_at INTEGER DEFAULT (unixepoch())
+    )`,
+
+    // Address labels (pool, burn, team, cex, bridge, program); mint = '' applies to all tokens
+    `CREATE TABLE IF NOT EXISTS address_labels (
+      address TEXT NOT NULL,
+      mint TEXT NOT NULL DEFAULT '',
+      label TEXT NOT NULL,
+      source TEXT DEFAULT 'admin',
+      note TEXT,
+      created_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (address, mint)
+    )`,
+
+    // Per-holder analysis of on-demand tokens (latest calculateTokenK run, sample or full)
+    `CREATE TABLE IF NOT EXISTS token_holders (
+      mint TEXT NOT NULL,
+      address TEXT NOT NULL,
+      balance TEXT DEFAULT '0',
+      first_buy_amount TEXT DEFAULT '0',
+      first_buy_ts INTEGER,
+      retention REAL,
+      classification TEXT,
+      model_version TEXT,
+      analyzed_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (mint, address)
+    )`,
+
+    // K history of on-demand tokens (appended by completeToken)
+    `CREATE TABLE IF NOT EXISTS token_snapshots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint TEXT NOT NULL,
+      k INTEGER,
+      k_supply INTEGER,
+      k_time INTEGER,
+      holders INTEGER,
+      analyzed INTEGER,
+      accumulators INTEGER,
+      maintained INTEGER,
+      reducers INTEGER,
+      extractors INTEGER,
+      model_version TEXT,
+      calc_mode TEXT,
+      k_ci_low INTEGER,
+      k_ci_high INTEGER,
+      created_at INTEGER DEFAULT (unixepoch())
+    )`,
+
+    // Distinct requesters (API key or IP) per token per day (tier 2 promotion/demotion, see token-score.js)
+    `CREATE TABLE IF NOT EXISTS token_requesters (
+      mint TEXT,
+      date TEXT,
+      requester TEXT,
+      PRIMARY KEY (mint, date, requester)
+    )`,
+
+    // Migration: tier set by an admin (not changed by automatic promotion/demotion)
+    `ALTER TABLE tokens ADD COLUMN tier_pinned INTEGER DEFAULT 0`,
+
+    // Migration: K trend of on-demand tokens (from token_snapshots, see computeKTrend)
+    `ALTER TABLE tokens ADD COLUMN k_delta_7d INTEGER`,
+    `ALTER TABLE tokens ADD COLUMN k_delta_30d INTEGER`,
+    `ALTER TABLE tokens ADD COLUMN k_slope_30d REAL`,
+
+    // Launch platform per mint (see platforms.js), platform NULL = none detected
+    `CREATE TABLE IF NOT EXISTS token_platforms (
+      mint TEXT PRIMARY KEY,
+      platform TEXT,
+      source TEXT,
+      signature TEXT,
+      detected_at INTEGER DEFAULT (unixepoch())
+    )`,
+
+    // Migration: K_wallet per launch platform (JSON: platform -> { tokens, maintained, k_wallet })
+    `ALTER TABLE wallets ADD COLUMN k_wallet_platforms TEXT DEFAULT NULL`,
+
+    // Per-mint positions of wallets (K_wallet scans + on-demand token K), UI amounts
+    `CREATE TABLE IF NOT EXISTS wallet_positions (
+      address TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      platform TEXT,
+      first_buy_ts INTEGER,
+      first_buy_amount REAL DEFAULT 0,
+      first_swap_amount REAL DEFAULT 0,
+      total_bought REAL DEFAULT 0,
+      total_sold REAL DEFAULT 0,
+      transferred_in REAL DEFAULT 0,
+      transferred_out REAL DEFAULT 0,
+      airdropped REAL DEFAULT 0,
+      current REAL DEFAULT 0,
+      retention REAL,
+      classification TEXT,
+      tx_count INTEGER DEFAULT 0,
+      last_tx_ts INTEGER,
+      model_version TEXT,
+      source TEXT,
+      updated_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (address, mint)
+    )`,
+
+    // Last K_wallet scan per wallet (incremental refresh from newest_signature)
+    `CREATE TABLE IF NOT EXISTS wallet_scan_state (
+      address TEXT PRIMARY KEY,
+      newest_signature TEXT,
+      last_mode TEXT,
+      last_transactions INTEGER DEFAULT 0,
+      scanned_at INTEGER,
+      full_scan_at INTEGER
+    )`,
+
+    // Background jobs (K_wallet scans, token K calculations), see db/jobs.js
+    `CREATE TABLE IF NOT EXISTS jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      key TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      priority INTEGER DEFAULT 0,
+      payload TEXT,
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 3,
+      progress TEXT,
+      result TEXT,
+      error TEXT,
+      created_at INTEGER DEFAULT (unixepoch()),
+      started_at INTEGER,
+      finished_at INTEGER,
+      updated_at INTEGER,
+      locked_until INTEGER
+    )`,
+
+    // Migration: k_wallet_queue/token_queue entries become jobs
+    migrateLegacyQueues,
+
+    // Migration: truncated K_wallet histories (positions with unseen older transactions, confidence)
+    `ALTER TABLE wallet_positions ADD COLUMN partial INTEGER DEFAULT 0`,
+    `ALTER TABLE wallet_scan_state ADD COLUMN history_complete INTEGER`,
+    `ALTER TABLE wallets ADD COLUMN k_wallet_complete INTEGER DEFAULT NULL`,
+    `ALTER TABLE wallets ADD COLUMN k_wallet_confidence REAL DEFAULT NULL`,
+    `ALTER TABLE wallets ADD COLUMN k_wallet_partial INTEGER DEFAULT NULL`,
+    `ALTER TABLE wallets ADD COLUMN k_wallet_history_complete INTEGER DEFAULT NULL`,
+
+    // Migration: first buy slot of positions and launch slot of mints (wallet profile sniper score)
+    `ALTER TABLE wallet_positions ADD COLUMN first_buy_slot INTEGER`,
+    `ALTER TABLE token_platforms ADD COLUMN launch_slot INTEGER`,
+
+    // Migration: recency-weighted K_wallet (positions decayed by age, half-life in days)
+    `ALTER TABLE wallets ADD COLUMN k_wallet_decayed INTEGER DEFAULT NULL`,
+    `ALTER TABLE wallets ADD COLUMN k_wallet_half_life REAL DEFAULT NULL`,
+
+    // K_wallet series per wallet (appended by completeKWallet)
+    `CREATE TABLE IF NOT EXISTS k_wallet_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      address TEXT NOT NULL,
+      k_wallet INTEGER,
+      k_wallet_complete INTEGER,
+      k_wallet_decayed INTEGER,
+      confidence REAL,
+      tokens_analyzed INTEGER,
+      slot INTEGER,
+      created_at INTEGER DEFAULT (unixepoch())
+    )`,
+
+    // Migration: K_wallet trend (from k_wallet_history)
+    `ALTER TABLE wallets ADD COLUMN k_wallet_delta_30d INTEGER DEFAULT NULL`,
+
+    // Migration: peer transfers sent to linked wallets (the only transfers out not counted as sells)
+    `ALTER TABLE wallets ADD COLUMN linked_out TEXT DEFAULT '0'`,
+    `ALTER TABLE wallet_positions ADD COLUMN linked_out REAL DEFAULT 0`,
+
+    // Migration: mints of the last K_wallet scan left without a detected platform (next scan is full)
+    `ALTER TABLE wallet_scan_state ADD COLUMN platforms_pending INTEGER DEFAULT 0`,
+
+    // Migration: failed token K calculations since the last success (tier 2 refresh back-off)
+    `ALTER TABLE tokens ADD COLUMN failed_at INTEGER`,
+    `ALTER TABLE tokens ADD COLUMN fail_count INTEGER DEFAULT 0`,
+
     // Indexes
     `CREATE INDEX IF NOT EXISTS idx_wallets_balance ON wallets(current_balance)`,
     `CREATE INDEX IF NOT EXISTS idx_wallets_peak ON wallets(peak_balance)`,
     `CREATE INDEX IF NOT EXISTS idx_wallets_k_wallet ON wallets(k_wallet)`,
+    `CREATE INDEX IF NOT EXISTS idx_wallets_address ON wallets(address)`,
     `CREATE INDEX IF NOT EXISTS idx_transactions_wallet ON transactions(wallet)`,
+    `CREATE INDEX IF NOT EXISTS idx_transactions_mint_slot ON transactions(mint, slot)`,
     `CREATE INDEX IF NOT EXISTS idx_transactions_time ON transactions(block_time)`,
     `CREATE INDEX IF NOT EXISTS idx_transactions_slot ON transactions(slot)`,
     `CREATE INDEX IF NOT EXISTS idx_snapshots_time ON snapshots(created_at)`,
-    `CREATE INDEX IF NOT EXISTS idx_k_wallet_queue_next ON k_wallet_queue(locked_until, priority DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_snapshots_mint ON snapshots(mint, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_snapshots_resolution ON snapshots(mint, resolution, created_at)`,
     `CREATE INDEX IF NOT EXISTS idx_tokens_tier ON tokens(tier)`,
     `CREATE INDEX IF NOT EXISTS idx_tokens_sync ON tokens(last_sync)`,
-    `CREATE INDEX IF NOT EXISTS idx_token_queue_next ON token_queue(locked_until, priority DESC)`,
     `CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash)`,
     `CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(is_active)`,
     `CREATE INDEX IF NOT EXISTS idx_usage_daily_date ON usage_daily(date)`,
@@ -265,11 +483,27 @@ function migrate() {
     `CREATE INDEX IF NOT EXISTS idx_webhook_subs_active ON webhook_subscriptions(is_active)`,
     `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status)`,
     `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry ON webhook_deliveries(next_retry_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_wallet_links_b ON wallet_links(address_b)`,
+    `CREATE INDEX IF NOT EXISTS idx_wallet_links_mint ON wallet_links(mint)`,
+    `CREATE INDEX IF NOT EXISTS idx_wallet_funding_funder ON wallet_funding(funder)`,
+    `CREATE INDEX IF NOT EXISTS idx_address_labels_mint ON address_labels(mint, label)`,
+    `CREATE INDEX IF NOT EXISTS idx_wallets_bundle ON wallets(mint, bundle_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_token_holders_class ON token_holders(mint, classification)`,
+    `CREATE INDEX IF NOT EXISTS idx_token_holders_retention ON token_holders(mint, retention)`,
+    `CREATE INDEX IF NOT EXISTS idx_token_snapshots_mint ON token_snapshots(mint, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_k_wallet_history_address ON k_wallet_history(address, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_token_requesters_date ON token_requesters(date)`,
+    `CREATE INDEX IF NOT EXISTS idx_wallet_positions_mint ON wallet_positions(mint)`,
+    `CREATE INDEX IF NOT EXISTS idx_jobs_next ON jobs(type, status, priority DESC, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_jobs_key ON jobs(type, key, status)`,
+    `CREATE INDEX IF NOT EXISTS idx_jobs_finished ON jobs(finished_at)`,
   ];
 
   for (const sql of migrations) {
     try {
-      if (db.exec) {
+      if (typeof sql === 'function') {
+        sql();
+      } else if (db.exec) {
         db.exec(sql);
       } else if (db.run) {
         db.run(sql);
@@ -279,9 +513,197 @@ function migrate() {
     }
   }
 
+  seedTrackedTokens();
+
   console.log('[DB] Migrations complete');
 }
 
+/**
+ * Wallets table schema (composite key: one row per mint + holder)
+ */
+function walletsSchema(name) {
+  return `CREATE TABLE IF NOT EXISTS ${name} (
+      mint TEXT NOT NULL,
+      address TEXT NOT NULL,
+      first_buy_ts INTEGER,
+      first_buy_amount TEXT DEFAULT '0',
+      total_received TEXT DEFAULT '0',
+      total_sent TEXT DEFAULT '0',
+      current_balance TEXT DEFAULT '0',
+      peak_balance TEXT DEFAULT '0',
+      last_tx_signature TEXT,
+      updated_at INTEGER DEFAULT (unixepoch()),
+      k_wallet INTEGER DEFAULT NULL,
+      k_wallet_tokens INTEGER DEFAULT NULL,
+      k_wallet_updated_at INTEGER DEFAULT NULL,
+      k_wallet_slot INTEGER DEFAULT NULL,
+      PRIMARY KEY (mint, address)
+    )`;
+}
+
+/**
+ * Transactions table schema (composite key: mint + per-wallet signature)
+ */
+function transactionsSchema(name) {
+  return `CREATE TABLE IF NOT EXISTS ${name} (
+      mint TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      slot INTEGER,
+      block_time INTEGER,
+      wallet TEXT,
+      amount_change TEXT,
+      processed_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (mint, signature)
+    )`;
+}
+
+/**
+ * Check whether a table has a given column
+ */
+function hasColumn(table, column) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  return columns.some(c => c.name === column);
+}
+
+/**
+ * Rebuild single-token wallets/transactions tables with a mint column.
+ * Existing rows belong to TOKEN_MINT (the only token tracked before).
+ * No-op on fresh databases and on already-migrated ones.
+ */
+function migrateMultiToken() {
+  const primaryMint = process.env.TOKEN_MINT || '';
+
+  if (!hasColumn('wallets', 'mint')) {
+    db.exec('BEGIN');
+    try {
+      db.exec(walletsSchema('wallets_mt'));
+      db.prepare(`
+        INSERT INTO wallets_mt (mint, address, first_buy_ts, first_buy_amount, total_received, total_sent,
+          current_balance, peak_balance, last_tx_signature, updated_at,
+          k_wallet, k_wallet_tokens, k_wallet_updated_at, k_wallet_slot)
+        SELECT ?, address, first_buy_ts, first_buy_amount, total_received, total_sent,
+          current_balance, peak_balance, last_tx_signature, updated_at,
+          k_wallet, k_wallet_tokens, k_wallet_updated_at, k_wallet_slot
+        FROM wallets
+      `).run(primaryMint);
+      db.exec('DROP TABLE wallets');
+      db.exec('ALTER TABLE wallets_mt RENAME TO wallets');
+      db.exec('COMMIT');
+      console.log('[DB] Migrated wallets table to multi-token schema');
+    } catch (e) {
+      db.exec('ROLLBACK');
+      console.error(`[DB] Wallets multi-token migration failed: ${e.message}`);
+    }
+  }
+
+  if (!hasColumn('transactions', 'mint')) {
+    db.exec('BEGIN');
+    try {
+      db.exec(transactionsSchema('transactions_mt'));
+      db.prepare(`
+        INSERT INTO transactions_mt (mint, signature, slot, block_time, wallet, amount_change, processed_at)
+        SELECT ?, signature, slot, block_time, wallet, amount_change, processed_at
+        FROM transactions
+      `).run(primaryMint);
+      db.exec('DROP TABLE transactions');
+      db.exec('ALTER TABLE transactions_mt RENAME TO transactions');
+      db.exec('COMMIT');
+      console.log('[DB] Migrated transactions table to multi-token schema');
+    } catch (e) {
+      db.exec('ROLLBACK');
+      console.error(`[DB] Transactions multi-token migration failed: ${e.message}`);
+    }
+  }
+
+  db.prepare('UPDATE snapshots SET mint = ? WHERE mint IS NULL').run(primaryMint);
+}
+
+/**
+ * Add per-kind flow columns to wallets (purchases vs peer transfers vs airdrops)
+ * Legacy rows counted every receive as a buy and every send as a sell,
+ * so bought/sold start from total_received/total_sent.
+ */
+function migrateTransferFlows() {
+  if (hasColumn('wallets', 'bought')) return;
+
+  db.exec('BEGIN');
+  try {
+    db.exec(`ALTER TABLE wallets ADD COLUMN first_buy_source TEXT`);
+    db.exec(`ALTER TABLE wallets ADD COLUMN bought TEXT DEFAULT '0'`);
+    db.exec(`ALTER TABLE wallets ADD COLUMN sold TEXT DEFAULT '0'`);
+    db.exec(`ALTER TABLE wallets ADD COLUMN transferred_in TEXT DEFAULT '0'`);
+    db.exec(`ALTER TABLE wallets ADD COLUMN transferred_out TEXT DEFAULT '0'`);
+    db.exec(`ALTER TABLE wallets ADD COLUMN airdropped TEXT DEFAULT '0'`);
+    db.exec(`UPDATE wallets SET bought = total_received, sold = total_sent`);
+    db.exec('COMMIT');
+    console.log('[DB] Added transfer flow columns to wallets');
+  } catch (e) {
+    db.exec('ROLLBACK');
+    console.error(`[DB] Transfer flow migration failed: ${e.message}`);
+  }
+}
+
+/**
+ * Move pending entries of the per-type queues (k_wallet_queue, token_queue) into jobs
+ * and drop those tables. No-op once they are gone.
+ */
+function migrateLegacyQueues() {
+  const legacy = [
+    { table: 'k_wallet_queue', type: 'k_wallet', key: 'address', payload: () => null },
+    { table: 'token_queue', type: 'token_k', key: 'mint', payload: (row) => (row.mode ? JSON.stringify({ mode: row.mode }) : null) },
+  ];
+
+  for (const { table, type, key, payload } of legacy) {
+    if (!db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table)) continue;
+
+    db.exec('BEGIN');
+    try {
+      const insert = db.prepare(`
+        INSERT INTO jobs (id, type, key, status, priority, payload, attempts, error, created_at, updated_at)
+        VALUES (?, ?, ?, 'queued', ?, ?, ?, ?, ?, unixepoch())
+      `);
+      const rows = db.prepare(`SELECT * FROM ${table}`).all();
+      for (const row of rows) {
+        insert.run(randomUUID(), type, row[key], row.priority || 0, payload(row), row.attempts || 0, row.last_error || null, row.created_at);
+      }
+      db.exec(`DROP TABLE ${table}`);
+      db.exec('COMMIT');
+      console.log(`[DB] Moved ${rows.length} ${table} entries to jobs`);
+    } catch (e) {
+      db.exec('ROLLBACK');
+      console.error(`[DB] ${table} migration failed: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Register TOKEN_MINT (and TRACKED_MINTS) as tier 1 tracked tokens
+ */
+function seedTrackedTokens() {
+  const primaryMint = process.env.TOKEN_MINT;
+  const extraMints = (process.env.TRACKED_MINTS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  const stmt = db.prepare(`
+    INSERT INTO tokens (mint, symbol, tier, launch_ts, sync_status)
+    VALUES (?, ?, 1, ?, 'tracked')
+    ON CONFLICT(mint) DO UPDATE SET
+      tier = 1,
+      symbol = COALESCE(tokens.symbol, excluded.symbol),
+      launch_ts = COALESCE(tokens.launch_ts, excluded.launch_ts)
+  `);
+
+  try {
+    if (primaryMint) {
+      stmt.run(primaryMint, process.env.TOKEN_SYMBOL || null, parseInt(process.env.TOKEN_LAUNCH_TS || '0') || null);
+    }
+    for (const mint of extraMints) {
+      stmt.run(mint, null, null);
+    }
+  } catch (e) {
+    console.warn(`[DB] Tracked token seed failed: ${e.message}`);
+  }
+}
+
 /**
  * In-memory fallback database
  */
@@ -0,0 +1,231 @@
+/**
+ * Job Database Operations
+ *
+ * Persistent background jobs (K_wallet scans, token K calculations).
+ * One row per run: queued -> running -> done | failed. A failed run is re-queued
+ * until max_attempts; a running job whose lock expired (worker died) is claimable again.
+ * Enqueuing a key that already has a pending job returns that job.
+ */
+
+import { randomUUID } from 'crypto';
+import { getDb } from './connection.js';
+
+export const JOB_TYPES = ['k_wallet', 'token_k'];
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+/**
+ * Queue a job, or return the key's pending one (priority raised, payload kept unless given)
+ * @param {string} type - Job type (JOB_TYPES)
+ * @param {string} key - Subject of the job (wallet address, token mint)
+ * @param {Object} options - { priority, payload, maxAttempts,
+ *   requeueRunning: queue another run behind a running job (its input changed since it started) }
+ * @returns {Promise<Object>} Job
+ */
+export async function enqueueJob(type, key, { priority = 0, payload = null, maxAttempts = 3, requeueRunning = false } = {}) {
+  const db = await getDb();
+  const active = db.prepare(`
+    SELECT * FROM jobs WHERE type = ? AND key = ? AND status IN ('queued', 'running')
+    ORDER BY status = 'queued' DESC, created_at DESC
+    LIMIT 1
+  `).get(type, key);
+
+  if (active?.status === 'queued') {
+    db.prepare(`
+      UPDATE jobs SET priority = MAX(priority, ?), payload = COALESCE(?, payload), updated_at = unixepoch()
+      WHERE id = ?
+    `).run(priority, payload ? JSON.stringify(payload) : null, active.id);
+    return getJob(active.id);
+  }
+
+  if (active && !requeueRunning) return formatJob(active);
+
+  const id = randomUUID();
+  db.prepare(`
+    INSERT INTO jobs (id, type, key, status, priority, payload, max_attempts, created_at, updated_at)
+    VALUES (?, ?, ?, 'queued', ?, ?, ?, unixepoch(), unixepoch())
+  `).run(id, type, key, priority, payload ? JSON.stringify(payload) : null, maxAttempts);
+  return getJob(id);
+}
+
+/**
+ * Queue jobs for many keys (see enqueueJob)
+ * @returns {Promise<number>} Keys queued
+ */
+export async function enqueueJobs(type, keys, options = {}) {
+  for (const key of keys) {
+    await enqueueJob(type, key, options);
+  }
+  return keys.length;
+}
+
+/**
+ * Claim the next job of a type (highest priority, oldest first) and mark it running
+ * @param {number} lockSeconds - Time before an unfinished run is considered dead
+ * @returns {Promise<Object|null>} Job
+ */
+export async function claimJob(type, lockSeconds = 300) {
+  const db = await getDb();
+  const now = Math.floor(Date.now() / 1000);
+
+  // Dead runs out of attempts
+  db.prepare(`
+    UPDATE jobs SET status = 'failed', error = COALESCE(error, 'Lock expired'), finished_at = ?, updated_at = ?, locked_until = NULL
+    WHERE type = ? AND status = 'running' AND locked_until < ? AND attempts >= max_attempts
+  `).run(now, now, type, now);
+
+  const row = db.prepare(`
+    SELECT id FROM jobs
+    WHERE type = ? AND (status = 'queued' OR (status = 'running' AND locked_until < ?))
+    ORDER BY priority DESC, created_at ASC
+    LIMIT 1
+  `).get(type, now);
+
+  if (!row) return null;
+
+  db.prepare(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ?, locked_until = ?
+    WHERE id = ?
+  `).run(now, now, now + lockSeconds, row.id);
+
+  return getJob(row.id);
+}
+
+/**
+ * Record progress of a running job and extend its lock
+ * @param {Object} progress - e.g. { pages, positions }
+ */
+export async function updateJobProgress(id, progress, lockSeconds = 300) {
+  const db = await getDb();
+  const now = Math.floor(Date.now() / 1000);
+  db.prepare(`
+    UPDATE jobs SET progress = ?, updated_at = ?, locked_until = ? WHERE id = ? AND status = 'running'
+  `).run(JSON.stringify(progress), now, now + lockSeconds, id);
+}
+
+/**
+ * Mark a job done
+ * @param {Object|null} result - Summary stored with the job
+ */
+export async function completeJob(id, result = null) {
+  const db = await getDb();
+  db.prepare(`
+    UPDATE jobs SET status = 'done', result = ?, error = NULL, finished_at = unixepoch(), updated_at = unixepoch(), locked_until = NULL
+    WHERE id = ?
+  `).run(result ? JSON.stringify(result) : null, id);
+}
+
+/**
+ * Mark a run failed: re-queued while attempts remain (and no newer run is queued), failed otherwise
+ * @returns {Promise<string>} New status
+ */
+export async function failJob(id, error) {
+  const db = await getDb();
+  const job = db.prepare('SELECT type, key, attempts, max_attempts FROM jobs WHERE id = ?').get(id);
+  if (!job) return null;
+
+  const queued = db.prepare(`SELECT 1 FROM jobs WHERE type = ? AND key = ? AND status = 'queued' AND id != ?`)
+    .get(job.type, job.key, id);
+  const status = job.attempts >= job.max_attempts || queued ? 'failed' : 'queued';
+
+  db.prepare(`
+    UPDATE jobs SET
+      status = ?,
+      finished_at = CASE WHEN ? = 'failed' THEN unixepoch() END,
+      error = ?,
+      updated_at = unixepoch(),
+      locked_until = NULL
+    WHERE id = ?
+  `).run(status, status, error, id);
+  return status;
+}
+
+/**
+ * Put a type's running jobs back in the queue (startup: their worker is gone)
+ * @returns {Promise<number>} Jobs re-queued
+ */
+export async function requeueRunningJobs(type) {
+  const db = await getDb();
+  return db.prepare(`
+    UPDATE jobs SET status = 'queued', updated_at = unixepoch(), locked_until = NULL
+    WHERE type = ? AND status = 'running'
+  `).run(type).changes;
+}
+
+/**
+ * Get a job by ID
+ */
+export async function getJob(id) {
+  const db = await getDb();
+  const row = db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+  return row ? formatJob(row) : null;
+}
+
+/**
+ * Pending (queued or running) job of a key if any, else its most recent one (null if none)
+ */
+export async function getLatestJob(type, key) {
+  const db = await getDb();
+  const row = db.prepare(`
+    SELECT * FROM jobs WHERE type = ? AND key = ?
+    ORDER BY status IN ('queued', 'running') DESC, status = 'running' DESC, created_at DESC
+    LIMIT 1
+  `).get(type, key);
+  return row ? formatJob(row) : null;
+}
+
+/**
+ * Job counts of a type
+ */
+export async function getJobStats(type) {
+  const db = await getDb();
+  const rows = db.prepare('SELECT status, COUNT(*) as count FROM jobs WHERE type = ? GROUP BY status').all(type);
+  const counts = Object.fromEntries(JOB_STATUSES.map((status) => [status, 0]));
+  for (const row of rows) counts[row.status] = row.count;
+  return counts;
+}
+
+/**
+ * Delete finished jobs of a type
+ * @param {number} maxAgeSeconds - Keep jobs finished more recently
+ */
+export async function cleanupJobs(type, maxAgeSeconds = 7 * 86400) {
+  const db = await getDb();
+  const stmt = db.prepare("DELETE FROM jobs WHERE type = ? AND status IN ('done', 'failed') AND finished_at < ?");
+  return stmt.run(type, Math.floor(Date.now() / 1000) - maxAgeSeconds).changes;
+}
+
+function formatJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    key: row.key,
+    status: row.status,
+    priority: row.priority,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    progress: row.progress ? JSON.parse(row.progress) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    updated_at: row.updated_at,
+  };
+}
+
+export default {
+  JOB_TYPES,
+  JOB_STATUSES,
+  enqueueJob,
+  enqueueJobs,
+  claimJob,
+  updateJobProgress,
+  completeJob,
+  failJob,
+  requeueRunningJobs,
+  getJob,
+  getLatestJob,
+  getJobStats,
+  cleanupJobs,
+};
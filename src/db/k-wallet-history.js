@@ -0,0 +1,50 @@
+/**
+ * K_wallet History Database Operations
+ *
+ * K_wallet series of a wallet: one row per completed K_wallet calculation
+ * (wallets only keeps the latest value).
+ */
+
+import { getDb } from './connection.js';
+
+/**
+ * Append a completed K_wallet calculation to the history
+ * @param {Object} entry - { kWallet, kWalletComplete, kWalletDecayed, confidence, tokensAnalyzed, slot } (K_wallet in %)
+ */
+export async function saveKWalletSnapshot(address, entry) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO k_wallet_history (address, k_wallet, k_wallet_complete, k_wallet_decayed, confidence, tokens_analyzed, slot, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, unixepoch())
+  `);
+  stmt.run(
+    address,
+    entry.kWallet,
+    entry.kWalletComplete ?? null,
+    entry.kWalletDecayed ?? null,
+    entry.confidence ?? null,
+    entry.tokensAnalyzed ?? null,
+    entry.slot ?? null
+  );
+}
+
+/**
+ * Get a wallet's K_wallet history (newest first)
+ * @param {Object} options - { from, to, limit } from/to: unix seconds (inclusive)
+ */
+export async function getKWalletHistory(address, { from = 0, to = null, limit = 1000 } = {}) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT k_wallet, k_wallet_complete, k_wallet_decayed, confidence, tokens_analyzed, slot, created_at
+    FROM k_wallet_history
+    WHERE address = ? AND created_at >= ? AND created_at <= ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `);
+  return stmt.all(address, from, to ?? Math.floor(Date.now() / 1000), limit);
+}
+
+export default {
+  saveKWalletSnapshot,
+  getKWalletHistory,
+};
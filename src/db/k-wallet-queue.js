@@ -1,75 +1,48 @@
 /**
  * K_wallet Queue Database Operations
  *
- * Background queue for K_wallet calculations.
- * Uses locking to prevent race conditions.
+ * Background queue for K_wallet calculations (k_wallet jobs, see jobs.js).
  */
 
 import { getDb } from './connection.js';
+import { enqueueJob, enqueueJobs, claimJob, getJobStats } from './jobs.js';
+import { saveKWalletSnapshot, getKWalletHistory } from './k-wallet-history.js';
+import { computeKTrend } from './token-snapshots.js';
+
+const MAX_ATTEMPTS = 5;
 
 /**
  * Enqueue a wallet for K_wallet calculation
+ * @param {Object} options - { requeueRunning: new transactions since a running scan started }
+ * @returns {Promise<Object>} Job
  */
-export async function enqueueKWallet(address, priority = 0) {
-  const db = await getDb();
-  const stmt = db.prepare(`
-    INSERT INTO k_wallet_queue (address, priority, created_at)
-    VALUES (?, ?, unixepoch())
-    ON CONFLICT(address) DO UPDATE SET
-      priority = MAX(k_wallet_queue.priority, excluded.priority),
-      locked_until = NULL
-  `);
-  stmt.run(address, priority);
+export async function enqueueKWallet(address, priority = 0, { requeueRunning = false } = {}) {
+  return enqueueJob('k_wallet', address, { priority, maxAttempts: MAX_ATTEMPTS, requeueRunning });
 }
 
 /**
  * Enqueue multiple wallets (batch)
  */
 export async function enqueueKWalletBatch(addresses, priority = 0) {
-  const db = await getDb();
-  const stmt = db.prepare(`
-    INSERT INTO k_wallet_queue (address, priority, created_at)
-    VALUES (?, ?, unixepoch())
-    ON CONFLICT(address) DO UPDATE SET
-      priority = MAX(k_wallet_queue.priority, excluded.priority),
-      locked_until = NULL
-  `);
-  for (const address of addresses) {
-    stmt.run(address, priority);
-  }
+  return enqueueJobs('k_wallet', addresses, { priority, maxAttempts: MAX_ATTEMPTS });
 }
 
 /**
- * Get next wallet to process from queue
- * Uses locking to prevent race conditions
+ * Claim the next K_wallet job
+ * @returns {Promise<Object|null>} { jobId, address }
  */
 export async function dequeueKWallet() {
-  const db = await getDb();
-  const now = Math.floor(Date.now() / 1000);
-  const lockDuration = 300; // 5 min lock
-
-  const stmt = db.prepare(`
-    SELECT address FROM k_wallet_queue
-    WHERE locked_until IS NULL OR locked_until < ?
-    ORDER BY priority DESC, created_at ASC
-    LIMIT 1
-  `);
-  const row = stmt.get(now);
-
-  if (!row) return null;
-
-  const lockStmt = db.prepare(`
-    UPDATE k_wallet_queue SET locked_until = ? WHERE address = ?
-  `);
-  lockStmt.run(now + lockDuration, row.address);
-
-  return row.address;
+  const job = await claimJob('k_wallet', 300); // 5 min lock, extended on progress
+  return job ? { jobId: job.id, address: job.key } : null;
 }
 
 /**
- * Mark K_wallet calculation as complete
+ * Store a K_wallet result, appending it to the wallet's history (k_wallet_history)
+ * @param {Object|null} platforms - K_wallet per launch platform (stored as JSON)
+ * @param {Object|null} coverage - { kWalletComplete, confidence, partial, historyComplete } (truncated histories)
+ * @param {Object|null} decayed - { kWallet, halfLifeDays } (recency-weighted K_wallet)
  */
-export async function completeKWallet(address, kWallet, tokensAnalyzed, slot = null) {
+export async function completeKWallet(address, kWallet, tokensAnalyzed, slot = null, platforms = null, coverage = null, decayed = null) {
   const db = await getDb();
 
   const updateStmt = db.prepare(`
@@ -77,46 +50,43 @@ export async function completeKWallet(address, kWallet, tokensAnalyzed, slot = n
       k_wallet = ?,
       k_wallet_tokens = ?,
       k_wallet_updated_at = unixepoch(),
-      k_wallet_slot = ?
+      k_wallet_slot = ?,
+      k_wallet_platforms = ?,
+      k_wallet_complete = ?,
+      k_wallet_confidence = ?,
+      k_wallet_partial = ?,
+      k_wallet_history_complete = ?,
+      k_wallet_decayed = ?,
+      k_wallet_half_life = ?
     WHERE address = ?
   `);
-  updateStmt.run(kWallet, tokensAnalyzed, slot, address);
-
-  const deleteStmt = db.prepare('DELETE FROM k_wallet_queue WHERE address = ?');
-  deleteStmt.run(address);
-}
-
-/**
- * Mark K_wallet calculation as failed (will retry)
- */
-export async function failKWallet(address, error) {
-  const db = await getDb();
-  const stmt = db.prepare(`
-    UPDATE k_wallet_queue SET
-      attempts = attempts + 1,
-      last_error = ?,
-      locked_until = NULL
-    WHERE address = ?
-  `);
-  stmt.run(error, address);
-}
-
-/**
- * Remove stale entries (too many attempts)
- */
-export async function cleanupKWalletQueue(maxAttempts = 5) {
-  const db = await getDb();
-  const stmt = db.prepare('DELETE FROM k_wallet_queue WHERE attempts >= ?');
-  stmt.run(maxAttempts);
-}
-
-/**
- * Clear the entire K_wallet queue
- */
-export async function clearKWalletQueue() {
-  const db = await getDb();
-  const stmt = db.prepare('DELETE FROM k_wallet_queue');
-  stmt.run();
+  updateStmt.run(
+    kWallet,
+    tokensAnalyzed,
+    slot,
+    platforms ? JSON.stringify(platforms) : null,
+    coverage?.kWalletComplete ?? null,
+    coverage?.confidence ?? null,
+    coverage?.partial ?? null,
+    coverage ? (coverage.historyComplete ? 1 : 0) : null,
+    decayed?.kWallet ?? null,
+    decayed?.halfLifeDays ?? null,
+    address
+  );
+
+  if (kWallet !== null && kWallet !== undefined) {
+    await saveKWalletSnapshot(address, {
+      kWallet,
+      kWalletComplete: coverage?.kWalletComplete,
+      kWalletDecayed: decayed?.kWallet,
+      confidence: coverage?.confidence,
+      tokensAnalyzed,
+      slot,
+    });
+    const history = await getKWalletHistory(address, { from: Math.floor(Date.now() / 1000) - 90 * 86400 });
+    const trend = computeKTrend(history.map((row) => ({ k: row.k_wallet, created_at: row.created_at })));
+    db.prepare('UPDATE wallets SET k_wallet_delta_30d = ? WHERE address = ?').run(trend.k_delta_30d, address);
+  }
 }
 
 /**
@@ -124,17 +94,14 @@ export async function clearKWalletQueue() {
  */
 export async function getKWalletQueueStats() {
   const db = await getDb();
-  const now = Math.floor(Date.now() / 1000);
-
-  const total = db.prepare('SELECT COUNT(*) as count FROM k_wallet_queue').get();
-  const pending = db.prepare('SELECT COUNT(*) as count FROM k_wallet_queue WHERE locked_until IS NULL OR locked_until < ?').get(now);
-  const processing = db.prepare('SELECT COUNT(*) as count FROM k_wallet_queue WHERE locked_until >= ?').get(now);
-  const withKWallet = db.prepare('SELECT COUNT(*) as count FROM wallets WHERE k_wallet IS NOT NULL').get();
+  const jobs = await getJobStats('k_wallet');
+  const withKWallet = db.prepare('SELECT COUNT(DISTINCT address) as count FROM wallets WHERE k_wallet IS NOT NULL').get();
 
   return {
-    queue_total: total?.count || 0,
-    queue_pending: pending?.count || 0,
-    queue_processing: processing?.count || 0,
+    queue_total: jobs.queued + jobs.running,
+    queue_pending: jobs.queued,
+    queue_processing: jobs.running,
+    jobs_failed: jobs.failed,
     wallets_with_k_wallet: withKWallet?.count || 0,
   };
 }
@@ -144,8 +111,5 @@ export default {
   enqueueKWalletBatch,
   dequeueKWallet,
   completeKWallet,
-  failKWallet,
-  cleanupKWalletQueue,
-  clearKWalletQueue,
   getKWalletQueueStats,
 };
@@ -0,0 +1,126 @@
+/**
+ * Address Label Database Operations
+ *
+ * Persistent labels for non-holder accounts (pools, burn, team, CEX, bridges, programs).
+ * mint = '' applies to every token; team/treasury labels are usually per mint.
+ */
+
+import { getDb } from './connection.js';
+
+/**
+ * Label an address (replaces any existing label for the same address + mint)
+ * @param {Object} label - { address, label, mint, source, note }
+ */
+export async function setAddressLabel({ address, label, mint = null, source = 'admin', note = null }) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO address_labels (address, mint, label, source, note, created_at)
+    VALUES (?, ?, ?, ?, ?, unixepoch())
+    ON CONFLICT(address, mint) DO UPDATE SET
+      label = excluded.label,
+      source = excluded.source,
+      note = excluded.note
+  `);
+  stmt.run(address, mint || '', label, source, note);
+}
+
+/**
+ * Label many addresses without overriding existing labels (detection results)
+ * @returns {number} Labels added
+ */
+export async function addAddressLabels(labels, source = 'detection') {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO address_labels (address, mint, label, source, note, created_at)
+    VALUES (?, ?, ?, ?, ?, unixepoch())
+  `);
+  let added = 0;
+  for (const { address, label, mint = null, note = null } of labels) {
+    added += stmt.run(address, mint || '', label, source, note).changes;
+  }
+  return added;
+}
+
+/**
+ * Remove a label
+ */
+export async function removeAddressLabel(address, mint = null) {
+  const db = await getDb();
+  const stmt = db.prepare('DELETE FROM address_labels WHERE address = ? AND mint = ?');
+  return stmt.run(address, mint || '').changes > 0;
+}
+
+/**
+ * Get the label for an address (mint-specific label wins over global)
+ */
+export async function getAddressLabel(address, mint = null) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT address, mint, label, source, note, created_at
+    FROM address_labels
+    WHERE address = ? AND (mint = '' OR mint = ?)
+    ORDER BY mint DESC
+    LIMIT 1
+  `);
+  const row = stmt.get(address, mint || '');
+  return row ? formatLabel(row) : null;
+}
+
+/**
+ * Labels that apply to a mint (global + mint-specific)
+ * @returns {Map<string, string>} address -> label
+ */
+export async function getLabelsForMint(mint) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT address, label FROM address_labels
+    WHERE mint = '' OR mint = ?
+    ORDER BY mint ASC
+  `);
+  // Mint-specific rows come last and override global ones
+  return new Map(stmt.all(mint).map((row) => [row.address, row.label]));
+}
+
+/**
+ * List labels (admin)
+ */
+export async function listAddressLabels({ label, mint, limit = 100 } = {}) {
+  const db = await getDb();
+  let sql = 'SELECT address, mint, label, source, note, created_at FROM address_labels WHERE 1 = 1';
+  const params = [];
+
+  if (label) {
+    sql += ' AND label = ?';
+    params.push(label);
+  }
+
+  if (mint) {
+    sql += " AND (mint = '' OR mint = ?)";
+    params.push(mint);
+  }
+
+  sql += ' ORDER BY created_at DESC LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(sql).all(...params).map(formatLabel);
+}
+
+function formatLabel(row) {
+  return {
+    address: row.address,
+    mint: row.mint || null,
+    label: row.label,
+    source: row.source,
+    note: row.note,
+    created_at: row.created_at,
+  };
+}
+
+export default {
+  setAddressLabel,
+  addAddressLabels,
+  removeAddressLabel,
+  getAddressLabel,
+  getLabelsForMint,
+  listAddressLabels,
+};
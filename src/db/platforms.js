@@ -0,0 +1,91 @@
+/**
+ * Token Platform Database Operations
+ *
+ * Launch platform detected per mint (see platforms.js).
+ * platform NULL = checked, no supported platform found.
+ */
+
+import { getDb } from './connection.js';
+
+/**
+ * Store the detected platform of a mint
+ * @param {string} platform - null for unsupported mints, and for suffix mints whose launch was only looked up for its slot
+ * @param {string} source - 'launch' (launch transaction), 'suffix' (launch slot of a suffix mint) or 'admin'
+ * @param {number|null} launchSlot - Slot of the mint's launch transaction
+ */
+export async function setTokenPlatform(mint, platform, source = 'launch', signature = null, launchSlot = null) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO token_platforms (mint, platform, source, signature, launch_slot, detected_at)
+    VALUES (?, ?, ?, ?, ?, unixepoch())
+    ON CONFLICT(mint) DO UPDATE SET
+      platform = excluded.platform,
+      source = excluded.source,
+      signature = excluded.signature,
+      launch_slot = COALESCE(excluded.launch_slot, token_platforms.launch_slot),
+      detected_at = excluded.detected_at
+  `);
+  stmt.run(mint, platform, source, signature, launchSlot);
+}
+
+/**
+ * Get the stored platform detection for a mint (null if never checked)
+ */
+export async function getTokenPlatform(mint) {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT mint, platform, source, signature, launch_slot, detected_at FROM token_platforms WHERE mint = ?');
+  return stmt.get(mint) || null;
+}
+
+/**
+ * Stored launch slots of mints (mints without one are omitted)
+ * @returns {Promise<Map<string, number>>} mint -> launch slot
+ */
+export async function getLaunchSlots(mints) {
+  const db = await getDb();
+  const slots = new Map();
+  const stmt = db.prepare('SELECT launch_slot FROM token_platforms WHERE mint = ? AND launch_slot IS NOT NULL');
+  for (const mint of mints) {
+    const row = stmt.get(mint);
+    if (row) slots.set(mint, row.launch_slot);
+  }
+  return slots;
+}
+
+/**
+ * Mints detected on a supported platform (most recent detections first)
+ * @param {number} limit - Max mints returned
+ * @returns {Map<string, string>} mint -> platform
+ */
+export async function getDetectedPlatforms(limit = -1) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT mint, platform FROM token_platforms
+    WHERE platform IS NOT NULL
+    ORDER BY detected_at DESC
+    LIMIT ?
+  `);
+  return new Map(stmt.all(limit).map((row) => [row.mint, row.platform]));
+}
+
+/**
+ * Detected mints per platform
+ * @returns {Object} platform -> count
+ */
+export async function countDetectedPlatforms() {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT platform, COUNT(*) as count FROM token_platforms
+    WHERE platform IS NOT NULL
+    GROUP BY platform
+  `);
+  return Object.fromEntries(stmt.all().map((row) => [row.platform, row.count]));
+}
+
+export default {
+  setTokenPlatform,
+  getTokenPlatform,
+  getLaunchSlots,
+  getDetectedPlatforms,
+  countDetectedPlatforms,
+};
@@ -5,61 +5,203 @@
  */
 
 import { getDb } from './connection.js';
+import { getPrimaryMint } from './tokens.js';
+
+// Snapshot numeric columns (averaged weighted by samples when downsampling)
+const SNAPSHOT_METRICS = [
+  'k', 'k_supply', 'k_time', 'holders',
+  'never_sold', 'never_sold_pct',
+  'accumulators', 'accumulators_pct',
+  'maintained', 'maintained_pct',
+  'partial_sellers', 'partial_sellers_pct',
+  'major_sellers', 'major_sellers_pct',
+  'distributors', 'distributors_pct',
+  'avg_hold_days', 'og', 'og_pct',
+  'min_balance', 'token_price',
+];
+
+// Metrics kept fractional when averaged (the others are rounded to integers)
+const FRACTIONAL_METRICS = new Set(['avg_hold_days', 'token_price']);
+
+/**
+ * SQL averages of the snapshot metrics, each row weighted by the raw snapshots it stands for
+ * (samples) and NULL values ignored like AVG()
+ */
+function weightedAverages() {
+  return SNAPSHOT_METRICS.map((col) => {
+    const weight = `CASE WHEN ${col} IS NOT NULL THEN COALESCE(samples, 1) END`;
+    const avg = `SUM(${col} * COALESCE(samples, 1) * 1.0) / SUM(${weight})`;
+    return FRACTIONAL_METRICS.has(col) ? avg : `ROUND(${avg})`;
+  });
+}
 
 /**
- * Save a K-metric snapshot
+ * Save a K-metric snapshot (every field produced by calculator.calculate())
  */
-export async function saveSnapshot(data) {
+export async function saveSnapshot(data, mint = getPrimaryMint()) {
   const db = await getDb();
   const stmt = db.prepare(`
-    INSERT INTO snapshots (k, holders, never_sold, never_sold_pct, accumulators, accumulators_pct, maintained, maintained_pct)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO snapshots (
+      mint, k, k_supply, k_time, holders, never_sold, never_sold_pct, accumulators, accumulators_pct, maintained, maintained_pct,
+      partial_sellers, partial_sellers_pct, major_sellers, major_sellers_pct, distributors, distributors_pct, avg_hold_days, og, og_pct,
+      min_balance, token_price, model_version, resolution, samples
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'raw', 1)
   `);
-  stmt.run(data.k, data.holders, data.neverSold, data.neverSoldPct, data.accumulators, data.accumulatorsPct, data.maintained, data.maintainedPct);
+  stmt.run(
+    mint, data.k, data.kSupply ?? null, data.kTime ?? null, data.holders, data.neverSold, data.neverSoldPct, data.accumulators, data.accumulatorsPct,
+    data.maintained, data.maintainedPct, data.partialSellers ?? null, data.partialSellersPct ?? null,
+    data.majorSellers ?? null, data.majorSellersPct ?? null, data.distributors ?? null, data.distributorsPct ?? null, data.avgHoldDays ?? null, data.og ?? null,
+    data.ogPct ?? null, data.minBalance ?? null, data.price ?? null, data.model_version ?? null
+  );
 }
 
 /**
  * Get K-metric snapshots
  */
-export async function getSnapshots(limit = 30) {
+export async function getSnapshots(limit = 30, mint = getPrimaryMint()) {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT * FROM snapshots WHERE mint = ? ORDER BY created_at DESC LIMIT ?');
+  return stmt.all(mint, limit);
+}
+
+/**
+ * Get snapshots in a time range, optionally bucketed
+ * @param {Object} options - { mint, from, to, bucket, limit }
+ *   from/to: unix seconds (inclusive); bucket: seconds per bucket (0 = raw rows)
+ */
+export async function getSnapshotRange({ mint = getPrimaryMint(), from = 0, to = null, bucket = 0, limit = 1000 } = {}) {
+  const db = await getDb();
+  const until = to ?? Math.floor(Date.now() / 1000);
+
+  if (!bucket) {
+    const stmt = db.prepare(`
+      SELECT * FROM snapshots
+      WHERE mint = ? AND created_at >= ? AND created_at <= ?
+      ORDER BY created_at DESC
+      LIMIT ?
+    `);
+    return stmt.all(mint, from, until, limit);
+  }
+
+  const averages = weightedAverages()
+    .map((avg, i) => `${avg} as ${SNAPSHOT_METRICS[i]}`)
+    .join(', ');
+  const stmt = db.prepare(`
+    SELECT (created_at / CAST(? AS INTEGER)) * CAST(? AS INTEGER) as bucket_start, ${averages},
+      SUM(COALESCE(samples, 1)) as samples, MAX(model_version) as model_version
+    FROM snapshots
+    WHERE mint = ? AND created_at >= ? AND created_at <= ?
+    GROUP BY bucket_start
+    ORDER BY bucket_start DESC
+    LIMIT ?
+  `);
+  return stmt.all(bucket, bucket, mint, from, until, limit)
+    .map(({ bucket_start, ...row }) => ({ ...row, mint, created_at: bucket_start }));
+}
+
+/**
+ * Downsample snapshots older than a cutoff into coarser buckets
+ * Rows of `fromResolution` older than `olderThan` are replaced by one
+ * `toResolution` row per bucket (metrics averaged weighted by samples, samples summed).
+ * @returns {number} Number of source rows rolled up
+ */
+export async function rollupSnapshots(mint, fromResolution, toResolution, bucket, olderThan) {
+  const db = await getDb();
+  // Only roll up complete buckets
+  const cutoff = Math.floor(olderThan / bucket) * bucket;
+
+  const count = db.prepare(`
+    SELECT COUNT(*) as count FROM snapshots
+    WHERE mint = ? AND COALESCE(resolution, 'raw') = ? AND created_at < ?
+  `).get(mint, fromResolution, cutoff);
+
+  if (!count?.count) return 0;
+
+  const averages = weightedAverages().join(', ');
+
+  db.exec('BEGIN');
+  try {
+    db.prepare(`
+      INSERT INTO snapshots (mint, created_at, ${SNAPSHOT_METRICS.join(', ')}, model_version, resolution, samples)
+      SELECT mint, (created_at / CAST(? AS INTEGER)) * CAST(? AS INTEGER), ${averages}, MAX(model_version), ?, SUM(COALESCE(samples, 1))
+      FROM snapshots
+      WHERE mint = ? AND COALESCE(resolution, 'raw') = ? AND created_at < ?
+      GROUP BY created_at / CAST(? AS INTEGER)
+    `).run(bucket, bucket, toResolution, mint, fromResolution, cutoff, bucket);
+
+    db.prepare(`
+      DELETE FROM snapshots
+      WHERE mint = ? AND COALESCE(resolution, 'raw') = ? AND created_at < ?
+    `).run(mint, fromResolution, cutoff);
+
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+
+  return count.count;
+}
+
+// Sync state kept per mint (see syncStateKey)
+const MINT_SYNC_STATE_KEYS = [
+  'last_sync', 'last_full_sync', 'full_sync_slot', 'first_tx_time', 'total_transactions',
+  'one_usd_threshold', 'token_price',
+];
+
+/**
+ * Sync state key for a mint
+ * Primary token keeps unscoped keys (backwards compatible)
+ */
+function syncStateKey(key, mint) {
+  if (!mint || mint === getPrimaryMint()) return key;
+  return `${key}:${mint}`;
+}
+
+/**
+ * Delete a mint's sync state (every per-mint key)
+ */
+export async function clearSyncState(mint) {
   const db = await getDb();
-  const stmt = db.prepare('SELECT * FROM snapshots ORDER BY created_at DESC LIMIT ?');
-  return stmt.all(limit);
+  const keys = MINT_SYNC_STATE_KEYS.map((key) => syncStateKey(key, mint));
+  return db.prepare(`DELETE FROM sync_state WHERE key IN (${keys.map(() => '?').join(',')})`).run(...keys).changes;
 }
 
 /**
  * Get sync state value
  */
-export async function getSyncState(key) {
+export async function getSyncState(key, mint = null) {
   const db = await getDb();
   const stmt = db.prepare('SELECT value FROM sync_state WHERE key = ?');
-  const row = stmt.get(key);
+  const row = stmt.get(syncStateKey(key, mint));
   return row?.value;
 }
 
 /**
  * Set sync state value
  */
-export async function setSyncState(key, value) {
+export async function setSyncState(key, value, mint = null) {
   const db = await getDb();
   const stmt = db.prepare(`
     INSERT INTO sync_state (key, value, updated_at) VALUES (?, ?, unixepoch())
     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = unixepoch()
   `);
-  stmt.run(key, value);
+  stmt.run(syncStateKey(key, mint), value);
 }
 
 /**
- * Get database statistics
+ * Get database statistics for a tracked token
  */
-export async function getStats() {
+export async function getStats(mint = getPrimaryMint()) {
   const db = await getDb();
-  const walletCount = db.prepare('SELECT COUNT(*) as count FROM wallets').get();
-  const txCount = db.prepare('SELECT COUNT(*) as count FROM transactions').get();
-  const snapshotCount = db.prepare('SELECT COUNT(*) as count FROM snapshots').get();
-  const lastSync = await getSyncState('last_sync');
+  const walletCount = db.prepare('SELECT COUNT(*) as count FROM wallets WHERE mint = ?').get(mint);
+  const txCount = db.prepare('SELECT COUNT(*) as count FROM transactions WHERE mint = ?').get(mint);
+  const snapshotCount = db.prepare('SELECT COUNT(*) as count FROM snapshots WHERE mint = ?').get(mint);
+  const lastSync = await getSyncState('last_sync', mint);
 
   return {
+    mint,
     wallets: walletCount?.count || 0,
     transactions: txCount?.count || 0,
     snapshots: snapshotCount?.count || 0,
@@ -70,7 +212,10 @@ export async function getStats() {
 export default {
   saveSnapshot,
   getSnapshots,
+  getSnapshotRange,
+  rollupSnapshots,
   getSyncState,
   setSyncState,
+  clearSyncState,
   getStats,
 };
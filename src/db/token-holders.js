@@ -0,0 +1,103 @@
+/**
+ * Token Holder Database Operations
+ *
+ * Per-holder analysis of on-demand (non-tracked) tokens, replaced on every
+ * calculateTokenK() run. Tracked tokens serve holders from the wallets table.
+ */
+
+import { getDb } from './connection.js';
+
+export const TOKEN_HOLDER_SORTS = {
+  balance: 'CAST(balance AS INTEGER)',
+  retention: 'retention',
+  first_buy: 'first_buy_ts',
+};
+
+/**
+ * Replace the stored holders of a token with a new analysis
+ * @param {string} mint - Token mint
+ * @param {Object[]} holders - [{ address, balance, first_buy_amount, first_buy_ts, retention, classification }]
+ * @param {string} modelVersion - Scoring model used
+ */
+export async function replaceTokenHolders(mint, holders, modelVersion) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO token_holders (mint, address, balance, first_buy_amount, first_buy_ts, retention, classification, model_version, analyzed_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
+  `);
+
+  db.exec('BEGIN');
+  try {
+    db.prepare('DELETE FROM token_holders WHERE mint = ?').run(mint);
+    for (const holder of holders) {
+      stmt.run(
+        mint,
+        holder.address,
+        String(holder.balance || 0),
+        String(holder.first_buy_amount || 0),
+        holder.first_buy_ts || null,
+        holder.retention,
+        holder.classification,
+        modelVersion
+      );
+    }
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Get stored holders of a token (filtered, sorted, paginated)
+ * @param {string} mint - Token mint
+ * @param {Object} options - { classification, minRetention, sort, order, limit, offset }
+ * @returns {Promise<{holders: Object[], total: number}>} total = matching rows before pagination
+ */
+export async function getTokenHolders(mint, { classification, minRetention, sort = 'balance', order = 'desc', limit = 100, offset = 0 } = {}) {
+  const db = await getDb();
+  let where = 'WHERE mint = ?';
+  const params = [mint];
+
+  if (classification) {
+    where += ' AND classification = ?';
+    params.push(classification);
+  }
+
+  if (minRetention !== undefined && minRetention !== null) {
+    where += ' AND retention >= ?';
+    params.push(minRetention);
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM token_holders ${where}`).get(...params);
+
+  const column = TOKEN_HOLDER_SORTS[sort] || TOKEN_HOLDER_SORTS.balance;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const rows = db.prepare(`
+    SELECT address, balance, first_buy_amount, first_buy_ts, retention, classification, model_version, analyzed_at
+    FROM token_holders ${where}
+    ORDER BY ${column} ${direction}, address ASC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { holders: rows, total: total?.count || 0 };
+}
+
+/**
+ * Classification counts of a token's stored holders
+ */
+export async function getTokenHolderBreakdown(mint) {
+  const db = await getDb();
+  const rows = db.prepare(`
+    SELECT classification, COUNT(*) as count FROM token_holders
+    WHERE mint = ? GROUP BY classification
+  `).all(mint);
+  return Object.fromEntries(rows.map((row) => [row.classification, row.count]));
+}
+
+export default {
+  TOKEN_HOLDER_SORTS,
+  replaceTokenHolders,
+  getTokenHolders,
+  getTokenHolderBreakdown,
+};
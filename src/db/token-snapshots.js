@@ -0,0 +1,100 @@
+/**
+ * Token Snapshot Database Operations
+ *
+ * K history of on-demand tokens: one row per completed calculateTokenK() run
+ * (tracked tokens keep their history in the snapshots table).
+ */
+
+import { getDb } from './connection.js';
+
+const DAY = 86400;
+
+/**
+ * Append a completed token calculation to the history
+ * @param {string} mint - Token mint
+ * @param {Object} result - calculateTokenK() result
+ */
+export async function saveTokenSnapshot(mint, result) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO token_snapshots (mint, k, k_supply, k_time, holders, analyzed, accumulators, maintained, reducers, extractors, model_version, calc_mode, k_ci_low, k_ci_high, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
+  `);
+  stmt.run(
+    mint,
+    result.k,
+    result.k_supply ?? null,
+    result.k_time ?? null,
+    result.holders ?? null,
+    result.analyzed ?? null,
+    result.accumulators ?? null,
+    result.maintained ?? null,
+    result.reducers ?? null,
+    result.extractors ?? null,
+    result.model_version || null,
+    result.mode || null,
+    result.k_ci_low ?? null,
+    result.k_ci_high ?? null
+  );
+}
+
+/**
+ * Get a token's K history (newest first)
+ * @param {Object} options - { from, to, limit } from/to: unix seconds (inclusive)
+ */
+export async function getTokenSnapshots(mint, { from = 0, to = null, limit = 1000 } = {}) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT k, k_supply, k_time, holders, analyzed, accumulators, maintained, reducers, extractors,
+           model_version, calc_mode, k_ci_low, k_ci_high, created_at
+    FROM token_snapshots
+    WHERE mint = ? AND created_at >= ? AND created_at <= ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `);
+  return stmt.all(mint, from, to ?? Math.floor(Date.now() / 1000), limit);
+}
+
+/**
+ * K trend from a history series
+ * - k_delta_7d / k_delta_30d: latest K minus the last K at least 7 / 30 days older (null if none)
+ * - k_slope_30d: least-squares slope of K over the last 30 days, in K points per day
+ * @param {Object[]} points - [{ k, created_at }] (any order)
+ */
+export function computeKTrend(points) {
+  const series = points
+    .filter((p) => p.k !== null && p.k !== undefined)
+    .sort((a, b) => a.created_at - b.created_at);
+  const trend = { k_delta_7d: null, k_delta_30d: null, k_slope_30d: null };
+  if (series.length === 0) return trend;
+
+  const latest = series[series.length - 1];
+  const deltaSince = (days) => {
+    const base = series.filter((p) => p.created_at <= latest.created_at - days * DAY).pop();
+    return base ? latest.k - base.k : null;
+  };
+  trend.k_delta_7d = deltaSince(7);
+  trend.k_delta_30d = deltaSince(30);
+
+  const recent = series.filter((p) => p.created_at >= latest.created_at - 30 * DAY);
+  if (recent.length >= 2) {
+    const xs = recent.map((p) => (p.created_at - recent[0].created_at) / DAY);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = recent.reduce((sum, p) => sum + p.k, 0) / recent.length;
+    let num = 0;
+    let den = 0;
+    recent.forEach((p, i) => {
+      num += (xs[i] - meanX) * (p.k - meanY);
+      den += (xs[i] - meanX) ** 2;
+    });
+    if (den > 0) trend.k_slope_30d = Math.round((num / den) * 100) / 100;
+  }
+
+  return trend;
+}
+
+export default {
+  saveTokenSnapshot,
+  getTokenSnapshots,
+  computeKTrend,
+};
@@ -1,10 +1,26 @@
 /**
  * Token Database Operations
  *
- * Token K scoring registry and queue for multi-token support.
+ * Token K scoring registry and queue (token_k jobs) for multi-token support.
+ *
+ * Tiers:
+ * - 1: tracked (realtime webhook + polling sync, local holder rows)
+ * - 2: tracked on-demand (scheduled refresh, promoted by request frequency or pinned)
+ * - 3: on-demand (computed when requested)
  */
 
 import { getDb } from './connection.js';
+import { enqueueJob, claimJob, getJobStats } from './jobs.js';
+import { saveTokenSnapshot, getTokenSnapshots, computeKTrend } from './token-snapshots.js';
+import { clearSyncState } from './snapshots.js';
+
+/**
+ * Get the primary token mint (TOKEN_MINT)
+ * Read lazily so .env is loaded before first use
+ */
+export function getPrimaryMint() {
+  return process.env.TOKEN_MINT;
+}
 
 /**
  * Get token from registry
@@ -21,12 +37,14 @@ export async function getToken(mint) {
 export async function upsertToken(token) {
   const db = await getDb();
   const stmt = db.prepare(`
-    INSERT INTO tokens (mint, symbol, tier, k, holders, accumulators, maintained, reducers, extractors, last_sync, sync_duration_ms, sync_status, error_message, created_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
+    INSERT INTO tokens (mint, symbol, tier, k, k_supply, k_time, holders, accumulators, maintained, reducers, extractors, last_sync, sync_duration_ms, sync_status, error_message, model_version, calc_mode, analyzed, sample_strategy, sample_size, supply_covered, k_ci_low, k_ci_high, created_at)
+    VALUES (?, ?, COALESCE(?, 3), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
     ON CONFLICT(mint) DO UPDATE SET
       symbol = COALESCE(excluded.symbol, tokens.symbol),
-      tier = COALESCE(excluded.tier, tokens.tier),
+      tier = COALESCE(?, tokens.tier),
       k = excluded.k,
+      k_supply = excluded.k_supply,
+      k_time = excluded.k_time,
       holders = excluded.holders,
       accumulators = excluded.accumulators,
       maintained = excluded.maintained,
@@ -35,13 +53,23 @@ export async function upsertToken(token) {
       last_sync = excluded.last_sync,
       sync_duration_ms = excluded.sync_duration_ms,
       sync_status = excluded.sync_status,
-      error_message = excluded.error_message
+      error_message = excluded.error_message,
+      model_version = COALESCE(excluded.model_version, tokens.model_version),
+      calc_mode = COALESCE(excluded.calc_mode, tokens.calc_mode),
+      analyzed = COALESCE(excluded.analyzed, tokens.analyzed),
+      sample_strategy = COALESCE(excluded.sample_strategy, tokens.sample_strategy),
+      sample_size = COALESCE(excluded.sample_size, tokens.sample_size),
+      supply_covered = COALESCE(excluded.supply_covered, tokens.supply_covered),
+      k_ci_low = CASE WHEN excluded.sample_strategy IS NOT NULL THEN excluded.k_ci_low ELSE tokens.k_ci_low END,
+      k_ci_high = CASE WHEN excluded.sample_strategy IS NOT NULL THEN excluded.k_ci_high ELSE tokens.k_ci_high END
   `);
   stmt.run(
     token.mint,
     token.symbol || null,
-    token.tier || 3,
+    token.tier || null,
     token.k,
+    token.k_supply ?? null,
+    token.k_time ?? null,
     token.holders,
     token.accumulators,
     token.maintained,
@@ -50,61 +78,221 @@ export async function upsertToken(token) {
     token.last_sync || Math.floor(Date.now() / 1000),
     token.sync_duration_ms || null,
     token.sync_status || 'ready',
-    token.error_message || null
+    token.error_message || null,
+    token.model_version || null,
+    token.calc_mode || null,
+    token.analyzed ?? null,
+    token.sample_strategy || null,
+    token.sample_size ?? null,
+    token.supply_covered ?? null,
+    token.k_ci_low ?? null,
+    token.k_ci_high ?? null,
+    token.tier || null
   );
 }
 
 /**
- * Enqueue token for K calculation
+ * On-demand tokens (tier 2/3) with a K computed since a given time
+ * @param {number} since - Unix seconds (oldest last_sync still considered fresh)
  */
-export async function enqueueToken(mint, priority = 0) {
+export async function getFreshTokens(since) {
   const db = await getDb();
-
-  const tokenStmt = db.prepare(`
-    INSERT INTO tokens (mint, sync_status) VALUES (?, 'queued')
-    ON CONFLICT(mint) DO UPDATE SET sync_status = 'queued'
+  const stmt = db.prepare(`
+    SELECT * FROM tokens
+    WHERE tier != 1 AND k IS NOT NULL AND last_sync >= ?
   `);
-  tokenStmt.run(mint);
+  return stmt.all(since);
+}
 
+/**
+ * Get all tier 1 (tracked) tokens
+ */
+export async function getTrackedTokens() {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT * FROM tokens WHERE tier = 1 ORDER BY created_at ASC');
+  return stmt.all();
+}
+
+/**
+ * Get tracked token mints (primary first)
+ */
+export async function getTrackedMints() {
+  const primary = getPrimaryMint();
+  const tracked = (await getTrackedTokens()).map(t => t.mint);
+  return [...new Set([primary, ...tracked].filter(Boolean))];
+}
+
+/**
+ * Check if a mint is tracked with local holder data (tier 1)
+ */
+export async function isTrackedToken(mint) {
+  if (mint === getPrimaryMint()) return true;
+  const token = await getToken(mint);
+  return token?.tier === 1;
+}
+
+/**
+ * Register a token as tracked (tier 1)
+ */
+export async function trackToken({ mint, symbol = null, launchTs = null }) {
+  const db = await getDb();
   const stmt = db.prepare(`
-    INSERT INTO token_queue (mint, priority, created_at)
-    VALUES (?, ?, unixepoch())
+    INSERT INTO tokens (mint, symbol, tier, launch_ts, sync_status)
+    VALUES (?, ?, 1, ?, 'tracked')
     ON CONFLICT(mint) DO UPDATE SET
-      priority = MAX(token_queue.priority, excluded.priority),
-      locked_until = NULL
+      tier = 1,
+      symbol = COALESCE(excluded.symbol, tokens.symbol),
+      launch_ts = COALESCE(excluded.launch_ts, tokens.launch_ts)
   `);
-  stmt.run(mint, priority);
+  stmt.run(mint, symbol, launchTs);
+  return getToken(mint);
 }
 
 /**
- * Dequeue next token for processing
+ * Stop tracking a token (back to on-demand tier)
+ * Local holder rows are kept so tracking can be resumed.
  */
-export async function dequeueToken() {
+export async function untrackToken(mint) {
+  if (mint === getPrimaryMint()) {
+    throw new Error('Primary token (TOKEN_MINT) cannot be untracked');
+  }
   const db = await getDb();
-  const now = Math.floor(Date.now() / 1000);
-  const lockDuration = 600; // 10 min lock
+  const stmt = db.prepare('UPDATE tokens SET tier = 3 WHERE mint = ? AND tier = 1');
+  const result = stmt.run(mint);
+  return result.changes > 0;
+}
 
+/**
+ * Get token launch timestamp (OG early-buyer window start)
+ */
+export async function getTokenLaunchTs(mint) {
+  const token = await getToken(mint);
+  if (token?.launch_ts) return token.launch_ts;
+  if (mint === getPrimaryMint()) return parseInt(process.env.TOKEN_LAUNCH_TS || '0');
+  return 0;
+}
+
+/**
+ * Delete all local holder data for a tracked token (used by forced backfill)
+ */
+export async function clearTokenData(mint) {
+  const db = await getDb();
+  db.prepare('DELETE FROM wallets WHERE mint = ?').run(mint);
+  db.prepare('DELETE FROM transactions WHERE mint = ?').run(mint);
+  db.prepare('DELETE FROM snapshots WHERE mint = ?').run(mint);
+  await clearSyncState(mint);
+}
+
+/**
+ * Record a requester of a token's K (today's bucket, each requester counts once per day)
+ * @param {string} requester - API key or client IP identifier
+ */
+export async function recordTokenRequest(mint, requester) {
+  const db = await getDb();
+  const today = new Date().toISOString().split('T')[0];
   const stmt = db.prepare(`
-    SELECT mint FROM token_queue
-    WHERE locked_until IS NULL OR locked_until < ?
-    ORDER BY priority DESC, created_at ASC
-    LIMIT 1
+    INSERT OR IGNORE INTO token_requesters (mint, date, requester)
+    VALUES (?, ?, ?)
   `);
-  const row = stmt.get(now);
+  stmt.run(mint, today, requester);
+}
 
-  if (!row) return null;
+/**
+ * Request counts of on-demand tokens (tier 2/3) since a date
+ * @param {string} sinceDate - YYYY-MM-DD (inclusive)
+ * @returns {Promise<Object[]>} [{ mint, tier, tier_pinned, last_sync, requests }] requests: distinct requesters summed per day
+ */
+export async function getTokenRequestStats(sinceDate) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT t.mint, t.tier, t.tier_pinned, t.last_sync, COUNT(r.requester) as requests
+    FROM tokens t
+    LEFT JOIN token_requesters r ON r.mint = t.mint AND r.date >= ?
+    WHERE t.tier != 1
+    GROUP BY t.mint
+  `);
+  return stmt.all(sinceDate);
+}
 
-  const lockStmt = db.prepare('UPDATE token_queue SET locked_until = ? WHERE mint = ?');
-  lockStmt.run(now + lockDuration, row.mint);
+/**
+ * Set the tier of an on-demand token (2 or 3)
+ * @param {boolean} pinned - Admin pin: automatic promotion/demotion leaves it alone
+ * @returns {boolean} false if the token is unknown or tracked (tier 1)
+ */
+export async function setTokenTier(mint, tier, pinned = false) {
+  const db = await getDb();
+  const stmt = db.prepare('UPDATE tokens SET tier = ?, tier_pinned = ? WHERE mint = ? AND tier != 1');
+  return stmt.run(tier, pinned ? 1 : 0, mint).changes > 0;
+}
+
+/**
+ * Release an admin pin (tier stays until the next automatic evaluation)
+ */
+export async function unpinTokenTier(mint) {
+  const db = await getDb();
+  const stmt = db.prepare('UPDATE tokens SET tier_pinned = 0 WHERE mint = ? AND tier_pinned = 1');
+  return stmt.run(mint).changes > 0;
+}
+
+/**
+ * Tier 2 tokens whose K is older than a given time (due for scheduled refresh)
+ * Failed tokens back off: retried `backoff` seconds after the failure, doubling per
+ * consecutive failure (up to 64x).
+ */
+export async function getTier2RefreshDue(olderThan, backoff) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT mint FROM tokens
+    WHERE tier = 2 AND sync_status NOT IN ('queued', 'syncing') AND (last_sync IS NULL OR last_sync < ?)
+      AND NOT (sync_status = 'error' AND COALESCE(failed_at, 0) + ? * (1 << MIN(MAX(COALESCE(fail_count, 1) - 1, 0), 6)) > unixepoch())
+  `);
+  return stmt.all(olderThan, backoff).map((row) => row.mint);
+}
+
+/**
+ * Delete requesters recorded before a date
+ */
+export async function cleanupTokenRequests(beforeDate) {
+  const db = await getDb();
+  return db.prepare('DELETE FROM token_requesters WHERE date < ?').run(beforeDate).changes;
+}
+
+/**
+ * Enqueue token for K calculation (token_k job)
+ * @param {string|null} mode - Requested calculation mode ('full' sticks until the job runs)
+ * @returns {Promise<Object>} Job
+ */
+export async function enqueueToken(mint, priority = 0, mode = null) {
+  const db = await getDb();
+
+  const tokenStmt = db.prepare(`
+    INSERT INTO tokens (mint, sync_status) VALUES (?, 'queued')
+    ON CONFLICT(mint) DO UPDATE SET sync_status = CASE WHEN tokens.sync_status = 'syncing' THEN 'syncing' ELSE 'queued' END
+  `);
+  tokenStmt.run(mint);
+
+  return enqueueJob('token_k', mint, { priority, payload: mode ? { mode } : null });
+}
+
+/**
+ * Claim the next token K job
+ * @returns {Promise<Object|null>} { jobId, mint, mode }
+ */
+export async function dequeueToken() {
+  const db = await getDb();
+  const job = await claimJob('token_k', 600); // 10 min lock
+
+  if (!job) return null;
 
   const statusStmt = db.prepare("UPDATE tokens SET sync_status = 'syncing' WHERE mint = ?");
-  statusStmt.run(row.mint);
+  statusStmt.run(job.key);
 
-  return row.mint;
+  return { jobId: job.id, mint: job.key, mode: job.payload?.mode || null };
 }
 
 /**
  * Complete token K calculation
+ * Appends the result to the token's K history and refreshes its trend.
  */
 export async function completeToken(mint, result) {
   const db = await getDb();
@@ -112,38 +300,45 @@ export async function completeToken(mint, result) {
   await upsertToken({
     mint,
     k: result.k,
+    k_supply: result.k_supply,
+    k_time: result.k_time,
     holders: result.holders,
     accumulators: result.accumulators,
     maintained: result.maintained,
     reducers: result.reducers,
     extractors: result.extractors,
+    model_version: result.model_version,
+    calc_mode: result.mode,
+    analyzed: result.analyzed,
+    sample_strategy: result.sample_strategy,
+    sample_size: result.sample_size,
+    supply_covered: result.supply_covered,
+    k_ci_low: result.k_ci_low,
+    k_ci_high: result.k_ci_high,
     last_sync: Math.floor(Date.now() / 1000),
     sync_duration_ms: result.duration_ms,
     sync_status: 'ready',
     error_message: null,
   });
 
-  const deleteStmt = db.prepare('DELETE FROM token_queue WHERE mint = ?');
-  deleteStmt.run(mint);
+  if (result.k !== null && result.k !== undefined) {
+    await saveTokenSnapshot(mint, result);
+    const trend = computeKTrend(await getTokenSnapshots(mint, { from: Math.floor(Date.now() / 1000) - 90 * 86400 }));
+    db.prepare('UPDATE tokens SET k_delta_7d = ?, k_delta_30d = ?, k_slope_30d = ? WHERE mint = ?')
+      .run(trend.k_delta_7d, trend.k_delta_30d, trend.k_slope_30d, mint);
+  }
+
+  db.prepare('UPDATE tokens SET failed_at = NULL, fail_count = 0 WHERE mint = ?').run(mint);
 }
 
 /**
- * Mark token calculation as failed
+ * Mark token calculation as failed (the job decides on a retry)
  */
 export async function failToken(mint, error) {
   const db = await getDb();
-
-  const queueStmt = db.prepare(`
-    UPDATE token_queue SET
-      attempts = attempts + 1,
-      last_error = ?,
-      locked_until = NULL
-    WHERE mint = ?
-  `);
-  queueStmt.run(error, mint);
-
   const tokenStmt = db.prepare(`
-    UPDATE tokens SET sync_status = 'error', error_message = ? WHERE mint = ?
+    UPDATE tokens SET sync_status = 'error', error_message = ?, failed_at = unixepoch(), fail_count = COALESCE(fail_count, 0) + 1
+    WHERE mint = ?
   `);
   tokenStmt.run(error, mint);
 }
@@ -153,31 +348,20 @@ export async function failToken(mint, error) {
  */
 export async function getTokenQueueStats() {
   const db = await getDb();
-  const now = Math.floor(Date.now() / 1000);
-
-  const total = db.prepare('SELECT COUNT(*) as count FROM token_queue').get();
-  const pending = db.prepare('SELECT COUNT(*) as count FROM token_queue WHERE locked_until IS NULL OR locked_until < ?').get(now);
-  const processing = db.prepare('SELECT COUNT(*) as count FROM token_queue WHERE locked_until >= ?').get(now);
+  const jobs = await getJobStats('token_k');
   const indexed = db.prepare('SELECT COUNT(*) as count FROM tokens WHERE k IS NOT NULL').get();
 
   return {
-    queue_total: total?.count || 0,
-    queue_pending: pending?.count || 0,
-    queue_processing: processing?.count || 0,
+    queue_total: jobs.queued + jobs.running,
+    queue_pending: jobs.queued,
+    queue_processing: jobs.running,
+    jobs_failed: jobs.failed,
     tokens_indexed: indexed?.count || 0,
   };
 }
 
-/**
- * Cleanup stale token queue entries
- */
-export async function cleanupTokenQueue(maxAttempts = 3) {
-  const db = await getDb();
-  const stmt = db.prepare('DELETE FROM token_queue WHERE attempts >= ?');
-  stmt.run(maxAttempts);
-}
-
 export default {
+  getPrimaryMint,
   getToken,
   upsertToken,
   enqueueToken,
@@ -185,5 +369,18 @@ export default {
   completeToken,
   failToken,
   getTokenQueueStats,
-  cleanupTokenQueue,
+  recordTokenRequest,
+  getTokenRequestStats,
+  setTokenTier,
+  unpinTokenTier,
+  getTier2RefreshDue,
+  cleanupTokenRequests,
+  getFreshTokens,
+  getTrackedTokens,
+  getTrackedMints,
+  isTrackedToken,
+  trackToken,
+  untrackToken,
+  getTokenLaunchTs,
+  clearTokenData,
 };
@@ -5,55 +5,144 @@
  */
 
 import { getDb, getDbSync } from './connection.js';
+import { getPrimaryMint } from './tokens.js';
 
 /**
  * Record a transaction
+ * @returns {boolean} false if already recorded
  */
 export async function recordTransaction(tx) {
   const db = await getDb();
   const stmt = db.prepare(`
-    INSERT OR IGNORE INTO transactions (signature, slot, block_time, wallet, amount_change)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT OR IGNORE INTO transactions (mint, signature, slot, block_time, wallet, amount_change, kind)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `);
-  stmt.run(tx.signature, tx.slot || 0, tx.blockTime, tx.wallet, String(tx.amountChange || 0));
+  const result = stmt.run(
+    tx.mint || getPrimaryMint(),
+    tx.signature,
+    tx.slot || 0,
+    tx.blockTime,
+    tx.wallet,
+    String(tx.amountChange || 0),
+    tx.kind || null
+  );
+  return result.changes > 0;
 }
 
 /**
  * Get last processed PoH slot
  */
-export async function getLastProcessedSlot() {
+export async function getLastProcessedSlot(mint = getPrimaryMint()) {
   const db = await getDb();
-  const stmt = db.prepare('SELECT MAX(slot) as last_slot FROM transactions');
-  const row = stmt.get();
+  const stmt = db.prepare('SELECT MAX(slot) as last_slot FROM transactions WHERE mint = ?');
+  const row = stmt.get(mint);
   return row?.last_slot || 0;
 }
 
 /**
  * Get last processed transaction signature
  */
-export async function getLastProcessedSignature() {
+export async function getLastProcessedSignature(mint = getPrimaryMint()) {
   const db = await getDb();
-  const stmt = db.prepare('SELECT signature FROM transactions ORDER BY block_time DESC LIMIT 1');
-  const row = stmt.get();
+  const stmt = db.prepare('SELECT signature FROM transactions WHERE mint = ? ORDER BY block_time DESC LIMIT 1');
+  const row = stmt.get(mint);
   return row?.signature;
 }
 
 /**
  * Get recent transactions for live feed
  */
-export function getRecentTransactions(limit = 10) {
+export function getRecentTransactions(limit = 10, mint = getPrimaryMint()) {
   const db = getDbSync();
   if (!db) return [];
 
   const stmt = db.prepare(`
-    SELECT t.signature, t.slot, t.block_time, t.wallet, t.amount_change, t.processed_at,
+    SELECT t.signature, t.slot, t.block_time, t.wallet, t.amount_change, t.kind, t.processed_at,
            w.current_balance
     FROM transactions t
-    LEFT JOIN wallets w ON t.wallet = w.address
+    LEFT JOIN wallets w ON t.wallet = w.address AND w.mint = t.mint
+    WHERE t.mint = ?
     ORDER BY t.slot DESC
     LIMIT ?
   `);
-  return stmt.all(limit);
+  return stmt.all(mint, limit);
+}
+
+/**
+ * Get ledger entries for a mint up to (and including) a slot, in PoH order
+ */
+export async function getLedger(mint = getPrimaryMint(), maxSlot = Number.MAX_SAFE_INTEGER) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT wallet, slot, block_time, amount_change, kind, signature
+    FROM transactions
+    WHERE mint = ? AND slot <= ?
+    ORDER BY slot ASC, block_time ASC, rowid ASC
+  `);
+  return stmt.all(mint, maxSlot);
+}
+
+/**
+ * Peer transfer ledger entries of the transactions in which one of the wallets sent tokens
+ * (every leg of those transactions, in PoH order)
+ * @param {string[]} wallets - Senders
+ */
+export async function getTransfersSentBy(mint, wallets) {
+  if (wallets.length === 0) return [];
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT wallet, slot, block_time, amount_change, kind, signature
+    FROM transactions
+    WHERE mint = ? AND kind = 'transfer' AND slot IN (
+      SELECT slot FROM transactions
+      WHERE mint = ? AND kind = 'transfer' AND CAST(amount_change AS INTEGER) < 0
+        AND wallet IN (SELECT value FROM json_each(?))
+    )
+    ORDER BY slot ASC, block_time ASC, rowid ASC
+  `);
+  return stmt.all(mint, mint, JSON.stringify(wallets));
+}
+
+/**
+ * Get purchases (swap / CEX receives; untyped legacy receives) up to a time, in PoH order
+ */
+export async function getPurchases(mint = getPrimaryMint(), untilTs = Number.MAX_SAFE_INTEGER) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT wallet, slot, block_time, amount_change, signature
+    FROM transactions
+    WHERE mint = ? AND block_time <= ? AND CAST(amount_change AS INTEGER) > 0
+      AND (kind IS NULL OR kind IN ('swap', 'cex'))
+    ORDER BY slot ASC, rowid ASC
+  `);
+  return stmt.all(mint, untilTs);
+}
+
+/**
+ * Get the last slot at or before a unix timestamp
+ */
+export async function getSlotAtTime(mint = getPrimaryMint(), timestamp) {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT MAX(slot) as slot FROM transactions WHERE mint = ? AND block_time <= ?');
+  const row = stmt.get(mint, timestamp);
+  return row?.slot ?? 0;
+}
+
+/**
+ * Get ledger coverage for a mint (first/last slot, entry count)
+ */
+export async function getLedgerBounds(mint = getPrimaryMint()) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    SELECT MIN(slot) as first_slot, MAX(slot) as last_slot, COUNT(*) as entries
+    FROM transactions WHERE mint = ?
+  `);
+  const row = stmt.get(mint);
+  return {
+    first_slot: row?.first_slot || 0,
+    last_slot: row?.last_slot || 0,
+    entries: row?.entries || 0,
+  };
 }
 
 export default {
@@ -61,4 +150,9 @@ export default {
   getLastProcessedSlot,
   getLastProcessedSignature,
   getRecentTransactions,
+  getLedger,
+  getTransfersSentBy,
+  getPurchases,
+  getSlotAtTime,
+  getLedgerBounds,
 };
@@ -0,0 +1,271 @@
+/**
+ * Wallet Position Database Operations
+ *
+ * Per-mint position of a wallet (flows, retention, classification) from its
+ * enhanced transaction history. Written by K_wallet scans (every mint of the
+ * wallet) and by on-demand token K (one mint per sampled holder); either reuses
+ * the other's fresh positions instead of re-fetching the history.
+ * Amounts are UI amounts (decimals applied), as returned by the Enhanced API.
+ *
+ * wallet_scan_state remembers the newest signature of each wallet's last K_wallet
+ * scan, so refreshes only fetch newer transactions (see wallet-score.js), and whether
+ * the last full scan reached the wallet's first transaction (history_complete).
+ * A partial position may have transactions older than the scanned history.
+ */
+
+import { getDb } from './connection.js';
+
+export const WALLET_POSITION_SORTS = {
+  retention: 'retention',
+  bought: 'total_bought',
+  current: 'current',
+  tx_count: 'tx_count',
+  first_buy: 'first_buy_ts',
+  last_tx: 'last_tx_ts',
+};
+
+/**
+ * Store positions of a wallet (one row per mint, replaced on conflict)
+ * A K_wallet scan position (wallet_history) is never overwritten by a token K one: incremental
+ * K_wallet refreshes merge new transactions into it.
+ * @param {string} address - Wallet address
+ * @param {Object[]} positions - [{ mint, platform, first_buy_ts, first_buy_slot, first_buy_amount, first_swap_amount,
+ *   total_bought, total_sold, transferred_in, transferred_out, linked_out, airdropped, current, retention,
+ *   classification, tx_count, last_tx_ts, partial }]
+ * @param {Object} options - { modelVersion, source: 'wallet_history' | 'token_history',
+ *   replace: delete the wallet's other positions of the same source }
+ */
+export async function upsertWalletPositions(address, positions, { modelVersion, source = 'wallet_history', replace = false } = {}) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO wallet_positions (address, mint, platform, first_buy_ts, first_buy_slot, first_buy_amount, first_swap_amount,
+      total_bought, total_sold, transferred_in, transferred_out, linked_out, airdropped, current,
+      retention, classification, tx_count, last_tx_ts, partial, model_version, source, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
+    ON CONFLICT(address, mint) DO UPDATE SET
+      platform = excluded.platform,
+      first_buy_ts = excluded.first_buy_ts,
+      first_buy_slot = excluded.first_buy_slot,
+      first_buy_amount = excluded.first_buy_amount,
+      first_swap_amount = excluded.first_swap_amount,
+      total_bought = excluded.total_bought,
+      total_sold = excluded.total_sold,
+      transferred_in = excluded.transferred_in,
+      transferred_out = excluded.transferred_out,
+      linked_out = excluded.linked_out,
+      airdropped = excluded.airdropped,
+      current = excluded.current,
+      retention = excluded.retention,
+      classification = excluded.classification,
+      tx_count = excluded.tx_count,
+      last_tx_ts = excluded.last_tx_ts,
+      partial = excluded.partial,
+      model_version = excluded.model_version,
+      source = excluded.source,
+      updated_at = excluded.updated_at
+    WHERE excluded.source = 'wallet_history' OR wallet_positions.source = 'token_history'
+  `);
+
+  db.exec('BEGIN');
+  try {
+    if (replace) {
+      db.prepare('DELETE FROM wallet_positions WHERE address = ? AND source = ?').run(address, source);
+    }
+    for (const p of positions) {
+      stmt.run(
+        address,
+        p.mint,
+        p.platform || null,
+        p.first_buy_ts || null,
+        p.first_buy_slot || null,
+        p.first_buy_amount || 0,
+        p.first_swap_amount || 0,
+        p.total_bought || 0,
+        p.total_sold || 0,
+        p.transferred_in || 0,
+        p.transferred_out || 0,
+        p.linked_out || 0,
+        p.airdropped || 0,
+        p.current || 0,
+        p.retention ?? null,
+        p.classification || null,
+        p.tx_count || 0,
+        p.last_tx_ts || null,
+        p.partial ? 1 : 0,
+        modelVersion || null,
+        source
+      );
+    }
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Get a wallet's stored positions from a given source (all rows, no pagination)
+ */
+export async function getWalletPositionsBySource(address, source = 'wallet_history') {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT * FROM wallet_positions WHERE address = ? AND source = ?');
+  return stmt.all(address, source);
+}
+
+/**
+ * Other K_wallet-scanned wallets sharing mints with a wallet, by overlap ratio
+ * (jaccard: shared / mints of either wallet, so wallets trading everything don't crowd out the rest)
+ * @returns {Promise<string[]>} Addresses
+ */
+export async function getWalletsSharingMints(address, limit = 200) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    WITH own AS (
+      SELECT mint FROM wallet_positions WHERE address = ? AND source = 'wallet_history'
+    ),
+    shared AS (
+      SELECT address, COUNT(*) as shared FROM wallet_positions
+      WHERE source = 'wallet_history' AND address != ? AND mint IN (SELECT mint FROM own)
+      GROUP BY address
+    ),
+    sizes AS (
+      SELECT address, COUNT(*) as mints FROM wallet_positions
+      WHERE source = 'wallet_history' AND address IN (SELECT address FROM shared)
+      GROUP BY address
+    )
+    SELECT s.address, s.shared * 1.0 / ((SELECT COUNT(*) FROM own) + z.mints - s.shared) as jaccard
+    FROM shared s JOIN sizes z ON z.address = s.address
+    ORDER BY jaccard DESC, s.shared DESC, s.address ASC
+    LIMIT ?
+  `);
+  return stmt.all(address, address, limit).map((row) => row.address);
+}
+
+/**
+ * Get a wallet's stored position in one mint
+ * @param {number} since - Only if updated at or after this time (unix seconds)
+ * @returns {Promise<Object|null>}
+ */
+export async function getWalletPosition(address, mint, since = 0) {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT * FROM wallet_positions WHERE address = ? AND mint = ? AND updated_at >= ?');
+  return stmt.get(address, mint, since) || null;
+}
+
+/**
+ * Get a wallet's stored positions (filtered, sorted, paginated)
+ * @param {Object} options - { classification, platform, mint, minRetention, sort, order, limit, offset }
+ * @returns {Promise<{positions: Object[], total: number}>} total = matching rows before pagination
+ */
+export async function getWalletPositions(address, { classification, platform, mint, minRetention, sort = 'last_tx', order = 'desc', limit = 100, offset = 0 } = {}) {
+  const db = await getDb();
+  let where = 'WHERE address = ?';
+  const params = [address];
+
+  if (classification) {
+    where += ' AND classification = ?';
+    params.push(classification);
+  }
+
+  if (platform) {
+    where += ' AND platform = ?';
+    params.push(platform);
+  }
+
+  if (mint) {
+    where += ' AND mint = ?';
+    params.push(mint);
+  }
+
+  if (minRetention !== undefined && minRetention !== null) {
+    where += ' AND retention >= ?';
+    params.push(minRetention);
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM wallet_positions ${where}`).get(...params);
+
+  const column = WALLET_POSITION_SORTS[sort] || WALLET_POSITION_SORTS.last_tx;
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const rows = db.prepare(`
+    SELECT mint, platform, first_buy_ts, first_buy_amount, total_bought, total_sold, transferred_in, transferred_out,
+      linked_out, airdropped, current, retention, classification, tx_count, last_tx_ts, partial, model_version, source, updated_at
+    FROM wallet_positions ${where}
+    ORDER BY ${column} ${direction} NULLS LAST, mint ASC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+
+  return { positions: rows.map((row) => ({ ...row, partial: row.partial === 1 })), total: total?.count || 0 };
+}
+
+/**
+ * Classification counts of a wallet's stored positions
+ */
+export async function getWalletPositionBreakdown(address) {
+  const db = await getDb();
+  const rows = db.prepare(`
+    SELECT classification, COUNT(*) as count FROM wallet_positions
+    WHERE address = ? GROUP BY classification
+  `).all(address);
+  return Object.fromEntries(rows.map((row) => [row.classification, row.count]));
+}
+
+/**
+ * Get the last K_wallet scan of a wallet (null if never scanned)
+ */
+export async function getWalletScanState(address) {
+  const db = await getDb();
+  const stmt = db.prepare('SELECT * FROM wallet_scan_state WHERE address = ?');
+  return stmt.get(address) || null;
+}
+
+/**
+ * Record a K_wallet scan
+ * @param {Object} scan - { newestSignature, mode: 'full' | 'incremental', transactions,
+ *   historyComplete: full scans only, incremental scans keep the last full scan's,
+ *   platformsPending: mints left undetected (the next scan rebuilds the full history) }
+ */
+export async function setWalletScanState(address, { newestSignature, mode, transactions = 0, historyComplete = null, platformsPending = 0 }) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    INSERT INTO wallet_scan_state (address, newest_signature, last_mode, last_transactions, scanned_at, full_scan_at,
+      history_complete, platforms_pending)
+    VALUES (?, ?, ?, ?, unixepoch(), CASE WHEN ? = 'full' THEN unixepoch() END, ?, ?)
+    ON CONFLICT(address) DO UPDATE SET
+      newest_signature = COALESCE(excluded.newest_signature, wallet_scan_state.newest_signature),
+      last_mode = excluded.last_mode,
+      last_transactions = excluded.last_transactions,
+      scanned_at = excluded.scanned_at,
+      full_scan_at = COALESCE(excluded.full_scan_at, wallet_scan_state.full_scan_at),
+      history_complete = COALESCE(excluded.history_complete, wallet_scan_state.history_complete),
+      platforms_pending = excluded.platforms_pending
+  `);
+  const complete = mode === 'full' && historyComplete !== null ? (historyComplete ? 1 : 0) : null;
+  stmt.run(address, newestSignature || null, mode, transactions, mode, complete, platformsPending || 0);
+}
+
+/**
+ * Forget the last K_wallet scan of wallets: their next scan rebuilds the full history
+ * @param {string[]} addresses
+ * @returns {Promise<number>} Scan states removed
+ */
+export async function clearWalletScanState(addresses) {
+  if (addresses.length === 0) return 0;
+  const db = await getDb();
+  const result = db.prepare(
+    `DELETE FROM wallet_scan_state WHERE address IN (${addresses.map(() => '?').join(',')})`
+  ).run(...addresses);
+  return Number(result.changes);
+}
+
+export default {
+  WALLET_POSITION_SORTS,
+  upsertWalletPositions,
+  getWalletPositionsBySource,
+  getWalletsSharingMints,
+  getWalletPosition,
+  getWalletPositions,
+  getWalletPositionBreakdown,
+  getWalletScanState,
+  setWalletScanState,
+  clearWalletScanState,
+};
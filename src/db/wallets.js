@@ -5,36 +5,41 @@
  */
 
 import { getDb, getDbSync } from './connection.js';
-
-// OG configuration
-const TOKEN_LAUNCH_TS = parseInt(process.env.TOKEN_LAUNCH_TS || '0');
-const OG_EARLY_WINDOW = parseInt(process.env.OG_EARLY_WINDOW || '21') * 86400;
-const OG_HOLD_THRESHOLD = parseInt(process.env.OG_HOLD_THRESHOLD || '55') * 86400;
+import { getPrimaryMint, getTokenLaunchTs, getTrackedMints } from './tokens.js';
+import scoring from '../scoring.js';
 
 /**
  * K_wallet Classification
- * Based on retention (current / first_buy)
+ * Based on retention, thresholds from the scoring model
  */
-export function classifyWalletK(retention) {
-  if (retention >= 1.5) return 'accumulator';
-  if (retention >= 1.0) return 'holder';
-  if (retention >= 0.5) return 'reducer';
-  return 'extractor';
+export function classifyWalletK(retention, model = scoring.getModel()) {
+  return scoring.classifyRetention(retention, model);
 }
 
 /**
- * Upsert wallet data
+ * Upsert wallet data (wallet.mint defaults to the primary token)
+ * Flow fields (bought, sold, transferredIn, transferredOut, linkedOut, airdropped) are added to
+ * the stored totals; a purchase replaces a non-purchase first buy (see applyWalletChange).
  */
 export async function upsertWallet(wallet) {
   const db = await getDb();
   const stmt = db.prepare(`
-    INSERT INTO wallets (address, first_buy_ts, first_buy_amount, total_received, total_sent, current_balance, peak_balance, last_tx_signature, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
-    ON CONFLICT(address) DO UPDATE SET
-      first_buy_ts = COALESCE(wallets.first_buy_ts, excluded.first_buy_ts),
-      first_buy_amount = CASE WHEN wallets.first_buy_ts IS NULL THEN excluded.first_buy_amount ELSE wallets.first_buy_amount END,
+    INSERT INTO wallets (mint, address, first_buy_ts, first_buy_amount, first_buy_source, total_received, total_sent,
+      bought, sold, transferred_in, transferred_out, linked_out, airdropped,
+      current_balance, peak_balance, last_tx_signature, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, unixepoch())
+    ON CONFLICT(mint, address) DO UPDATE SET
+      first_buy_ts = CASE WHEN ${REPLACE_FIRST_BUY} THEN excluded.first_buy_ts ELSE wallets.first_buy_ts END,
+      first_buy_amount = CASE WHEN ${REPLACE_FIRST_BUY} THEN excluded.first_buy_amount ELSE wallets.first_buy_amount END,
+      first_buy_source = CASE WHEN ${REPLACE_FIRST_BUY} THEN excluded.first_buy_source ELSE wallets.first_buy_source END,
       total_received = wallets.total_received + excluded.total_received,
       total_sent = wallets.total_sent + excluded.total_sent,
+      bought = COALESCE(wallets.bought, 0) + excluded.bought,
+      sold = COALESCE(wallets.sold, 0) + excluded.sold,
+      transferred_in = COALESCE(wallets.transferred_in, 0) + excluded.transferred_in,
+      transferred_out = COALESCE(wallets.transferred_out, 0) + excluded.transferred_out,
+      linked_out = COALESCE(wallets.linked_out, 0) + excluded.linked_out,
+      airdropped = COALESCE(wallets.airdropped, 0) + excluded.airdropped,
       current_balance = excluded.current_balance,
       peak_balance = CASE
         WHEN CAST(excluded.current_balance AS INTEGER) > CAST(COALESCE(wallets.peak_balance, '0') AS INTEGER)
@@ -45,72 +50,251 @@ export async function upsertWallet(wallet) {
       updated_at = unixepoch()
   `);
   const balance = String(wallet.balance || 0);
+  const received = wallet.received || 0;
+  const sent = wallet.sent || 0;
   stmt.run(
+    wallet.mint || getPrimaryMint(),
     wallet.address,
     wallet.firstBuyTs,
     String(wallet.firstBuyAmount || 0),
-    String(wallet.received || 0),
-    String(wallet.sent || 0),
+    wallet.firstBuySource || (wallet.firstBuyTs ? 'purchase' : null),
+    String(received),
+    String(sent),
+    // Callers without flow data: every receive is a buy, every send a sell (legacy)
+    String(wallet.bought ?? received),
+    String(wallet.sold ?? sent),
+    String(wallet.transferredIn || 0),
+    String(wallet.transferredOut || 0),
+    String(wallet.linkedOut || 0),
+    String(wallet.airdropped || 0),
     balance,
     balance,
-    wallet.lastTxSig
+    wallet.lastTxSig ?? null
   );
 }
 
+// First buy is set once, except that an actual purchase replaces an assumed one
+const REPLACE_FIRST_BUY = `(wallets.first_buy_ts IS NULL AND excluded.first_buy_ts IS NOT NULL)
+  OR (wallets.first_buy_source = 'assumed' AND excluded.first_buy_source = 'purchase')`;
+
+/**
+ * Split a balance change into flows by transfer kind
+ * Purchases are swap/CEX receives and sells are swap/CEX sends; peer transfers
+ * and airdrops move balance without being buys or sells. Unknown kinds (legacy
+ * ledger entries) count every receive as a buy and every send as a sell.
+ * A peer transfer sent to a linked wallet (same owner) is also counted in linkedOut.
+ * @param {string|null} kind - Transfer kind (see helius.classifyTransfer)
+ * @param {number|bigint} amountChange - Signed balance change
+ * @param {boolean} linked - Counterparty linked to the wallet (see clusters.markLinkedTransfers)
+ */
+export function transferFlows(kind, amountChange, linked = false) {
+  // Works on Number or BigInt changes (ledger replay uses BigInt)
+  const zero = typeof amountChange === 'bigint' ? 0n : 0;
+  const isReceive = amountChange > zero;
+  const amount = isReceive ? amountChange : -amountChange;
+  const flows = {
+    bought: zero, sold: zero, transferredIn: zero, transferredOut: zero, linkedOut: zero, airdropped: zero, isPurchase: false,
+  };
+
+  if (kind === 'transfer') {
+    if (isReceive) flows.transferredIn = amount;
+    else flows.transferredOut = amount;
+    if (!isReceive && linked) flows.linkedOut = amount;
+  } else if (kind === 'airdrop') {
+    if (isReceive) flows.airdropped = amount;
+    else flows.transferredOut = amount;
+  } else if (isReceive) {
+    flows.bought = amount;
+    flows.isPurchase = true;
+  } else {
+    flows.sold = amount;
+  }
+
+  return flows;
+}
+
+/**
+ * Apply one classified balance change to a wallet (sync polling + webhook)
+ * @param {Object} change - { mint, wallet, amountChange, kind, linked, blockTime, signature }
+ * @returns {'new'|'exit'|null} Holder change type
+ */
+export async function applyWalletChange(change) {
+  const db = await getDb();
+  const mint = change.mint || getPrimaryMint();
+  const existing = db.prepare('SELECT current_balance FROM wallets WHERE mint = ? AND address = ?').get(mint, change.wallet);
+
+  const amountChange = Number(change.amountChange);
+  const flows = transferFlows(change.kind, amountChange, change.linked);
+
+  if (!existing && amountChange <= 0) return null;
+
+  const oldBalance = existing ? Number(existing.current_balance || 0) : 0;
+  const newBalance = Math.max(0, oldBalance + amountChange);
+
+  await upsertWallet({
+    mint,
+    address: change.wallet,
+    balance: newBalance,
+    firstBuyTs: flows.isPurchase ? change.blockTime : null,
+    firstBuyAmount: flows.isPurchase ? flows.bought : 0,
+    firstBuySource: flows.isPurchase ? 'purchase' : null,
+    received: amountChange > 0 ? amountChange : 0,
+    sent: amountChange < 0 ? Math.abs(amountChange) : 0,
+    bought: flows.bought,
+    sold: flows.sold,
+    transferredIn: flows.transferredIn,
+    transferredOut: flows.transferredOut,
+    linkedOut: flows.linkedOut,
+    airdropped: flows.airdropped,
+    lastTxSig: change.signature,
+  });
+
+  if (!existing) return 'new';
+  if (oldBalance > 0 && newBalance <= 0) return 'exit';
+  return null;
+}
+
+/**
+ * Set a wallet's first buy from external history (replaces an assumed first buy)
+ */
+export async function setWalletFirstBuy(address, mint, { ts, amount }) {
+  const db = await getDb();
+  const stmt = db.prepare(`
+    UPDATE wallets SET first_buy_ts = ?, first_buy_amount = ?, first_buy_source = 'history', updated_at = unixepoch()
+    WHERE mint = ? AND address = ? AND (first_buy_source = 'assumed' OR first_buy_ts IS NULL)
+  `);
+  return stmt.run(ts, String(amount), mint, address).changes > 0;
+}
+
 /**
- * Get all wallets above minimum balance
+ * Get all wallets above minimum balance for a token
  */
-export async function getWallets(minBalance = 0) {
+export async function getWallets(minBalance = 0, mint = getPrimaryMint()) {
   const db = await getDb();
-  const stmt = db.prepare('SELECT * FROM wallets WHERE CAST(current_balance AS INTEGER) >= ?');
-  const rows = stmt.all(minBalance);
+  const stmt = db.prepare('SELECT * FROM wallets WHERE mint = ? AND CAST(current_balance AS INTEGER) >= ?');
+  const rows = stmt.all(mint, minBalance);
   return rows.map(row => ({
     ...row,
     first_buy_amount: BigInt(row.first_buy_amount || '0'),
     total_received: BigInt(row.total_received || '0'),
     total_sent: BigInt(row.total_sent || '0'),
+    bought: BigInt(row.bought || '0'),
+    sold: BigInt(row.sold ?? row.total_sent ?? '0'),
+    transferred_in: BigInt(row.transferred_in || '0'),
+    transferred_out: BigInt(row.transferred_out || '0'),
+    linked_out: BigInt(row.linked_out || '0'),
+    airdropped: BigInt(row.airdropped || '0'),
     current_balance: BigInt(row.current_balance || '0'),
     peak_balance: BigInt(row.peak_balance || '0'),
   }));
 }
 
 /**
- * Get K-score for a specific wallet
+ * Replace a mint's bundle flags
+ * @param {string} mint - Token mint
+ * @param {Map<string, string>} bundleOf - address -> bundle id (wallets not in the map are cleared)
+ */
+export async function setWalletBundles(mint, bundleOf) {
+  const db = await getDb();
+  db.exec('BEGIN');
+  try {
+    db.prepare('UPDATE wallets SET bundle_id = NULL WHERE mint = ? AND bundle_id IS NOT NULL').run(mint);
+    const stmt = db.prepare('UPDATE wallets SET bundle_id = ? WHERE mint = ? AND address = ?');
+    for (const [address, bundleId] of bundleOf) {
+      stmt.run(bundleId, mint, address);
+    }
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Replace a mint's linked outflows (peer transfers sent to a linked wallet)
+ * @param {string} mint - Token mint
+ * @param {Map<string, bigint>} linkedOut - address -> amount (wallets not in the map are reset to 0)
+ */
+export async function setWalletLinkedOutflows(mint, linkedOut) {
+  const db = await getDb();
+  db.exec('BEGIN');
+  try {
+    db.prepare("UPDATE wallets SET linked_out = '0' WHERE mint = ? AND linked_out != '0'").run(mint);
+    const stmt = db.prepare('UPDATE wallets SET linked_out = ? WHERE mint = ? AND address = ?');
+    for (const [address, amount] of linkedOut) {
+      stmt.run(String(amount), mint, address);
+    }
+    db.exec('COMMIT');
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Retention inputs from a raw wallets row (flow columns are TEXT)
  */
-export async function getWalletKScore(address) {
+function retentionPosition(row) {
+  return {
+    current: BigInt(row.current_balance || '0'),
+    firstBuy: BigInt(row.first_buy_amount || '0'),
+    totalReceived: row.total_received,
+    bought: row.bought,
+    transferredIn: row.transferred_in,
+    linkedOut: row.linked_out,
+    airdropped: row.airdropped,
+  };
+}
+
+/**
+ * Get K-score for a specific wallet on a token
+ */
+export async function getWalletKScore(address, mint = getPrimaryMint()) {
   const db = await getDb();
-  const stmt = db.prepare('SELECT * FROM wallets WHERE address = ?');
-  const row = stmt.get(address);
+  const stmt = db.prepare('SELECT * FROM wallets WHERE mint = ? AND address = ?');
+  const row = stmt.get(mint, address);
 
   if (!row) return null;
 
   const currentBalance = BigInt(row.current_balance || '0');
   const firstBuyAmount = BigInt(row.first_buy_amount || '0');
-  const totalSent = BigInt(row.total_sent || '0');
+  const sold = BigInt(row.sold ?? row.total_sent ?? '0');
 
-  let retention = 1.0;
-  if (firstBuyAmount > 0n) {
-    retention = Number(currentBalance) / Number(firstBuyAmount);
-  }
+  const model = scoring.getModel();
+  const retention = scoring.computeRetention(retentionPosition(row), model);
 
   const now = Math.floor(Date.now() / 1000);
   const holdDays = row.first_buy_ts
     ? Math.floor((now - row.first_buy_ts) / 86400)
     : 0;
 
-  const isEarlyBuyer = row.first_buy_ts && row.first_buy_ts <= TOKEN_LAUNCH_TS + OG_EARLY_WINDOW;
-  const hasHeldLongEnough = row.first_buy_ts && (now - row.first_buy_ts) >= OG_HOLD_THRESHOLD;
-  const isOG = Boolean(isEarlyBuyer && hasHeldLongEnough);
+  const launchTs = await getTokenLaunchTs(mint);
+  const peakPosition = { current: currentBalance, peak: BigInt(row.peak_balance || '0'), firstBuy: firstBuyAmount };
 
   return {
     address: row.address,
+    mint: row.mint,
     current_balance: currentBalance.toString(),
     first_buy_amount: firstBuyAmount.toString(),
+    peak_balance: String(row.peak_balance || '0'),
     retention: Math.round(retention * 1000) / 1000,
-    classification: classifyWalletK(retention),
-    neverSold: totalSent === 0n,
+    peak_retention: Math.round(scoring.computePeakRetention(peakPosition) * 1000) / 1000,
+    is_distributor: scoring.isDistributor(peakPosition, model),
+    classification: classifyWalletK(retention, model),
+    model_version: model.version,
+    first_buy_source: row.first_buy_source || null,
+    flows: {
+      bought: String(row.bought ?? row.total_received ?? '0'),
+      sold: sold.toString(),
+      transferred_in: String(row.transferred_in || '0'),
+      transferred_out: String(row.transferred_out || '0'),
+      linked_out: String(row.linked_out || '0'),
+      airdropped: String(row.airdropped || '0'),
+    },
+    neverSold: sold === 0n,
+    bundle_id: row.bundle_id || null,
     holdDays,
-    isOG,
+    isOG: scoring.isOG(row.first_buy_ts, launchTs, now, model),
     first_seen_at: row.first_buy_ts || row.updated_at,
     last_updated_at: row.updated_at,
   };
@@ -119,14 +303,14 @@ export async function getWalletKScore(address) {
 /**
  * Update wallet balance and track peak
  */
-export async function updateWalletBalance(address, newBalance) {
+export async function updateWalletBalance(address, newBalance, mint = getPrimaryMint()) {
   const db = await getDb();
   const balanceStr = String(newBalance);
 
   const stmt = db.prepare(`
-    INSERT INTO wallets (address, current_balance, peak_balance, updated_at)
-    VALUES (?, ?, ?, unixepoch())
-    ON CONFLICT(address) DO UPDATE SET
+    INSERT INTO wallets (mint, address, current_balance, peak_balance, updated_at)
+    VALUES (?, ?, ?, ?, unixepoch())
+    ON CONFLICT(mint, address) DO UPDATE SET
       current_balance = ?,
       peak_balance = CASE
         WHEN CAST(? AS INTEGER) > CAST(COALESCE(wallets.peak_balance, '0') AS INTEGER)
@@ -135,42 +319,50 @@ export async function updateWalletBalance(address, newBalance) {
       END,
       updated_at = unixepoch()
   `);
-  stmt.run(address, balanceStr, balanceStr, balanceStr, balanceStr, balanceStr);
+  stmt.run(mint, address, balanceStr, balanceStr, balanceStr, balanceStr, balanceStr);
 }
 
 /**
  * Get wallets that need K_wallet calculation
+ * K_wallet is wallet-level: holders of any tracked token qualify (holders stored by
+ * full-mode on-demand token K do not)
  */
 export async function getWalletsNeedingKWallet(limit = 100, maxAgeSeconds = 86400) {
   const db = await getDb();
   const minBalance = parseInt(process.env.MIN_BALANCE || '1000');
+  const tracked = await getTrackedMints();
+  if (tracked.length === 0) return [];
+  const mints = tracked.map(() => '?').join(',');
 
   if (maxAgeSeconds === -1) {
     const stmt = db.prepare(`
-      SELECT address FROM wallets
-      WHERE CAST(current_balance AS INTEGER) >= ?
+      SELECT DISTINCT address FROM wallets
+      WHERE mint IN (${mints})
+        AND CAST(current_balance AS INTEGER) >= ?
         AND k_wallet_updated_at IS NULL
       LIMIT ?
     `);
-    return stmt.all(minBalance, limit).map(r => r.address);
+    return stmt.all(...tracked, minBalance, limit).map(r => r.address);
   }
 
   const cutoff = Math.floor(Date.now() / 1000) - maxAgeSeconds;
 
   const stmt = db.prepare(`
     SELECT address FROM wallets
-    WHERE CAST(current_balance AS INTEGER) >= ?
+    WHERE mint IN (${mints})
+      AND CAST(current_balance AS INTEGER) >= ?
       AND (k_wallet_updated_at IS NULL OR k_wallet_updated_at < ?)
-    ORDER BY k_wallet_updated_at ASC NULLS FIRST
+    GROUP BY address
+    ORDER BY MIN(k_wallet_updated_at) ASC NULLS FIRST
     LIMIT ?
   `);
-  return stmt.all(minBalance, cutoff, limit).map(r => r.address);
+  return stmt.all(...tracked, minBalance, cutoff, limit).map(r => r.address);
 }
 
 /**
  * Get holders filtered by K_wallet and classification
  */
-export async function getHoldersFiltered({ kMin, classification, limit = 100, minBalance } = {}) {
+export async function getHoldersFiltered({ kMin, kDecayedMin, classification, limit = 100, minBalance, mint = getPrimaryMint() } = {}) {
   const db = await getDb();
   const now = Math.floor(Date.now() / 1000);
   const minBal = minBalance || parseInt(process.env.MIN_BALANCE || '1000');
@@ -181,32 +373,50 @@ export async function getHoldersFiltered({ kMin, classification, limit = 100, mi
       current_balance,
       first_buy_amount,
       first_buy_ts,
+      total_received,
+      peak_balance,
       k_wallet,
       k_wallet_tokens,
-      total_sent
+      k_wallet_decayed,
+      k_wallet_delta_30d,
+      total_sent,
+      bought,
+      sold,
+      transferred_in,
+      transferred_out,
+      linked_out,
+      airdropped
     FROM wallets
-    WHERE CAST(current_balance AS INTEGER) >= ?
+    WHERE mint = ? AND CAST(current_balance AS INTEGER) >= ?
   `;
-  const params = [minBal];
+  const params = [mint, minBal];
 
   if (kMin !== undefined && kMin !== null) {
     sql += ' AND k_wallet >= ?';
     params.push(kMin);
   }
 
+  if (kDecayedMin !== undefined && kDecayedMin !== null) {
+    sql += ' AND k_wallet_decayed >= ?';
+    params.push(kDecayedMin);
+  }
+
   sql += ' ORDER BY CAST(current_balance AS INTEGER) DESC LIMIT ?';
   params.push(limit);
 
   const stmt = db.prepare(sql);
   const rows = stmt.all(...params);
 
+  const model = scoring.getModel();
+
   return rows.map(row => {
-    const currentBalance = BigInt(row.current_balance || '0');
-    const firstBuyAmount = BigInt(row.first_buy_amount || '0');
-    const retention = firstBuyAmount > 0n
-      ? Number(currentBalance) / Number(firstBuyAmount)
-      : 1.0;
-    const walletClass = classifyWalletK(retention);
+    const peakPosition = {
+      current: BigInt(row.current_balance || '0'),
+      peak: BigInt(row.peak_balance || '0'),
+      firstBuy: BigInt(row.first_buy_amount || '0'),
+    };
+    const retention = scoring.computeRetention(retentionPosition(row), model);
+    const walletClass = classifyWalletK(retention, model);
 
     if (classification && walletClass !== classification) {
       return null;
@@ -221,10 +431,14 @@ export async function getHoldersFiltered({ kMin, classification, limit = 100, mi
       balance: row.current_balance,
       first_buy_amount: row.first_buy_amount,
       retention: Math.round(retention * 1000) / 1000,
+      peak_retention: Math.round(scoring.computePeakRetention(peakPosition) * 1000) / 1000,
+      is_distributor: scoring.isDistributor(peakPosition, model),
       classification: walletClass,
       k_wallet: row.k_wallet,
       k_wallet_tokens: row.k_wallet_tokens,
-      never_sold: row.total_sent === '0',
+      k_wallet_decayed: row.k_wallet_decayed,
+      k_wallet_delta_30d: row.k_wallet_delta_30d,
+      never_sold: (row.sold ?? row.total_sent) === '0',
       hold_days: holdDays,
     };
   }).filter(Boolean);
@@ -233,6 +447,11 @@ export async function getHoldersFiltered({ kMin, classification, limit = 100, mi
 export default {
   classifyWalletK,
   upsertWallet,
+  transferFlows,
+  applyWalletChange,
+  setWalletFirstBuy,
+  setWalletBundles,
+  setWalletLinkedOutflows,
   getWallets,
   getWalletKScore,
   updateWalletBalance,
@@ -5,6 +5,7 @@
  */
 
 import { loadEnv } from './utils.js';
+import scoring from './scoring.js';
 
 loadEnv();
 
@@ -40,11 +41,34 @@ const DEX_PROGRAMS = new Set([
   'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA', // PumpSwap AMM
 ]);
 
+// Known CEX hot wallets (comma-separated env): deposits are treated as sells, withdrawals as buys
+const CEX_WALLETS = new Set((process.env.CEX_WALLETS || '').split(',').map(s => s.trim()).filter(Boolean));
+
+// A non-swap transaction from one sender to this many recipients is an airdrop
+const AIRDROP_MIN_RECIPIENTS = parseInt(process.env.AIRDROP_MIN_RECIPIENTS || '3');
+
+// Transfer kinds stored with each ledger entry
+export const TRANSFER_KINDS = ['swap', 'transfer', 'airdrop', 'cex'];
+
 // Known pool/fee wallets (not programs, but still pools)
 const KNOWN_POOL_WALLETS = new Set([
   'CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM', // PumpFun Fee Recipient
 ]);
 
+// Token programs holding wallet token accounts
+const TOKEN_PROGRAMS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // SPL Token
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb', // Token-2022
+];
+const BALANCE_TOLERANCE = 1e-6; // Relative, UI amounts are floats
+
+/**
+ * Whether the balance rebuilt from a wallet's history matches its on-chain balance
+ */
+function balanceMatches(observed, actual) {
+  return Math.abs(observed - actual) <= BALANCE_TOLERANCE * Math.max(1, Math.abs(actual));
+}
+
 // Cache for pool detection results (address -> {isPool, owner, checkedAt})
 const poolCache = new Map();
 const POOL_CACHE_TTL = 3600000; // 1 hour
@@ -74,8 +98,8 @@ setInterval(() => {
   }
 }, 10 * 60 * 1000);
 
-// Cache for token info (price, supply, etc.) - avoids 3 external API calls per request
-let tokenInfoCache = { data: null, ts: 0 };
+// Cache for token info per mint (price, supply, etc.) - avoids 3 external API calls per request
+const tokenInfoCache = new Map(); // mint -> { data, ts }
 const TOKEN_INFO_TTL = 5 * 60 * 1000; // 5 minutes
 
 // Rate limiting - configurable via env (default 50, Helius Pro allows 100)
@@ -154,14 +178,15 @@ export async function rpc(method, params) {
 
 /**
  * Fetch all current token holders
+ * @param {string} mint - Token mint (defaults to TOKEN_MINT)
  */
-export async function fetchHolders() {
-  console.log('[Helius] Fetching holders...');
+export async function fetchHolders(mint = TOKEN_MINT) {
+  console.log(`[Helius] Fetching holders for ${mint.slice(0, 8)}...`);
   const holders = [];
   let cursor = null;
 
   while (true) {
-    const params = { mint: TOKEN_MINT, limit: 1000 };
+    const params = { mint, limit: 1000 };
     if (cursor) params.cursor = cursor;
 
     const result = await rpc('getTokenAccounts', params);
@@ -188,9 +213,11 @@ export async function fetchHolders() {
  * Fetch all transactions for the token mint (streaming)
  * @param {Function} onBatch - Callback for each batch of transactions
  * @param {string} afterSignature - Resume from this signature (optional)
+ * @param {string} mint - Token mint (defaults to TOKEN_MINT)
+ * @param {number} fromSlot - Only transactions at or after this slot (incremental refresh)
  */
-export async function streamMintTransactions(onBatch, afterSignature = null) {
-  console.log('[Helius] Streaming mint transactions...');
+export async function streamMintTransactions(onBatch, afterSignature = null, mint = TOKEN_MINT, fromSlot = 0) {
+  console.log(`[Helius] Streaming mint transactions for ${mint.slice(0, 8)}...`);
   let paginationToken = null;
   let totalProcessed = 0;
   let page = 0;
@@ -199,7 +226,7 @@ export async function streamMintTransactions(onBatch, afterSignature = null) {
 
   while (true) {
     page++;
-    const params = [TOKEN_MINT, {
+    const params = [mint, {
       transactionDetails: 'full',
       encoding: 'jsonParsed',
       maxSupportedTransactionVersion: 0,
@@ -208,6 +235,7 @@ export async function streamMintTransactions(onBatch, afterSignature = null) {
     }];
 
     if (paginationToken) params[1].paginationToken = paginationToken;
+    if (fromSlot > 0) params[1].filters = { slot: { gte: fromSlot } };
 
     try {
       const result = await rpc('getTransactionsForAddress', params);
@@ -246,16 +274,20 @@ export async function streamMintTransactions(onBatch, afterSignature = null) {
  * Cached for 5 minutes to avoid excessive external API calls
  *
  * @param {boolean} forceRefresh - Skip cache and fetch fresh data
+ * @param {string} mint - Token mint (defaults to TOKEN_MINT)
  */
-export async function fetchTokenInfo(forceRefresh = false) {
+export async function fetchTokenInfo(forceRefresh = false, mint = TOKEN_MINT) {
   // Return cached data if fresh
-  if (!forceRefresh && tokenInfoCache.data && Date.now() - tokenInfoCache.ts < TOKEN_INFO_TTL) {
-    return tokenInfoCache.data;
+  const cached = tokenInfoCache.get(mint);
+  if (!forceRefresh && cached && Date.now() - cached.ts < TOKEN_INFO_TTL) {
+    return cached.data;
   }
 
+  const defaultSymbol = mint === TOKEN_MINT ? process.env.TOKEN_SYMBOL : null;
+
   try {
     // Get supply from chain
-    const supply = await rpc('getTokenSupply', [TOKEN_MINT]);
+    const supply = await rpc('getTokenSupply', [mint]);
     const totalSupply = parseInt(supply?.value?.amount || '0');
 
     // Get SOL price from CoinGecko (free, reliable)
@@ -273,11 +305,13 @@ export async function fetchTokenInfo(forceRefresh = false) {
     let priceNative = 0;
     let liquidity = 0;
     let fdv = 0;
+    let symbol = defaultSymbol;
     try {
-      const dexRes = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${TOKEN_MINT}`);
+      const dexRes = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${mint}`);
       const dexData = await dexRes.json();
       const pair = dexData?.pairs?.[0];
       if (pair) {
+        symbol = symbol || pair.baseToken?.symbol || null;
         priceUsd = parseFloat(pair.priceUsd) || 0;
         priceNative = parseFloat(pair.priceNative) || 0;
         liquidity = pair.liquidity?.usd || 0;
@@ -293,8 +327,8 @@ export async function fetchTokenInfo(forceRefresh = false) {
     }
 
     const data = {
-      mint: TOKEN_MINT,
-      symbol: process.env.TOKEN_SYMBOL || 'TOKEN',
+      mint,
+      symbol: symbol || 'TOKEN',
       price: priceUsd,
       priceNative,
       solPrice,
@@ -305,24 +339,158 @@ export async function fetchTokenInfo(forceRefresh = false) {
     };
 
     // Cache the result
-    tokenInfoCache = { data, ts: Date.now() };
+    tokenInfoCache.set(mint, { data, ts: Date.now() });
     return data;
   } catch (error) {
     console.error('[Helius] Error fetching token info:', error.message);
     // Return cached data on error if available
-    if (tokenInfoCache.data) {
+    if (cached) {
       console.log('[Helius] Returning stale cached token info');
-      return tokenInfoCache.data;
+      return cached.data;
+    }
+    return { mint, symbol: defaultSymbol, price: 0, supply: 0, mcap: 0 };
+  }
+}
+
+/**
+ * Check if a program ID is a known DEX/AMM program
+ */
+export function isDexProgram(programId) {
+  return DEX_PROGRAMS.has(programId);
+}
+
+/**
+ * Check if an address is a configured CEX hot wallet
+ */
+export function isCexWallet(address) {
+  return CEX_WALLETS.has(address);
+}
+
+/**
+ * Register additional CEX hot wallets at runtime (e.g. from admin 'cex' labels)
+ */
+export function registerCexWallets(addresses) {
+  for (const address of addresses) CEX_WALLETS.add(address);
+}
+
+/**
+ * Check if an address is a known pool/fee wallet
+ */
+export function isKnownPoolWallet(address) {
+  return KNOWN_POOL_WALLETS.has(address);
+}
+
+/**
+ * Classify the balance changes of one transaction
+ * swap:     a DEX/AMM program was invoked
+ * cex:      a CEX hot wallet is on either side
+ * airdrop:  supply was minted, or one sender fanned out to many recipients
+ * transfer: peer wallet-to-wallet transfer
+ * @param {object[]} changes - [{ wallet, amountChange }]
+ * @param {string[]} programIds - Programs invoked by the transaction
+ * @returns {string} Transfer kind
+ */
+export function classifyTransfer(changes, programIds = []) {
+  if (programIds.some(isDexProgram)) return 'swap';
+  if (changes.some((c) => isCexWallet(c.wallet))) return 'cex';
+
+  const net = changes.reduce((sum, c) => sum + c.amountChange, 0);
+  if (net > 0) return 'airdrop'; // Minted to recipients
+
+  const senders = changes.filter((c) => c.amountChange < 0).length;
+  const recipients = changes.filter((c) => c.amountChange > 0).length;
+  if (senders <= 1 && recipients >= AIRDROP_MIN_RECIPIENTS) return 'airdrop';
+
+  return 'transfer';
+}
+
+/**
+ * Collect program IDs invoked by a jsonParsed transaction (incl. inner instructions)
+ */
+function getProgramIds(tx) {
+  const ids = new Set();
+  for (const ix of tx.transaction?.message?.instructions || []) {
+    if (ix.programId) ids.add(ix.programId);
+  }
+  for (const inner of tx.meta?.innerInstructions || []) {
+    for (const ix of inner.instructions || []) {
+      if (ix.programId) ids.add(ix.programId);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Classify a Helius enhanced transaction (webhook event) for one mint
+ * @param {object} event - Enhanced transaction
+ * @param {object[]} transfers - tokenTransfers for the mint
+ * @returns {string} Transfer kind
+ */
+export function classifyEnhancedTransfer(event, transfers) {
+  if (event.type === 'SWAP') return 'swap';
+
+  const programIds = [];
+  for (const ix of event.instructions || []) {
+    if (ix.programId) programIds.push(ix.programId);
+    for (const inner of ix.innerInstructions || []) {
+      if (inner.programId) programIds.push(inner.programId);
+    }
+  }
+
+  const changes = [];
+  for (const t of transfers) {
+    const amount = Number(t.tokenAmount || 0);
+    if (t.fromUserAccount) changes.push({ wallet: t.fromUserAccount, amountChange: -amount });
+    if (t.toUserAccount) changes.push({ wallet: t.toUserAccount, amountChange: amount });
+  }
+
+  return classifyTransfer(changes, programIds);
+}
+
+/**
+ * Apply one history transfer to a position, walking history newest-first
+ * Purchases (swap/cex receives) set the first buy; since history is walked backwards,
+ * the last purchase applied is the earliest. Peer transfers and airdrops are tracked
+ * separately and are neither buys nor sells; peer transfers sent to a linked wallet
+ * (see clusters.getLinkedWallets) are also tracked as linked_out.
+ * @param {object} pos - Position (first_buy_*, total_bought, total_sold, transferred_*, linked_out, airdropped, current)
+ * @param {object} transfer - { amount, isReceive, isSend, kind, timestamp, slot, linked }
+ */
+export function applyHistoryTransfer(pos, { amount, isReceive, isSend, kind, timestamp, slot = null, linked = false }) {
+  const isTrade = kind === 'swap' || kind === 'cex';
+
+  if (isReceive) {
+    pos.current += amount;
+    if (isTrade) {
+      pos.total_bought += amount;
+      pos.first_buy_ts = timestamp;
+      pos.first_buy_slot = slot;
+      pos.first_buy_amount = amount;
+      if (kind === 'swap') pos.first_swap_amount = amount;
+    } else if (kind === 'airdrop') {
+      pos.airdropped += amount;
+    } else {
+      pos.transferred_in += amount;
+    }
+  }
+
+  if (isSend) {
+    pos.current -= amount;
+    if (isTrade) pos.total_sold += amount;
+    else {
+      pos.transferred_out += amount;
+      if (linked) pos.linked_out = (pos.linked_out || 0) + amount;
     }
-    return { mint: TOKEN_MINT, symbol: process.env.TOKEN_SYMBOL, price: 0, supply: 0, mcap: 0 };
   }
 }
 
 /**
  * Parse transaction to extract token balance changes
- * Includes Solana PoH slot for ordering
+ * Includes Solana PoH slot for ordering and the transfer kind (see classifyTransfer)
+ * @param {object} tx - jsonParsed transaction
+ * @param {string} mint - Token mint (defaults to TOKEN_MINT)
  */
-export function parseTransaction(tx) {
+export function parseTransaction(tx, mint = TOKEN_MINT) {
   if (!tx.meta || tx.meta.err) return [];
 
   const changes = [];
@@ -334,14 +502,14 @@ export function parseTransaction(tx) {
 
   // Collect pre-balances
   for (const bal of tx.meta.preTokenBalances || []) {
-    if (bal.mint === TOKEN_MINT && bal.owner) {
+    if (bal.mint === mint && bal.owner) {
       preBalances.set(bal.owner, parseInt(bal.uiTokenAmount?.amount || '0'));
     }
   }
 
   // Collect post-balances
   for (const bal of tx.meta.postTokenBalances || []) {
-    if (bal.mint === TOKEN_MINT && bal.owner) {
+    if (bal.mint === mint && bal.owner) {
       postBalances.set(bal.owner, parseInt(bal.uiTokenAmount?.amount || '0'));
     }
   }
@@ -355,6 +523,7 @@ export function parseTransaction(tx) {
 
     if (diff !== 0) {
       changes.push({
+        mint,
         signature: tx.transaction?.signatures?.[0],
         slot, // PoH slot for ordering
         blockTime: tx.blockTime,
@@ -366,14 +535,108 @@ export function parseTransaction(tx) {
     }
   }
 
+  const kind = classifyTransfer(changes, getProgramIds(tx));
+  for (const change of changes) {
+    change.kind = kind;
+  }
+
   return changes;
 }
 
+/**
+ * Find the first SOL funding source of a wallet
+ * Scans the wallet's oldest transactions for a System Program transfer/createAccount into it.
+ * @param {string} address - Wallet address
+ * @returns {Promise<{funder: string, signature: string}|null>} null if none found
+ */
+export async function getFundingSource(address) {
+  const result = await rpc('getTransactionsForAddress', [address, {
+    transactionDetails: 'full',
+    encoding: 'jsonParsed',
+    maxSupportedTransactionVersion: 0,
+    sortOrder: 'asc',
+    limit: 10,
+  }]);
+
+  for (const tx of result?.data || []) {
+    if (tx.meta?.err) continue;
+    const instructions = [
+      ...(tx.transaction?.message?.instructions || []),
+      ...(tx.meta?.innerInstructions || []).flatMap((inner) => inner.instructions || []),
+    ];
+
+    for (const ix of instructions) {
+      if (ix.program !== 'system' || !ix.parsed?.info) continue;
+      const { type, info } = ix.parsed;
+      const recipient = type === 'createAccount' ? info.newAccount : info.destination;
+      if ((type === 'transfer' || type === 'createAccount') && recipient === address && info.source !== address) {
+        return { funder: info.source, signature: tx.transaction?.signatures?.[0] || null };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe a mint's launch transaction (its oldest transaction)
+ * @param {string} mint - Token mint
+ * @returns {Promise<{signature: string, slot: number, programs: string[], mintAuthority: string|null,
+ *   initialized: boolean}|null>} initialized: the transaction initializes the mint (null: no transaction)
+ */
+export async function getMintLaunchInfo(mint) {
+  const result = await rpc('getTransactionsForAddress', [mint, {
+    transactionDetails: 'full',
+    encoding: 'jsonParsed',
+    maxSupportedTransactionVersion: 0,
+    sortOrder: 'asc',
+    limit: 1,
+  }]);
+
+  const tx = result?.data?.[0];
+  if (!tx) return null;
+
+  const instructions = [
+    ...(tx.transaction?.message?.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap((inner) => inner.instructions || []),
+  ];
+
+  // Mint authority set at initialization (launchpads keep a program-owned authority)
+  const init = instructions.find((ix) =>
+    (ix.parsed?.type === 'initializeMint' || ix.parsed?.type === 'initializeMint2') && ix.parsed.info?.mint === mint);
+
+  return {
+    signature: tx.transaction?.signatures?.[0] || null,
+    slot: tx.slot,
+    programs: [...new Set(instructions.map((ix) => ix.programId).filter(Boolean))],
+    mintAuthority: init?.parsed.info.mintAuthority || null,
+    initialized: Boolean(init),
+  };
+}
+
+/**
+ * Current token balances of a wallet (SPL Token and Token-2022 accounts)
+ * @param {string} address - Wallet address
+ * @returns {Promise<Map<string, number>>} mint -> balance (UI amount, summed over the wallet's accounts)
+ */
+export async function getWalletTokenBalances(address) {
+  const balances = new Map();
+  for (const programId of TOKEN_PROGRAMS) {
+    const result = await rpc('getTokenAccountsByOwner', [address, { programId }, { encoding: 'jsonParsed' }]);
+    for (const account of result?.value || []) {
+      const info = account.account?.data?.parsed?.info;
+      if (!info?.mint) continue;
+      balances.set(info.mint, (balances.get(info.mint) || 0) + (info.tokenAmount?.uiAmount || 0));
+    }
+  }
+  return balances;
+}
+
 /**
  * Enhanced Transactions API - get parsed transaction history
  * Much faster than manual RPC parsing
  * @param {string} address - Wallet address
- * @param {object} options - { type, limit, before }
+ * @param {object} options - { type, limit, before, until } (until: stop at this signature, exclusive)
  */
 export async function getEnhancedTransactions(address, options = {}) {
   const params = new URLSearchParams({
@@ -383,6 +646,7 @@ export async function getEnhancedTransactions(address, options = {}) {
   if (options.type) params.append('type', options.type);
   if (options.limit) params.append('limit', options.limit.toString());
   if (options.before) params.append('before', options.before);
+  if (options.until) params.append('until', options.until);
 
   const url = `https://api-mainnet.helius-rpc.com/v0/addresses/${address}/transactions?${params}`;
 
@@ -443,34 +707,59 @@ export async function getTokenTransfers(address, options = {}) {
 }
 
 /**
- * Get COMPLETE trading history for supported tokens (PumpFun, Ignition, dev.fun)
+ * Get COMPLETE trading history for supported tokens (see platforms.js)
  * Fetches ALL transactions, builds position map for each token
  *
+ * With `until` (newest signature of a previous scan) only newer transactions are
+ * fetched and positions are returned as raw deltas (not finalized, see finalizePosition).
+ *
  * @param {string} address - Wallet address
- * @param {object} options - { maxPages: 50, onProgress: fn }
- * @returns {object} { positions: Map<mint, Position>, stats }
+ * @param {object} options - { maxPages: 50, onProgress: fn, model: scoring model version,
+ *   isSupportedMint: fn(mint) -> boolean (default: every mint), until: signature,
+ *   linkedWallets: Set of wallets linked to the address (transfers to them are not sells),
+ *   isKnownMint: fn(mint) -> boolean, resolvePlatforms: async fn(mints) -> Map<mint, platform|null> }
+ *
+ * Mints whose platform is not known yet (isKnownMint) are tracked too and resolved with
+ * resolvePlatforms once the history is fetched; unsupported and unresolved ones are dropped.
+ * @returns {object} { positions: Map<mint, Position>, stats } (stats.newestSignature, stats.truncated,
+ *   stats.unresolvedMints: mints left undetected)
  */
 export async function getCompletePumpFunHistory(address, options = {}) {
   const maxPages = options.maxPages || 50; // Up to 5000 transactions
   const onProgress = options.onProgress || (() => {});
-
-  // Position map: mint -> { first_buy_ts, first_buy_amount, total_bought, total_sold, current, txs }
+  const isSupportedMint = options.isSupportedMint || (() => true);
+  const until = options.until || null;
+  const linkedWallets = options.linkedWallets || new Set();
+  const isKnownMint = options.isKnownMint || (() => true);
+  const unknownMints = new Set();
+  const model = scoring.getModel(options.model) || scoring.getModel();
+
+  // Position map: mint -> { first_buy_ts, first_buy_amount, total_bought, total_sold, transfer flows, current, txs }
   const positions = new Map();
   let before = null;
   let pages = 0;
   let totalTxs = 0;
   let pumpTxs = 0;
+  let newestSignature = null;
+  let exhausted = false;
+  let oldestPageTs = null; // Newest timestamp of the oldest page fetched
 
-  console.log(`[Helius] Fetching complete history for ${address.slice(0, 8)}...`);
+  console.log(`[Helius] Fetching ${until ? 'new' : 'complete'} history for ${address.slice(0, 8)}...`);
 
   while (pages < maxPages) {
     const txs = await getEnhancedTransactions(address, {
       limit: 100,
       before,
+      until,
     });
 
-    if (!txs || txs.length === 0) break;
+    if (!txs || txs.length === 0) {
+      exhausted = true;
+      break;
+    }
     totalTxs += txs.length;
+    if (!newestSignature) newestSignature = txs[0].signature;
+    oldestPageTs = txs[0].timestamp;
 
     // Process each transaction
     for (const tx of txs) {
@@ -480,49 +769,50 @@ export async function getCompletePumpFunHistory(address, options = {}) {
         const mint = transfer.mint;
         if (!mint) continue;
 
-        // Check if supported token platform (PumpFun, Ignition, or dev.fun)
-        const lowerMint = mint.toLowerCase();
-        const isSupportedPlatform =
-          lowerMint.endsWith('pump') ||  // PumpFun
-          lowerMint.endsWith('asdf') ||  // Ignition
-          lowerMint.endsWith('dev');     // dev.fun
-        if (!isSupportedPlatform) continue;
+        // Supported launch platforms only (unknown mints are resolved after the scan)
+        const supported = isSupportedMint(mint);
+        if (!supported && (isKnownMint(mint) || !options.resolvePlatforms)) continue;
 
         pumpTxs++;
         const amount = transfer.tokenAmount || 0;
         const isReceive = transfer.toUserAccount === address;
         const isSend = transfer.fromUserAccount === address;
+        if (!isReceive && !isSend) continue;
+        if (!supported) unknownMints.add(mint);
 
         // Get or create position
         if (!positions.has(mint)) {
           positions.set(mint, {
             mint,
             first_buy_ts: null,
+            first_buy_slot: null,
             first_buy_amount: 0,
+            first_swap_amount: 0,
             total_bought: 0,
             total_sold: 0,
+            transferred_in: 0,
+            transferred_out: 0,
+            linked_out: 0,
+            airdropped: 0,
             current: 0,
             last_tx_ts: null,
+            oldest_tx_ts: null,
             tx_count: 0,
+            partial: false,
           });
         }
 
         const pos = positions.get(mint);
         pos.tx_count++;
-        pos.last_tx_ts = tx.timestamp;
-
-        if (isReceive) {
-          pos.total_bought += amount;
-          pos.current += amount;
-          // Track first buy (we're going backwards in time, so update on each receive)
-          pos.first_buy_ts = tx.timestamp;
-          pos.first_buy_amount = amount; // Will be overwritten by earlier buys
-        }
-
-        if (isSend) {
-          pos.total_sold += amount;
-          pos.current -= amount;
-        }
+        // Newest first: the first transaction seen is the latest, the last one the oldest
+        if (pos.last_tx_ts === null) pos.last_tx_ts = tx.timestamp;
+        pos.oldest_tx_ts = tx.timestamp;
+
+        const kind = classifyEnhancedTransfer(tx, tx.tokenTransfers.filter((t) => t.mint === mint));
+        applyHistoryTransfer(pos, {
+          amount, isReceive, isSend, kind, timestamp: tx.timestamp, slot: tx.slot ?? null,
+          linked: isSend && linkedWallets.has(transfer.toUserAccount),
+        });
       }
     }
 
@@ -534,28 +824,35 @@ export async function getCompletePumpFunHistory(address, options = {}) {
     if (txs.length === 0) break;
   }
 
-  // Fix first_buy_amount: since we went backwards, we need to find the actual first buy
-  // The last "first_buy" we saw is actually the earliest
-  // But current balance might be negative due to airdrops received before buys
-  // Normalize: if current < 0, set to 0
-  for (const [mint, pos] of positions) {
-    if (pos.current < 0) pos.current = 0;
-
-    // Calculate retention
-    if (pos.first_buy_amount > 0) {
-      pos.retention = pos.current / pos.first_buy_amount;
-    } else if (pos.total_bought > 0) {
-      pos.retention = pos.current / pos.total_bought;
-    } else {
-      pos.retention = 0;
+  let unresolvedMints = 0;
+  if (unknownMints.size > 0) {
+    const resolved = await options.resolvePlatforms([...unknownMints]);
+    for (const mint of unknownMints) {
+      if (!resolved.get(mint)) positions.delete(mint);
+      if (!resolved.has(mint)) unresolvedMints++;
+    }
+  }
+
+  if (!until) {
+    // Truncated history: the flows seen must add up to the wallet's current balance
+    let balances = null;
+    if (!exhausted && positions.size > 0) {
+      try {
+        balances = await getWalletTokenBalances(address);
+      } catch (error) {
+        console.warn(`[Helius] Balance check failed for ${address.slice(0, 8)}: ${error.message}`);
+      }
     }
 
-    // Classify
-    if (pos.retention >= 1.5) pos.classification = 'accumulator';
-    else if (pos.retention >= 1.0) pos.classification = 'holder';
-    else if (pos.retention >= 0.5) pos.classification = 'reducer';
-    else if (pos.current > 0) pos.classification = 'reducer';
-    else pos.classification = 'extractor';
+    for (const [mint, pos] of positions) {
+      // Truncated history: a position whose flows don't match its balance (or unverified), active in the
+      // oldest page fetched, or without a seen buy may have older transactions (first buy unknown)
+      if (!exhausted) {
+        pos.partial = !balances || !balanceMatches(pos.current, balances.get(mint) || 0) ||
+          !pos.first_buy_ts || pos.oldest_tx_ts <= oldestPageTs;
+      }
+      if (!finalizePosition(pos, model)) positions.delete(mint);
+    }
   }
 
   console.log(`[Helius] Complete: ${pages} pages, ${totalTxs} txs, ${pumpTxs} pump transfers, ${positions.size} unique tokens`);
@@ -567,10 +864,41 @@ export async function getCompletePumpFunHistory(address, options = {}) {
       totalTxs,
       pumpTxs,
       uniqueTokens: positions.size,
+      newestSignature,
+      truncated: !exhausted,
+      unresolvedMints,
     }
   };
 }
 
+/**
+ * Finalize a history position: clamp balance, compute retention and classification
+ * Going backwards, the last purchase seen is the earliest (the actual first buy).
+ * Current balance might be negative due to receives before the history window.
+ * @returns {boolean} false if the position is not one of the wallet's (peer transfers only)
+ */
+export function finalizePosition(pos, model = scoring.getModel()) {
+  if (pos.current < 0) pos.current = 0;
+
+  // Funded only by peer transfers (e.g. a linked wallet): not a position of this wallet
+  if (pos.total_bought === 0 && pos.airdropped === 0) return false;
+
+  // Calculate retention and classify (scoring model)
+  const firstBuy = scoring.firstBuyFor({ firstBuy: pos.first_buy_amount, firstSwap: pos.first_swap_amount }, model);
+  pos.retention = scoring.computeRetention({
+    current: pos.current,
+    firstBuy,
+    totalReceived: pos.total_bought,
+    bought: pos.total_bought,
+    transferredIn: pos.transferred_in,
+    linkedOut: pos.linked_out,
+    airdropped: pos.airdropped,
+  }, model);
+
+  pos.classification = scoring.classifyRetention(pos.retention, model);
+  return true;
+}
+
 /**
  * Check if an address is a DEX liquidity pool
  * Checks account owner against known DEX program IDs
@@ -677,9 +1005,20 @@ export default {
   streamMintTransactions,
   fetchTokenInfo,
   parseTransaction,
+  isDexProgram,
+  isCexWallet,
+  registerCexWallets,
+  isKnownPoolWallet,
+  classifyTransfer,
+  classifyEnhancedTransfer,
+  applyHistoryTransfer,
+  getFundingSource,
+  getMintLaunchInfo,
+  getWalletTokenBalances,
   getEnhancedTransactions,
   getTokenTransfers,
   getCompletePumpFunHistory,
+  finalizePosition,
   checkIfPool,
   batchCheckPools,
 };
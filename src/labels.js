@@ -0,0 +1,174 @@
+/**
+ * Address Labels
+ *
+ * Accounts that hold supply without being conviction holders: liquidity pools and
+ * bonding curves, burn addresses, team/treasury wallets, CEX hot wallets, bridges
+ * and program-owned accounts. Labels come from:
+ *   - built-in knowledge (known pool/fee wallets, burn addresses, CEX_WALLETS)
+ *   - pool detection over top holders (account owner = DEX program or other program)
+ *   - admin endpoints (/k-metric/admin/labels)
+ *
+ * Categories in K_EXCLUDED_LABELS (default: all) are excluded from K by the calculator.
+ */
+
+import db from './db.js';
+import helius from './helius.js';
+import { log, loadEnv } from './utils.js';
+
+loadEnv();
+
+export const LABELS = ['pool', 'burn', 'team', 'cex', 'bridge', 'program'];
+
+// Policy: labels excluded from K
+export const EXCLUDED_LABELS = new Set(
+  (process.env.K_EXCLUDED_LABELS || LABELS.join(','))
+    .split(',')
+    .map((label) => label.trim())
+    .filter((label) => LABELS.includes(label))
+);
+
+const BURN_ADDRESSES = new Set([
+  '1nc1nerator11111111111111111111111111111111', // Solana incinerator
+]);
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+
+/**
+ * Whether a label is excluded from K by policy
+ */
+export function isExcludedLabel(label) {
+  return EXCLUDED_LABELS.has(label);
+}
+
+/**
+ * Built-in label for an address (no DB lookup)
+ */
+function builtinLabel(address) {
+  if (helius.isKnownPoolWallet(address)) return 'pool';
+  if (BURN_ADDRESSES.has(address)) return 'burn';
+  if (helius.isCexWallet(address)) return 'cex';
+  return null;
+}
+
+/**
+ * Labels that apply to a set of addresses for a mint (stored labels win over built-in)
+ * @returns {Promise<Map<string, string>>} address -> label (labelled addresses only)
+ */
+export async function getLabelMap(mint, addresses) {
+  const stored = await db.getLabelsForMint(mint);
+  const labels = new Map();
+  for (const address of addresses) {
+    const label = stored.get(address) || builtinLabel(address);
+    if (label) labels.set(address, label);
+  }
+  return labels;
+}
+
+/**
+ * Split wallets into those counted in K and those excluded by label
+ * @param {string} mint - Token mint
+ * @param {Object[]} wallets - Wallet rows ({ address, current_balance })
+ * @returns {Promise<{included: Object[], excluded: Object[]}>} excluded: [{ address, label, balance }]
+ */
+export async function splitExcluded(mint, wallets) {
+  const labels = await getLabelMap(mint, wallets.map((w) => w.address));
+  const included = [];
+  const excluded = [];
+
+  for (const wallet of wallets) {
+    const label = labels.get(wallet.address);
+    if (label && isExcludedLabel(label)) {
+      excluded.push({ address: wallet.address, label, balance: wallet.current_balance });
+    } else {
+      included.push(wallet);
+    }
+  }
+
+  return { included, excluded };
+}
+
+/**
+ * Summarize exclusions for a K response (largest balances first)
+ * @param {Object[]} excluded - From splitExcluded()
+ * @param {number} limit - Max addresses listed
+ */
+export function summarizeExclusions(excluded, limit = 50) {
+  const byLabel = {};
+  let balance = 0n;
+  for (const entry of excluded) {
+    byLabel[entry.label] = (byLabel[entry.label] || 0) + 1;
+    balance += BigInt(entry.balance || 0);
+  }
+
+  const addresses = [...excluded]
+    .sort((a, b) => (BigInt(b.balance) > BigInt(a.balance) ? 1 : BigInt(b.balance) < BigInt(a.balance) ? -1 : 0))
+    .slice(0, limit)
+    .map((entry) => ({ address: entry.address, label: entry.label, balance: entry.balance.toString() }));
+
+  return {
+    policy: [...EXCLUDED_LABELS],
+    wallets: excluded.length,
+    balance: balance.toString(),
+    byLabel,
+    addresses,
+  };
+}
+
+/**
+ * Detect pools and program-owned accounts among addresses and store their labels
+ * Admin labels are never overridden.
+ * @returns {Promise<Map<string, Object>>} Pool check results (see helius.batchCheckPools)
+ */
+export async function detectLabels(addresses) {
+  const results = await helius.batchCheckPools(addresses);
+  const detected = [];
+
+  for (const [address, info] of results) {
+    if (info.error) continue;
+    if (info.isPool) {
+      detected.push({ address, label: 'pool', note: info.program });
+    } else if (info.owner && info.owner !== SYSTEM_PROGRAM) {
+      detected.push({ address, label: 'program', note: info.owner });
+    }
+  }
+
+  if (detected.length > 0) {
+    const added = await db.addAddressLabels(detected, 'pool_detection');
+    if (added > 0) log('INFO', `[Labels] Labelled ${added} new pool/program accounts`);
+  }
+
+  return results;
+}
+
+/**
+ * Run detection over a mint's largest holders (pools concentrate supply)
+ */
+export async function detectLabelsForMint(mint = db.getPrimaryMint(), limit = 100) {
+  const wallets = await db.getWallets(1, mint);
+  const top = wallets
+    .sort((a, b) => (b.current_balance > a.current_balance ? 1 : b.current_balance < a.current_balance ? -1 : 0))
+    .slice(0, limit)
+    .map((w) => w.address);
+  return detectLabels(top);
+}
+
+/**
+ * Register stored 'cex' labels as CEX wallets for transfer classification
+ */
+export async function loadCexLabels() {
+  const cex = await db.listAddressLabels({ label: 'cex', limit: 10000 });
+  helius.registerCexWallets(cex.map((entry) => entry.address));
+  return cex.length;
+}
+
+export default {
+  LABELS,
+  EXCLUDED_LABELS,
+  isExcludedLabel,
+  getLabelMap,
+  splitExcluded,
+  summarizeExclusions,
+  detectLabels,
+  detectLabelsForMint,
+  loadCexLabels,
+};
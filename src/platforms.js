@@ -0,0 +1,276 @@
+/**
+ * Launch Platforms
+ *
+ * Registry of supported launchpads. A mint belongs to a platform when:
+ *   - its address ends with the platform suffix (vanity mints), or
+ *   - its launch transaction (oldest tx of the mint) invokes one of the platform's
+ *     programs or initializes the mint with one of its mint authorities
+ *
+ * Launch detection is stored per mint (token_platforms) and cached in memory (LRU,
+ * PLATFORM_CACHE_SIZE), so synchronous checks also recognize detected mints without a
+ * suffix. Wallet history scans resolve the mints missing from the cache in batches
+ * (detectPlatforms). Addresses whose oldest transaction does not initialize a mint are
+ * not stored as unsupported, only cached for NOT_A_MINT_TTL.
+ *
+ * The launch slot is stored with the detection; launch slots of suffix mints are looked up
+ * on demand (getLaunchSlots, wallet profile sniper score).
+ *
+ * Extra platforms: EXTRA_PLATFORMS=name:suffix:program[:mintAuthority],... (empty fields allowed)
+ */
+
+import db from './db.js';
+import helius from './helius.js';
+import { platformCache } from './cache.js';
+import { log, loadEnv } from './utils.js';
+
+loadEnv();
+
+const PLATFORM_DETECT_CONCURRENCY = parseInt(process.env.PLATFORM_DETECT_CONCURRENCY || '5');
+export const BATCH_LAUNCH_LOOKUPS = parseInt(process.env.BATCH_LAUNCH_LOOKUPS || '10'); // Per batch API request
+const NOT_A_MINT_TTL = 10 * 60 * 1000; // Cached detections never expire (ttl 0), non-mints do
+
+const BUILTIN_PLATFORMS = [
+  {
+    name: 'pump',
+    label: 'PumpFun',
+    suffix: 'pump',
+    programs: ['6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P'],
+    mintAuthorities: ['TSLvdd1pWpHVjahSpsvCXUbgwsL3JAcvokwaKt1eokM'],
+  },
+  { name: 'asdf', label: 'Ignition', suffix: 'asdf', programs: [], mintAuthorities: [] },
+  { name: 'dev', label: 'dev.fun', suffix: 'dev', programs: [], mintAuthorities: [] },
+];
+
+/**
+ * Parse EXTRA_PLATFORMS entries (name:suffix:program[:mintAuthority])
+ */
+function parseExtraPlatforms(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, suffix, program, mintAuthority] = entry.split(':').map((part) => (part || '').trim());
+      return {
+        name,
+        label: name,
+        suffix: suffix || null,
+        programs: program ? [program] : [],
+        mintAuthorities: mintAuthority ? [mintAuthority] : [],
+      };
+    })
+    .filter((platform) => platform.name && (platform.suffix || platform.programs.length || platform.mintAuthorities.length));
+}
+
+export const PLATFORMS = [
+  ...BUILTIN_PLATFORMS,
+  ...parseExtraPlatforms(process.env.EXTRA_PLATFORMS)
+    .filter((extra) => !BUILTIN_PLATFORMS.some((builtin) => builtin.name === extra.name)),
+];
+
+export const PLATFORM_NAMES = PLATFORMS.map((platform) => platform.name);
+
+// mint -> launch detection in progress (concurrent requests share one lookup)
+const pending = new Map();
+
+/**
+ * Platform matching a mint's suffix (case insensitive)
+ */
+function platformBySuffix(mint) {
+  const lower = mint.toLowerCase();
+  return PLATFORMS.find((platform) => platform.suffix && lower.endsWith(platform.suffix.toLowerCase()))?.name || null;
+}
+
+/**
+ * Platform whose program or mint authority appears in a launch transaction
+ */
+function platformByLaunch(launch) {
+  const programs = new Set(launch.programs);
+  return PLATFORMS.find((platform) =>
+    platform.programs.some((program) => programs.has(program)) ||
+    (launch.mintAuthority && platform.mintAuthorities.includes(launch.mintAuthority)))?.name || null;
+}
+
+/**
+ * Platform of a mint without network access (suffix or cached launch detection)
+ * @returns {string|null} Platform name
+ */
+export function platformOf(mint) {
+  return platformBySuffix(mint) || platformCache.get(mint) || null;
+}
+
+/**
+ * Whether a mint's platform (or lack of one) is known without network access
+ */
+export function isKnownMint(mint) {
+  return platformBySuffix(mint) !== null || platformCache.has(mint);
+}
+
+/**
+ * Whether a mint belongs to a supported platform (synchronous, see platformOf)
+ */
+export function isSupportedMint(mint) {
+  return platformOf(mint) !== null;
+}
+
+/**
+ * Resolve a mint's platform, detecting it from the launch transaction on first request
+ * @returns {Promise<string|null>} Platform name (null = unsupported or detection failed)
+ */
+export async function detectPlatform(mint) {
+  const bySuffix = platformBySuffix(mint);
+  if (bySuffix) return bySuffix;
+  const cached = platformCache.get(mint);
+  if (cached !== undefined) return cached;
+
+  const stored = await loadStoredPlatform(mint);
+  if (stored !== undefined) return stored;
+
+  if (!pending.has(mint)) {
+    pending.set(mint, detectLaunchPlatform(mint).finally(() => pending.delete(mint)));
+  }
+  return pending.get(mint);
+}
+
+/**
+ * Cache a stored detection of a mint
+ * @returns {Promise<string|null|undefined>} Stored platform, undefined if never detected
+ */
+async function loadStoredPlatform(mint) {
+  const stored = await db.getTokenPlatform(mint);
+  if (!stored) return undefined;
+  platformCache.set(mint, stored.platform, 0);
+  return stored.platform;
+}
+
+/**
+ * Detect a mint's platform from its launch transaction (network)
+ */
+async function detectLaunchPlatform(mint) {
+  try {
+    const launch = await helius.getMintLaunchInfo(mint);
+    const platform = launch ? platformByLaunch(launch) : null;
+    if (!platform && !launch?.initialized) {
+      // Not a mint (or not created by its oldest transaction): not stored, retried later
+      platformCache.set(mint, null, NOT_A_MINT_TTL);
+      return null;
+    }
+    await db.setTokenPlatform(mint, platform, 'launch', launch.signature, launch.slot ?? null);
+    platformCache.set(mint, platform, 0);
+    if (platform) log('INFO', `[Platforms] ${mint.slice(0, 8)} launched on ${platform}`);
+    return platform;
+  } catch (error) {
+    // Not cached: retried on the next request
+    log('WARN', `[Platforms] Launch detection failed for ${mint.slice(0, 8)}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve the platforms of many mints: stored detections first, then launch detection of
+ * at most `lookups` unknown mints, PLATFORM_DETECT_CONCURRENCY at a time
+ * @returns {Promise<Map<string, string|null>>} mint -> platform (mints left undetected omitted)
+ */
+export async function detectPlatforms(mints, { lookups = Infinity } = {}) {
+  const resolved = new Map();
+  const unknown = [];
+  for (const mint of new Set(mints)) {
+    if (isKnownMint(mint)) {
+      resolved.set(mint, platformOf(mint));
+      continue;
+    }
+    const stored = await loadStoredPlatform(mint);
+    if (stored !== undefined) resolved.set(mint, stored);
+    else unknown.push(mint);
+  }
+
+  const batch = unknown.slice(0, lookups);
+  for (let i = 0; i < batch.length; i += PLATFORM_DETECT_CONCURRENCY) {
+    const chunk = batch.slice(i, i + PLATFORM_DETECT_CONCURRENCY);
+    const platforms = await Promise.all(chunk.map((mint) => detectPlatform(mint)));
+    // Failed detections are not cached: left undetected
+    chunk.forEach((mint, index) => {
+      if (platformCache.has(mint)) resolved.set(mint, platforms[index]);
+    });
+  }
+  return resolved;
+}
+
+/**
+ * Look up and store the launch slot of a mint (keeps its stored platform)
+ * @returns {Promise<number|null>}
+ */
+async function lookupLaunchSlot(mint) {
+  const stored = await db.getTokenPlatform(mint);
+  if (!stored && !platformBySuffix(mint)) {
+    // Never detected: the detection stores the slot
+    await detectPlatform(mint);
+    return (await db.getTokenPlatform(mint))?.launch_slot ?? null;
+  }
+
+  try {
+    const launch = await helius.getMintLaunchInfo(mint);
+    if (!launch) return null;
+    await db.setTokenPlatform(mint, stored?.platform ?? null, stored?.source || 'suffix', launch.signature, launch.slot);
+    return launch.slot;
+  } catch (error) {
+    log('WARN', `[Platforms] Launch lookup failed for ${mint.slice(0, 8)}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Launch slots of mints, looking up at most `lookups` missing ones
+ * @returns {Promise<Map<string, number>>} mint -> launch slot (unknown mints omitted)
+ */
+export async function getLaunchSlots(mints, { lookups = 0 } = {}) {
+  const slots = await db.getLaunchSlots(mints);
+  const missing = mints.filter((mint) => !slots.has(mint)).slice(0, lookups);
+  for (const mint of missing) {
+    const slot = await lookupLaunchSlot(mint);
+    if (slot !== null) slots.set(mint, slot);
+  }
+  return slots;
+}
+
+/**
+ * Load the most recent stored launch detections into memory (startup, up to the cache size)
+ * @returns {Promise<number>} Mints loaded
+ */
+export async function loadDetectedPlatforms() {
+  const stored = await db.getDetectedPlatforms(platformCache.maxSize);
+  // Oldest first: the most recent detections are the last evicted
+  for (const [mint, platform] of [...stored].reverse()) {
+    if (PLATFORM_NAMES.includes(platform)) platformCache.set(mint, platform, 0);
+  }
+  return stored.size;
+}
+
+/**
+ * Supported platforms with their detection rules and detected mint counts
+ */
+export async function listPlatforms() {
+  const counts = await db.countDetectedPlatforms();
+  return PLATFORMS.map((platform) => ({
+    name: platform.name,
+    label: platform.label,
+    suffix: platform.suffix,
+    programs: platform.programs,
+    mint_authorities: platform.mintAuthorities,
+    detected_tokens: counts[platform.name] || 0,
+  }));
+}
+
+export default {
+  PLATFORMS,
+  PLATFORM_NAMES,
+  BATCH_LAUNCH_LOOKUPS,
+  platformOf,
+  isSupportedMint,
+  isKnownMint,
+  detectPlatform,
+  detectPlatforms,
+  getLaunchSlots,
+  loadDetectedPlatforms,
+  listPlatforms,
+};
@@ -7,7 +7,13 @@
 
 import db from '../db.js';
 import walletScore from '../wallet-score.js';
+import sync from '../sync.js';
+import tokenScore from '../token-score.js';
 import security from '../security.js';
+import clusters from '../clusters.js';
+import labels from '../labels.js';
+import bundles from '../bundles.js';
+import helius from '../helius.js';
 import { log } from '../utils.js';
 import { sendJson, requireAdmin } from './utils.js';
 
@@ -42,20 +48,21 @@ async function handleAdminBatchK(req, res) {
 
     const results = [];
     for (const wallet of wallets) {
-      const status = walletScore.getWalletStatus(wallet.address);
+      const stored = await walletScore.getKWalletFromDB(wallet.address);
 
-      if (status.status === 'ready') {
+      if (stored) {
         results.push({
           ...wallet,
-          k_wallet: status.data.k_wallet,
-          tokens: status.data.tokens_analyzed,
+          k_wallet: stored.k_wallet,
+          tokens: stored.tokens_analyzed,
           status: 'cached'
         });
       } else {
-        walletScore.queueWalletCalculation(wallet.address);
+        const job = await walletScore.enqueueWallet(wallet.address);
         results.push({
           ...wallet,
-          status: 'queued'
+          status: 'queued',
+          job_id: job.id
         });
       }
     }
@@ -66,7 +73,7 @@ async function handleAdminBatchK(req, res) {
     sendJson(res, 200, {
       results,
       summary: { total: results.length, cached, queued },
-      queue_stats: walletScore.getQueueStats()
+      queue_stats: await walletScore.getQueueStats()
     });
   } catch (error) {
     log('ERROR', `Admin batch K error: ${error.message}`);
@@ -101,16 +108,12 @@ async function handleAdminBackfillKWallet(req, res) {
 }
 
 /**
- * GET /k-metric/admin/k-wallet-queue - Get K_wallet queue status
+ * GET /k-metric/admin/k-wallet-queue - Get K_wallet job queue status
  */
 async function handleAdminKWalletQueue(req, res) {
   try {
-    const queueStats = await db.getKWalletQueueStats();
-    const memoryStats = walletScore.getQueueStats();
-
     sendJson(res, 200, {
-      db_queue: queueStats,
-      memory_queue: memoryStats,
+      queue: await walletScore.getQueueStats(),
     });
   } catch (error) {
     log('ERROR', `Admin queue status error: ${error.message}`);
@@ -292,6 +295,436 @@ async function handleAdminUsageStats(req, res) {
   }
 }
 
+/**
+ * GET /k-metric/admin/tracked-tokens - List tracked (tier 1) tokens
+ */
+async function handleAdminListTrackedTokens(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const tokens = await db.getTrackedTokens();
+    sendJson(res, 200, {
+      primary: db.getPrimaryMint(),
+      tokens,
+      total: tokens.length,
+    });
+  } catch (error) {
+    log('ERROR', `Admin tracked tokens error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /k-metric/admin/tracked-tokens - Track a token (tier 1)
+ * Body: { mint, symbol?, launch_ts? }
+ * Starts a holder delta sync; run `npm run backfill -- --mint <mint>` for full history
+ */
+async function handleAdminTrackToken(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { mint, symbol, launch_ts } = req.body || {};
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Valid mint is required' });
+    }
+
+    const token = await db.trackToken({
+      mint,
+      symbol: typeof symbol === 'string' ? symbol : null,
+      launchTs: Number.isInteger(launch_ts) ? launch_ts : null,
+    });
+
+    log('INFO', `[Admin] Tracking token ${mint.slice(0, 8)}`);
+
+    // Initial holder import in background (polling picks the mint up on next tick)
+    sync.syncHolderDelta(mint)
+      .catch(err => log('ERROR', `[Admin] Initial sync failed for ${mint.slice(0, 8)}: ${err.message}`));
+
+    sendJson(res, 201, {
+      success: true,
+      token,
+      message: 'Token tracked. Holder sync started; run backfill with --mint for full history.',
+    });
+  } catch (error) {
+    log('ERROR', `Admin track token error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * DELETE /k-metric/admin/tracked-tokens - Stop tracking a token
+ * Body: { mint }
+ */
+async function handleAdminUntrackToken(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { mint } = req.body || {};
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Valid mint is required' });
+    }
+
+    if (mint === db.getPrimaryMint()) {
+      return sendJson(res, 400, { error: 'Primary token (TOKEN_MINT) cannot be untracked' });
+    }
+
+    const untracked = await db.untrackToken(mint);
+    if (!untracked) {
+      return sendJson(res, 404, { error: 'Token not tracked' });
+    }
+
+    log('INFO', `[Admin] Untracked token ${mint.slice(0, 8)}`);
+    sendJson(res, 200, { success: true, message: 'Token untracked (local data kept)' });
+  } catch (error) {
+    log('ERROR', `Admin untrack token error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /k-metric/admin/token-tiers - Tier 2 policy, on-demand tokens and request counts
+ */
+async function handleAdminListTokenTiers(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const tiers = await tokenScore.getTokenTiers();
+    sendJson(res, 200, { ...tiers, total: tiers.tokens.length });
+  } catch (error) {
+    log('ERROR', `Admin token tiers error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /k-metric/admin/token-tiers - Pin an on-demand token to tier 2 or 3
+ * Body: { mint, tier }
+ * Pinned tokens are skipped by automatic promotion/demotion
+ */
+async function handleAdminPinTokenTier(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { mint, tier } = req.body || {};
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Valid mint is required' });
+    }
+
+    if (tier !== 2 && tier !== 3) {
+      return sendJson(res, 400, { error: 'tier must be 2 or 3', hint: 'Use /k-metric/admin/tracked-tokens for tier 1' });
+    }
+
+    const pinned = await db.setTokenTier(mint, tier, true);
+    if (!pinned) {
+      return sendJson(res, 404, { error: 'Token not found or tracked (tier 1)', hint: 'Request its K first via /api/v1/token/:mint' });
+    }
+
+    log('INFO', `[Admin] Pinned token ${mint.slice(0, 8)} to tier ${tier}`);
+    sendJson(res, 200, { success: true, mint, tier, tier_pinned: true });
+  } catch (error) {
+    log('ERROR', `Admin pin token tier error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * DELETE /k-metric/admin/token-tiers - Unpin a token (automatic tiering resumes)
+ * Body: { mint }
+ */
+async function handleAdminUnpinTokenTier(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { mint } = req.body || {};
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Valid mint is required' });
+    }
+
+    const unpinned = await db.unpinTokenTier(mint);
+    if (!unpinned) {
+      return sendJson(res, 404, { error: 'Token tier not pinned' });
+    }
+
+    log('INFO', `[Admin] Unpinned token ${mint.slice(0, 8)}`);
+    sendJson(res, 200, { success: true, message: 'Tier unpinned (re-evaluated on next tier update)' });
+  } catch (error) {
+    log('ERROR', `Admin unpin token tier error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /k-metric/admin/wallet-links - List manual wallet links
+ */
+async function handleAdminListWalletLinks(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const links = await db.listManualLinks(500);
+    sendJson(res, 200, { links, total: links.length });
+  } catch (error) {
+    log('ERROR', `Admin list wallet links error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * Apply a manual link change: transfers between the two wallets stop (or start) counting
+ * as sells, so linked outflows are recomputed and both K_wallets rebuilt from full history
+ */
+async function applyManualLinkChange(a, b) {
+  for (const mint of await db.getTrackedMints()) {
+    await clusters.refreshLinkedFlows(mint);
+  }
+  await db.clearWalletScanState([a, b]);
+  await walletScore.enqueueWallet(a, { requeueRunning: true });
+  await walletScore.enqueueWallet(b, { requeueRunning: true });
+}
+
+/**
+ * POST /k-metric/admin/wallet-links - Declare two wallets as the same owner (all mints)
+ * Body: { a, b, note? }
+ */
+async function handleAdminAddWalletLink(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { a, b, note } = req.body || {};
+
+    if (!security.validateAddress(a) || !security.validateAddress(b) || a === b) {
+      return sendJson(res, 400, { error: 'Two different valid wallet addresses (a, b) are required' });
+    }
+
+    const created = await db.addWalletLink({
+      a,
+      b,
+      source: 'manual',
+      evidence: typeof note === 'string' ? note.slice(0, 200) : null,
+    });
+
+    if (created) await applyManualLinkChange(a, b);
+
+    log('INFO', `[Admin] Linked wallets ${a.slice(0, 8)} <-> ${b.slice(0, 8)}`);
+    sendJson(res, created ? 201 : 200, {
+      success: true,
+      created,
+      cluster: await clusters.getCluster(a),
+    });
+  } catch (error) {
+    log('ERROR', `Admin add wallet link error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * DELETE /k-metric/admin/wallet-links - Remove a manual wallet link
+ * Body: { a, b }
+ */
+async function handleAdminRemoveWalletLink(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { a, b } = req.body || {};
+
+    if (!security.validateAddress(a) || !security.validateAddress(b)) {
+      return sendJson(res, 400, { error: 'Valid wallet addresses (a, b) are required' });
+    }
+
+    const removed = await db.removeWalletLink(a, b, 'manual');
+    if (!removed) {
+      return sendJson(res, 404, { error: 'Manual link not found' });
+    }
+
+    await applyManualLinkChange(a, b);
+
+    log('INFO', `[Admin] Unlinked wallets ${a.slice(0, 8)} <-> ${b.slice(0, 8)}`);
+    sendJson(res, 200, { success: true });
+  } catch (error) {
+    log('ERROR', `Admin remove wallet link error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /k-metric/admin/clusters/detect-funding - Resolve funding sources for holders
+ * Body: { mint?, limit? } (runs in background, max 1000 wallets)
+ */
+async function handleAdminDetectFunding(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { mint = db.getPrimaryMint(), limit = 100 } = req.body || {};
+
+    if (!security.validateAddress(mint) || !(await db.isTrackedToken(mint))) {
+      return sendJson(res, 400, { error: 'Valid tracked mint is required' });
+    }
+
+    const max = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+
+    clusters.detectFundingForMint(mint, max)
+      .catch(err => log('ERROR', `[Admin] Funding detection failed for ${mint.slice(0, 8)}: ${err.message}`));
+
+    sendJson(res, 202, { success: true, mint, limit: max, message: 'Funding detection started' });
+  } catch (error) {
+    log('ERROR', `Admin detect funding error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /k-metric/admin/bundles/detect - Re-run launch bundle detection
+ * Body: { mint? } (local ledger only, runs inline)
+ */
+async function handleAdminDetectBundles(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { mint = db.getPrimaryMint() } = req.body || {};
+
+    if (!security.validateAddress(mint) || !(await db.isTrackedToken(mint))) {
+      return sendJson(res, 400, { error: 'Valid tracked mint is required' });
+    }
+
+    const result = await bundles.detectBundles(mint);
+    sendJson(res, 200, { success: true, mint, ...result });
+  } catch (error) {
+    log('ERROR', `Admin detect bundles error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /k-metric/admin/labels?label=&mint= - List address labels
+ */
+async function handleAdminListLabels(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const label = url.searchParams.get('label');
+    const mint = url.searchParams.get('mint');
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '100'), 1000);
+
+    if (label && !labels.LABELS.includes(label)) {
+      return sendJson(res, 400, { error: 'Invalid label', valid: labels.LABELS });
+    }
+
+    const entries = await db.listAddressLabels({ label, mint, limit });
+    sendJson(res, 200, {
+      labels: entries,
+      total: entries.length,
+      excluded_from_k: [...labels.EXCLUDED_LABELS],
+    });
+  } catch (error) {
+    log('ERROR', `Admin list labels error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * POST /k-metric/admin/labels - Label an address
+ * Body: { address, label, mint?, note? } (mint omitted = all tokens)
+ */
+async function handleAdminSetLabel(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { address, label, mint, note } = req.body || {};
+
+    if (!security.validateAddress(address)) {
+      return sendJson(res, 400, { error: 'Valid address is required' });
+    }
+
+    if (!labels.LABELS.includes(label)) {
+      return sendJson(res, 400, { error: 'Invalid label', valid: labels.LABELS });
+    }
+
+    if (mint && !security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Invalid mint' });
+    }
+
+    await db.setAddressLabel({
+      address,
+      label,
+      mint: mint || null,
+      source: 'admin',
+      note: typeof note === 'string' ? note.slice(0, 200) : null,
+    });
+
+    // CEX labels also drive transfer classification (deposits/withdrawals)
+    if (label === 'cex') helius.registerCexWallets([address]);
+
+    log('INFO', `[Admin] Labelled ${address.slice(0, 8)} as ${label}${mint ? ` for ${mint.slice(0, 8)}` : ''}`);
+    sendJson(res, 200, {
+      success: true,
+      label: await db.getAddressLabel(address, mint || null),
+      excluded_from_k: labels.isExcludedLabel(label),
+    });
+  } catch (error) {
+    log('ERROR', `Admin set label error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * DELETE /k-metric/admin/labels - Remove an address label
+ * Body: { address, mint? }
+ */
+async function handleAdminRemoveLabel(req, res) {
+  try {
+    if (!requireAdmin(req)) {
+      return sendJson(res, 401, { error: 'Admin access required', hint: 'Set X-Admin-Key header' });
+    }
+
+    const { address, mint } = req.body || {};
+
+    if (!security.validateAddress(address)) {
+      return sendJson(res, 400, { error: 'Valid address is required' });
+    }
+
+    const removed = await db.removeAddressLabel(address, mint || null);
+    if (!removed) {
+      return sendJson(res, 404, { error: 'Label not found' });
+    }
+
+    log('INFO', `[Admin] Removed label for ${address.slice(0, 8)}`);
+    sendJson(res, 200, { success: true });
+  } catch (error) {
+    log('ERROR', `Admin remove label error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 // Route definitions
 export const routes = {
   'POST /k-metric/admin/batch-k': handleAdminBatchK,
@@ -300,6 +733,20 @@ export const routes = {
   'POST /k-metric/admin/api-keys': handleAdminCreateApiKey,
   'GET /k-metric/admin/api-keys': handleAdminListApiKeys,
   'GET /k-metric/admin/usage-stats': handleAdminUsageStats,
+  'GET /k-metric/admin/tracked-tokens': handleAdminListTrackedTokens,
+  'POST /k-metric/admin/tracked-tokens': handleAdminTrackToken,
+  'DELETE /k-metric/admin/tracked-tokens': handleAdminUntrackToken,
+  'GET /k-metric/admin/token-tiers': handleAdminListTokenTiers,
+  'POST /k-metric/admin/token-tiers': handleAdminPinTokenTier,
+  'DELETE /k-metric/admin/token-tiers': handleAdminUnpinTokenTier,
+  'GET /k-metric/admin/wallet-links': handleAdminListWalletLinks,
+  'POST /k-metric/admin/wallet-links': handleAdminAddWalletLink,
+  'DELETE /k-metric/admin/wallet-links': handleAdminRemoveWalletLink,
+  'POST /k-metric/admin/clusters/detect-funding': handleAdminDetectFunding,
+  'POST /k-metric/admin/bundles/detect': handleAdminDetectBundles,
+  'GET /k-metric/admin/labels': handleAdminListLabels,
+  'POST /k-metric/admin/labels': handleAdminSetLabel,
+  'DELETE /k-metric/admin/labels': handleAdminRemoveLabel,
 };
 
 export const dynamicRoutes = [
@@ -7,28 +7,54 @@
 import db from '../db.js';
 import calculator from '../calculator.js';
 import walletScore from '../wallet-score.js';
+import walletProfile from '../wallet-profile.js';
+import walletSimilarity from '../wallet-similarity.js';
 import tokenScore from '../token-score.js';
 import security from '../security.js';
+import scoring from '../scoring.js';
+import clusters from '../clusters.js';
+import platforms from '../platforms.js';
 import { log } from '../utils.js';
-import { sendJson } from './utils.js';
+import { sendJson, jobRef, requesterId, parseHistoryWindow } from './utils.js';
 
 /**
  * GET /api/v1/status - API status and queue info
+ * K of tracked tokens is the cached or last snapshot value (not recalculated per request)
  */
 async function handleApiV1Status(req, res) {
   try {
     const tokenQueueStats = await tokenScore.getQueueStats();
-    const walletQueueStats = walletScore.getQueueStats();
-    const kMetric = await calculator.calculate();
+    const walletQueueStats = await walletScore.getQueueStats();
+    const primaryMint = db.getPrimaryMint();
+    const kMetric = await tokenScore.getLatestKMetric(primaryMint);
+
+    const trackedTokens = [];
+    for (const mint of await db.getTrackedMints()) {
+      if (mint === primaryMint) continue;
+      const tracked = await tokenScore.getLatestKMetric(mint);
+      trackedTokens.push({
+        mint,
+        k: tracked?.k ?? null,
+        holders: tracked?.holders || 0,
+        as_of: tracked?.asOf ?? null,
+        source: tracked?.source ?? null,
+      });
+    }
 
     sendJson(res, 200, {
       version: 'v1',
       status: 'operational',
       primary_token: {
-        mint: process.env.TOKEN_MINT,
+        mint: primaryMint,
         k: kMetric?.k || 0,
+        k_supply: kMetric?.kSupply || 0,
+        k_time: kMetric?.kTime || 0,
         holders: kMetric?.holders || 0,
+        bundled_supply_pct: kMetric?.bundledSupplyPct ?? null,
+        as_of: kMetric?.asOf ?? null,
+        source: kMetric?.source ?? null,
       },
+      tracked_tokens: trackedTokens,
       queues: {
         token: tokenQueueStats,
         wallet: walletQueueStats,
@@ -40,37 +66,204 @@ async function handleApiV1Status(req, res) {
   }
 }
 
+/**
+ * GET /api/v1/models - List scoring models
+ */
+async function handleApiV1Models(req, res) {
+  try {
+    sendJson(res, 200, {
+      models: scoring.listModels(),
+      default: scoring.DEFAULT_MODEL_VERSION,
+    });
+  } catch (error) {
+    log('ERROR', `API v1 models error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /api/v1/platforms - Supported launch platforms and how mints are matched
+ */
+async function handleApiV1Platforms(req, res) {
+  try {
+    sendJson(res, 200, {
+      platforms: await platforms.listPlatforms(),
+      detection: ['suffix', 'launch_program', 'mint_authority'],
+    });
+  } catch (error) {
+    log('ERROR', `API v1 platforms error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 /**
  * GET /api/v1/token/:mint - Get K score for any token
+ * ?model=<version> compares under an alternative scoring model (tracked tokens only)
+ * ?mode=full queues an exhaustive calculation (whole mint history) instead of the top-holder sample
  */
 async function handleApiV1Token(req, res, params) {
   try {
     const mint = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const modelParam = url.searchParams.get('model');
+    const mode = url.searchParams.get('mode');
 
     if (!security.validateAddress(mint)) {
       return sendJson(res, 400, { error: 'Invalid token mint address' });
     }
 
-    if (!tokenScore.isValidToken(mint)) {
+    const model = scoring.getModel(modelParam);
+    if (!model) {
+      return sendJson(res, 400, { error: 'Unknown scoring model', valid: scoring.listModels().map(m => m.version) });
+    }
+
+    if (mode && !tokenScore.TOKEN_K_MODES.includes(mode)) {
+      return sendJson(res, 400, { error: 'Invalid mode', valid: tokenScore.TOKEN_K_MODES });
+    }
+
+    if (!(await platforms.detectPlatform(mint))) {
       return sendJson(res, 400, {
         error: 'Invalid token type',
-        message: 'Only PumpFun (*pump), Ignition (*asdf), and dev.fun (*dev) tokens are supported',
+        message: 'Token was not launched on a supported platform',
+        hint: 'See /api/v1/platforms',
       });
     }
 
-    const result = await tokenScore.getTokenK(mint);
+    if (model.version !== scoring.DEFAULT_MODEL_VERSION && !(await db.isTrackedToken(mint))) {
+      return sendJson(res, 400, {
+        error: 'Alternative models require a tracked token',
+        message: `On-demand K is cached under ${scoring.DEFAULT_MODEL_VERSION} only`,
+      });
+    }
+
+    const result = await tokenScore.getTokenK(mint, { model: model.version, mode, requester: requesterId(req) });
 
     if (result.status === 'queued' || result.status === 'syncing') {
-      return sendJson(res, 202, result);
+      return sendJson(res, 202, { ...result, ...jobRef(result.job_id) });
     }
 
-    sendJson(res, 200, result);
+    sendJson(res, 200, { ...result, ...jobRef(result.job_id) });
   } catch (error) {
     log('ERROR', `API v1 token error: ${error.message}`);
     sendJson(res, 500, { error: error.message });
   }
 }
 
+/**
+ * GET /api/v1/token/:mint/k?at_slot=|at= - Point-in-time K from the transactions ledger
+ * Tracked tokens only. Replays stored balance changes up to the slot.
+ */
+async function handleApiV1TokenKAt(req, res, params) {
+  try {
+    const mint = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const atSlotParam = url.searchParams.get('at_slot');
+    const atParam = url.searchParams.get('at');
+    const minBalanceParam = url.searchParams.get('min_balance');
+    const includeHolders = url.searchParams.get('holders') === 'true';
+    const model = scoring.getModel(url.searchParams.get('model'));
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Invalid token mint address' });
+    }
+
+    if (!model) {
+      return sendJson(res, 400, { error: 'Unknown scoring model', valid: scoring.listModels().map(m => m.version) });
+    }
+
+    if (!(await db.isTrackedToken(mint))) {
+      return sendJson(res, 400, {
+        error: 'Token not tracked',
+        message: 'Point-in-time K requires a local transaction ledger (tracked tokens only)',
+      });
+    }
+
+    if (atSlotParam && atParam) {
+      return sendJson(res, 400, { error: 'Use either at_slot or at, not both' });
+    }
+
+    const options = { includeHolders, model: model.version };
+
+    if (atSlotParam) {
+      const slot = parseInt(atSlotParam);
+      if (!Number.isInteger(slot) || slot < 0) {
+        return sendJson(res, 400, { error: 'Invalid at_slot' });
+      }
+      options.slot = slot;
+    }
+
+    if (atParam) {
+      const time = Date.parse(atParam);
+      if (Number.isNaN(time)) {
+        return sendJson(res, 400, { error: 'Invalid at (expected ISO 8601 time)' });
+      }
+      options.time = Math.floor(time / 1000);
+    }
+
+    if (minBalanceParam) {
+      const minBalance = parseInt(minBalanceParam);
+      if (!Number.isInteger(minBalance) || minBalance < 0) {
+        return sendJson(res, 400, { error: 'Invalid min_balance' });
+      }
+      options.minBalance = minBalance;
+    }
+
+    const result = await calculator.calculateAtSlot(mint, options);
+
+    if (!result) {
+      return sendJson(res, 404, { error: 'No ledger data for this token' });
+    }
+
+    const response = {
+      mint,
+      at_slot: result.atSlot,
+      at_time: result.atTime,
+      k: result.k,
+      k_supply: result.kSupply ?? null,
+      k_time: result.kTime ?? null,
+      holders: result.holders,
+      min_balance: result.minBalance,
+      model_version: result.model_version,
+      source: result.source,
+      ledger: result.ledger,
+      exclusions: result.exclusions,
+    };
+
+    if (result.holders > 0) {
+      Object.assign(response, {
+        neverSold: result.neverSold,
+        neverSoldPct: result.neverSoldPct,
+        accumulators: result.accumulators,
+        accumulatorsPct: result.accumulatorsPct,
+        maintained: result.maintained,
+        maintainedPct: result.maintainedPct,
+        reducers: result.partialSellers,
+        reducersPct: result.partialSellersPct,
+        extractors: result.majorSellers,
+        extractorsPct: result.majorSellersPct,
+        distributors: result.distributors,
+        distributorsPct: result.distributorsPct,
+        avgHoldDays: result.avgHoldDays,
+        og: result.og,
+        ogPct: result.ogPct,
+      });
+    }
+
+    if (!result.ledger.backfilled) {
+      response.warning = 'Ledger not backfilled - history before first recorded slot is missing';
+    }
+
+    if (result.holdersDetail) {
+      response.holders_detail = result.holdersDetail;
+    }
+
+    sendJson(res, 200, response);
+  } catch (error) {
+    log('ERROR', `API v1 token K error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 /**
  * GET /api/v1/wallet/:address - Get wallet K scores
  */
@@ -90,13 +283,22 @@ async function handleApiV1Wallet(req, res, params) {
       kWalletResult = {
         k_wallet: kWalletDB.k_wallet,
         tokens_analyzed: kWalletDB.tokens_analyzed,
+        k_wallet_complete: kWalletDB.k_wallet_complete,
+        k_wallet_decayed: kWalletDB.k_wallet_decayed,
+        half_life_days: kWalletDB.half_life_days,
+        k_wallet_delta_30d: kWalletDB.k_wallet_delta_30d,
+        confidence: kWalletDB.confidence,
+        history_complete: kWalletDB.history_complete,
+        partial_positions: kWalletDB.partial_positions,
+        platforms: kWalletDB.platforms,
         updated_at: kWalletDB.updated_at,
       };
     } else {
-      await walletScore.enqueueWallet(address);
+      const job = await walletScore.enqueueWallet(address);
       kWalletResult = {
-        status: 'queued',
-        message: 'K_wallet calculation queued',
+        status: job.status === 'running' ? 'calculating' : 'queued',
+        message: job.status === 'running' ? 'K_wallet calculation in progress' : 'K_wallet calculation queued',
+        ...jobRef(job.id),
       };
     }
 
@@ -109,8 +311,13 @@ async function handleApiV1Wallet(req, res, params) {
         mint: process.env.TOKEN_MINT,
         balance: kToken.balance,
         first_buy_amount: kToken.first_buy_amount,
+        first_buy_source: kToken.first_buy_source,
+        flows: kToken.flows,
         retention: kToken.retention,
+        peak_retention: kToken.peak_retention,
+        is_distributor: kToken.is_distributor,
         classification: kToken.classification,
+        model_version: kToken.model_version,
         hold_days: kToken.holdDays,
         is_og: kToken.isOG,
       } : null,
@@ -122,8 +329,295 @@ async function handleApiV1Wallet(req, res, params) {
   }
 }
 
+/**
+ * GET /api/v1/wallet/:address/positions - Stored per-token positions of a wallet
+ * ?classification=&platform=&mint=&min_retention=&sort=&order=&limit=&offset=
+ * Positions come from the K_wallet scan (all tokens) and on-demand token K (sampled holders);
+ * a wallet without any is queued for K_wallet.
+ */
+async function handleApiV1WalletPositions(req, res, params) {
+  try {
+    const address = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const classification = url.searchParams.get('classification') || null;
+    const platform = url.searchParams.get('platform') || null;
+    const mint = url.searchParams.get('mint') || null;
+    const minRetentionParam = url.searchParams.get('min_retention');
+    const minRetention = minRetentionParam !== null ? parseFloat(minRetentionParam) : null;
+    const sort = url.searchParams.get('sort') || 'last_tx';
+    const order = url.searchParams.get('order') === 'asc' ? 'asc' : 'desc';
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '100') || 100, 1), 500);
+    const offset = Math.max(parseInt(url.searchParams.get('offset') || '0') || 0, 0);
+
+    if (!security.validateAddress(address)) {
+      return sendJson(res, 400, { error: 'Invalid wallet address' });
+    }
+
+    if (classification && !scoring.CLASSIFICATIONS.includes(classification)) {
+      return sendJson(res, 400, { error: 'Invalid classification', valid: scoring.CLASSIFICATIONS });
+    }
+
+    if (platform && !platforms.PLATFORM_NAMES.includes(platform)) {
+      return sendJson(res, 400, { error: 'Invalid platform', valid: platforms.PLATFORM_NAMES });
+    }
+
+    if (mint && !security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Invalid token mint address' });
+    }
+
+    if (minRetention !== null && Number.isNaN(minRetention)) {
+      return sendJson(res, 400, { error: 'min_retention must be a number (e.g. 0.5)' });
+    }
+
+    if (!db.WALLET_POSITION_SORTS[sort]) {
+      return sendJson(res, 400, { error: 'Invalid sort', valid: Object.keys(db.WALLET_POSITION_SORTS) });
+    }
+
+    const breakdown = await db.getWalletPositionBreakdown(address);
+    if (Object.keys(breakdown).length === 0) {
+      const job = await walletScore.enqueueWallet(address);
+      return sendJson(res, 202, {
+        status: 'queued',
+        message: 'No stored positions, K_wallet calculation queued',
+        address,
+        retry_after: 30,
+        ...jobRef(job.id),
+      });
+    }
+
+    const { positions, total } = await db.getWalletPositions(address, {
+      classification, platform, mint, minRetention, sort, order, limit, offset,
+    });
+
+    sendJson(res, 200, {
+      address,
+      positions,
+      total,
+      limit,
+      offset,
+      breakdown,
+      filters_applied: { classification, platform, mint, min_retention: minRetention, sort, order },
+    });
+  } catch (error) {
+    log('ERROR', `API v1 wallet positions error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /api/v1/wallet/:address/profile - Trading behaviour of a wallet (hold time, flips, snipes...)
+ * Computed from the positions of its last K_wallet scan; a wallet never scanned is queued.
+ */
+async function handleApiV1WalletProfile(req, res, params) {
+  try {
+    const address = params[0];
+
+    if (!security.validateAddress(address)) {
+      return sendJson(res, 400, { error: 'Invalid wallet address' });
+    }
+
+    const profile = await walletProfile.getWalletProfile(address);
+    if (!profile) {
+      const job = await walletScore.enqueueWallet(address);
+      return sendJson(res, 202, {
+        status: job.status === 'running' ? 'calculating' : 'queued',
+        message: 'No K_wallet scan yet, calculation queued',
+        address,
+        retry_after: 30,
+        ...jobRef(job.id),
+      });
+    }
+
+    sendJson(res, 200, profile);
+  } catch (error) {
+    log('ERROR', `API v1 wallet profile error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /api/v1/wallet/:address/history - K_wallet series and trend (7d/30d delta, 30d slope)
+ * ?days=90&from=&to=&limit= (from/to: ISO date or unix seconds)
+ */
+async function handleApiV1WalletHistory(req, res, params) {
+  try {
+    const address = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (!security.validateAddress(address)) {
+      return sendJson(res, 400, { error: 'Invalid wallet address' });
+    }
+
+    const { from, to, limit, trendFrom, error } = parseHistoryWindow(url);
+    if (error) {
+      return sendJson(res, 400, { error });
+    }
+
+    const rows = await db.getKWalletHistory(address, { from, to, limit });
+    if (rows.length === 0 && !(await walletScore.getKWalletFromDB(address))) {
+      return sendJson(res, 404, {
+        error: 'No K_wallet history for this wallet',
+        hint: `Request /api/v1/wallet/${address} first to queue a K_wallet calculation`,
+      });
+    }
+
+    const trendRows = await db.getKWalletHistory(address, { from: trendFrom });
+    const trend = db.computeKTrend(trendRows.map((row) => ({ k: row.k_wallet, created_at: row.created_at })));
+
+    const history = rows.map((row) => ({
+      date: new Date(row.created_at * 1000).toISOString(),
+      k_wallet: row.k_wallet,
+      k_wallet_complete: row.k_wallet_complete,
+      k_wallet_decayed: row.k_wallet_decayed,
+      confidence: row.confidence,
+      tokens_analyzed: row.tokens_analyzed,
+      poh_slot: row.slot,
+    }));
+
+    sendJson(res, 200, {
+      address,
+      history,
+      count: history.length,
+      trend: {
+        k_wallet_delta_7d: trend.k_delta_7d,
+        k_wallet_delta_30d: trend.k_delta_30d,
+        k_wallet_slope_30d: trend.k_slope_30d,
+      },
+      from: new Date(from * 1000).toISOString(),
+      to: to ? new Date(to * 1000).toISOString() : null,
+    });
+  } catch (error) {
+    log('ERROR', `API v1 wallet history error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /api/v1/wallet/:address/similar - Scanned wallets trading most like this one
+ * ?limit=10&min_similarity=0
+ */
+async function handleApiV1WalletSimilar(req, res, params) {
+  try {
+    const address = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '10') || 10, 1), 50);
+    const minSimilarity = parseFloat(url.searchParams.get('min_similarity') || '0');
+
+    if (!security.validateAddress(address)) {
+      return sendJson(res, 400, { error: 'Invalid wallet address' });
+    }
+
+    if (Number.isNaN(minSimilarity)) {
+      return sendJson(res, 400, { error: 'min_similarity must be a number (0..1)' });
+    }
+
+    const matches = await walletSimilarity.findSimilarWallets(address, { limit, minSimilarity });
+    if (!matches) {
+      const job = await walletScore.enqueueWallet(address);
+      return sendJson(res, 202, {
+        status: job.status === 'running' ? 'calculating' : 'queued',
+        message: 'No K_wallet scan yet, calculation queued',
+        address,
+        retry_after: 30,
+        ...jobRef(job.id),
+      });
+    }
+
+    sendJson(res, 200, {
+      address,
+      matches,
+      count: matches.length,
+      filters_applied: { limit, min_similarity: minSimilarity },
+    });
+  } catch (error) {
+    log('ERROR', `API v1 wallet similar error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /api/v1/wallet/:address/cluster?mint= - Linked wallets (entity) for a tracked token
+ * Resolves the wallet's funding source on first request.
+ */
+async function handleApiV1WalletCluster(req, res, params) {
+  try {
+    const address = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const mint = url.searchParams.get('mint') || db.getPrimaryMint();
+
+    if (!security.validateAddress(address)) {
+      return sendJson(res, 400, { error: 'Invalid wallet address' });
+    }
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Invalid token mint address' });
+    }
+
+    if (!(await db.isTrackedToken(mint))) {
+      return sendJson(res, 400, { error: 'Token not tracked', message: 'Clusters are built from local transfer data (tracked tokens only)' });
+    }
+
+    try {
+      await clusters.detectFunding(address);
+    } catch (error) {
+      log('WARN', `API v1 cluster funding lookup failed for ${address.slice(0, 8)}: ${error.message}`);
+    }
+
+    const cluster = await clusters.getCluster(address, mint);
+    const funding = await db.getWalletFunding(address);
+    const model = scoring.getModel();
+
+    // Transfers between members are internal to the entity (not sells)
+    const linkedOut = await clusters.getLinkedOutflows(mint, [
+      new Map(cluster.members.map((member) => [member, cluster.cluster_id])),
+      await clusters.getOwnerClusterMap(mint),
+    ]);
+
+    const members = [];
+    const entity = { current: 0n, firstBuy: 0n, bought: 0n, transferredIn: 0n, linkedOut: 0n, airdropped: 0n };
+    for (const member of cluster.members) {
+      const kScore = await db.getWalletKScore(member, mint);
+      members.push({
+        address: member,
+        balance: kScore?.current_balance || '0',
+        retention: kScore?.retention ?? null,
+        classification: kScore?.classification || null,
+      });
+      if (!kScore) continue;
+      entity.current += BigInt(kScore.current_balance);
+      entity.firstBuy += BigInt(kScore.first_buy_amount);
+      entity.bought += BigInt(kScore.flows.bought);
+      entity.transferredIn += BigInt(kScore.flows.transferred_in);
+      entity.linkedOut += linkedOut.get(member) ?? BigInt(kScore.flows.linked_out);
+      entity.airdropped += BigInt(kScore.flows.airdropped);
+    }
+
+    const retention = scoring.computeRetention(entity, model);
+
+    sendJson(res, 200, {
+      address,
+      mint,
+      cluster_id: cluster.cluster_id,
+      size: cluster.members.length,
+      members,
+      links: cluster.links,
+      funding: funding ? { funder: funding.funder, signature: funding.signature, checked_at: funding.checked_at } : null,
+      entity: {
+        balance: entity.current.toString(),
+        retention: Math.round(retention * 1000) / 1000,
+        classification: scoring.classifyRetention(retention, model),
+      },
+      model_version: model.version,
+    });
+  } catch (error) {
+    log('ERROR', `API v1 wallet cluster error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 /**
  * POST /api/v1/wallets - Batch wallet K scores
+ * filters: { k_min, k_decayed_min, classification } (K_wallet in %, k_decayed_min skips wallets without a decayed K_wallet)
  */
 async function handleApiV1WalletsBatch(req, res) {
   try {
@@ -150,30 +644,38 @@ async function handleApiV1WalletsBatch(req, res) {
 
       if (kWalletDB) {
         if (filters.k_min !== undefined && kWalletDB.k_wallet < filters.k_min) continue;
+        if (filters.k_decayed_min !== undefined &&
+          (kWalletDB.k_wallet_decayed === null || kWalletDB.k_wallet_decayed < filters.k_decayed_min)) continue;
 
         const kToken = await db.getWalletKScore(address);
         const classification = kToken?.classification || null;
 
         if (filters.classification && classification !== filters.classification) continue;
 
+        const profile = await walletProfile.getWalletProfile(address, { resolveLaunches: false });
+
         results.push({
           address,
           k_wallet: kWalletDB.k_wallet,
           tokens_analyzed: kWalletDB.tokens_analyzed,
+          k_wallet_decayed: kWalletDB.k_wallet_decayed,
+          k_wallet_delta_30d: kWalletDB.k_wallet_delta_30d,
+          confidence: kWalletDB.confidence,
+          history_complete: kWalletDB.history_complete,
           classification,
+          profile: walletProfile.profileSummary(profile),
           status: 'ready',
           updated_at: kWalletDB.updated_at,
         });
         ready++;
       } else {
-        const status = walletScore.getWalletStatus(address);
+        const job = await walletScore.enqueueWallet(address);
 
-        if (status.status === 'calculating') {
-          results.push({ address, status: 'calculating', started_at: status.started_at });
+        if (job.status === 'running') {
+          results.push({ address, status: 'calculating', started_at: job.started_at, ...jobRef(job.id) });
           calculating++;
         } else {
-          await walletScore.enqueueWallet(address);
-          results.push({ address, status: 'queued' });
+          results.push({ address, status: 'queued', ...jobRef(job.id) });
           queued++;
         }
       }
@@ -183,7 +685,7 @@ async function handleApiV1WalletsBatch(req, res) {
       results,
       summary: { total: validAddresses.length, ready, queued, calculating, filtered_out: validAddresses.length - results.length },
       filters_applied: filters,
-      queue_stats: walletScore.getQueueStats(),
+      queue_stats: await walletScore.getQueueStats(),
     });
   } catch (error) {
     log('ERROR', `API v1 wallets batch error: ${error.message}`);
@@ -191,6 +693,48 @@ async function handleApiV1WalletsBatch(req, res) {
   }
 }
 
+/**
+ * POST /api/v1/wallets/compare - Shared mints, co-buy timing and similarity of two wallets
+ * body: { addresses: [a, b] } (wallets never scanned are queued for K_wallet)
+ */
+async function handleApiV1WalletsCompare(req, res) {
+  try {
+    const { addresses } = req.body || {};
+
+    if (!Array.isArray(addresses) || addresses.length !== 2) {
+      return sendJson(res, 400, { error: 'addresses array of 2 wallets required' });
+    }
+
+    if (!addresses.every((addr) => security.validateAddress(addr))) {
+      return sendJson(res, 400, { error: 'Invalid wallet address' });
+    }
+
+    if (addresses[0] === addresses[1]) {
+      return sendJson(res, 400, { error: 'addresses must be two different wallets' });
+    }
+
+    const result = await walletSimilarity.compareWallets(addresses[0], addresses[1]);
+    if (result.missing) {
+      const pending = [];
+      for (const address of result.missing) {
+        const job = await walletScore.enqueueWallet(address);
+        pending.push({ address, status: job.status === 'running' ? 'calculating' : 'queued', ...jobRef(job.id) });
+      }
+      return sendJson(res, 202, {
+        status: 'queued',
+        message: 'Wallets without a K_wallet scan queued',
+        pending,
+        retry_after: 30,
+      });
+    }
+
+    sendJson(res, 200, result);
+  } catch (error) {
+    log('ERROR', `API v1 wallets compare error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 /**
  * POST /api/v1/tokens - Batch token K scores
  */
@@ -206,29 +750,40 @@ async function handleApiV1TokensBatch(req, res) {
       return sendJson(res, 400, { error: 'Maximum 50 tokens per request' });
     }
 
-    const validMints = mints.filter(mint => security.validateAddress(mint) && tokenScore.isValidToken(mint));
+    // Launch detection of unseen mints is capped per request (BATCH_LAUNCH_LOOKUPS)
+    const addresses = [...new Set(mints.filter((mint) => security.validateAddress(mint)))];
+    const detected = await platforms.detectPlatforms(addresses, { lookups: platforms.BATCH_LAUNCH_LOOKUPS });
+    const validMints = addresses.filter((mint) => detected.get(mint));
+    const undetected = addresses.filter((mint) => !detected.has(mint));
 
     if (validMints.length === 0) {
       return sendJson(res, 400, {
         error: 'No valid token mints provided',
-        hint: 'Only PumpFun (*pump), Ignition (*asdf), and dev.fun (*dev) tokens are supported',
+        hint: 'Only tokens launched on a supported platform are accepted (see /api/v1/platforms)',
+        ...(undetected.length ? { undetected, retry_after: 30 } : {}),
       });
     }
 
     const results = [];
     let ready = 0, queued = 0, syncing = 0;
 
+    const requester = requesterId(req);
     for (const mint of validMints) {
-      const result = await tokenScore.getTokenK(mint);
+      const result = await tokenScore.getTokenK(mint, { requester });
 
       if (result.k !== undefined && filters.k_min !== undefined && result.k < filters.k_min) continue;
 
       results.push({
         mint,
         k: result.k,
+        k_supply: result.k_supply,
+        k_time: result.k_time,
         holders: result.holders,
         quality: result.quality,
+        model_version: result.model_version,
+        sample: result.sample || null,
         status: result.status || 'ready',
+        ...jobRef(result.job_id),
       });
 
       if (result.status === 'queued') queued++;
@@ -239,6 +794,8 @@ async function handleApiV1TokensBatch(req, res) {
     sendJson(res, 200, {
       results,
       summary: { total: validMints.length, ready, queued, syncing, filtered_out: validMints.length - results.length },
+      // Platform not detected yet (lookup cap or detection failure): retry later
+      undetected,
       filters_applied: filters,
       queue_stats: await tokenScore.getQueueStats(),
     });
@@ -248,22 +805,75 @@ async function handleApiV1TokensBatch(req, res) {
   }
 }
 
+/**
+ * GET /api/v1/tokens/leaderboard - Tokens with a non-stale K, ranked
+ * ?sort=k|holders|trend|fresh&order=desc|asc&platform=pump|asdf|dev&min_holders=
+ * &quality=realtime|tracked|on-demand&mode=full|sample&limit=&cursor=
+ */
+async function handleApiV1TokensLeaderboard(req, res) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const sort = url.searchParams.get('sort') || 'k';
+    const order = url.searchParams.get('order') === 'asc' ? 'asc' : 'desc';
+    const platform = url.searchParams.get('platform') || null;
+    const minHolders = Math.max(parseInt(url.searchParams.get('min_holders') || '0') || 0, 0);
+    const quality = url.searchParams.get('quality') || null;
+    const mode = url.searchParams.get('mode') || null;
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50') || 50, 1), 200);
+    const cursorParam = url.searchParams.get('cursor');
+
+    if (!tokenScore.LEADERBOARD_SORTS[sort]) {
+      return sendJson(res, 400, { error: 'Invalid sort', valid: Object.keys(tokenScore.LEADERBOARD_SORTS) });
+    }
+
+    if (platform && !platforms.PLATFORM_NAMES.includes(platform)) {
+      return sendJson(res, 400, { error: 'Invalid platform', valid: platforms.PLATFORM_NAMES });
+    }
+
+    if (quality && !tokenScore.TOKEN_QUALITIES.includes(quality)) {
+      return sendJson(res, 400, { error: 'Invalid quality', valid: tokenScore.TOKEN_QUALITIES });
+    }
+
+    if (mode && !tokenScore.TOKEN_K_MODES.includes(mode)) {
+      return sendJson(res, 400, { error: 'Invalid mode', valid: tokenScore.TOKEN_K_MODES });
+    }
+
+    const cursor = cursorParam ? tokenScore.decodeCursor(cursorParam) : null;
+    if (cursorParam && !cursor) {
+      return sendJson(res, 400, { error: 'Invalid cursor' });
+    }
+
+    const result = await tokenScore.getLeaderboard({ sort, order, platform, minHolders, quality, mode, limit, cursor });
+
+    sendJson(res, 200, {
+      ...result,
+      sort,
+      order,
+      filters_applied: { platform, min_holders: minHolders, quality, mode },
+    });
+  } catch (error) {
+    log('ERROR', `API v1 leaderboard error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 /**
  * GET /api/v1/holders - Get filtered holders list
+ * ?k_min=&k_decayed_min=&classification=&limit= (K_wallet in %)
  */
 async function handleApiV1Holders(req, res) {
   try {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const kMin = url.searchParams.get('k_min') ? parseInt(url.searchParams.get('k_min')) : null;
+    const kDecayedMin = url.searchParams.get('k_decayed_min') ? parseInt(url.searchParams.get('k_decayed_min')) : null;
     const classification = url.searchParams.get('classification') || null;
     const limit = Math.min(parseInt(url.searchParams.get('limit') || '100'), 500);
 
-    const validClassifications = ['accumulator', 'holder', 'reducer', 'extractor'];
-    if (classification && !validClassifications.includes(classification)) {
-      return sendJson(res, 400, { error: 'Invalid classification', valid: validClassifications });
+    if (classification && !scoring.CLASSIFICATIONS.includes(classification)) {
+      return sendJson(res, 400, { error: 'Invalid classification', valid: scoring.CLASSIFICATIONS });
     }
 
-    const holders = await db.getHoldersFiltered({ kMin, classification, limit });
+    const holders = await db.getHoldersFiltered({ kMin, kDecayedMin, classification, limit });
 
     const breakdown = { accumulator: 0, holder: 0, reducer: 0, extractor: 0 };
     holders.forEach(h => {
@@ -274,7 +884,8 @@ async function handleApiV1Holders(req, res) {
       holders,
       total: holders.length,
       breakdown,
-      filters_applied: { k_min: kMin, classification, limit },
+      model_version: scoring.DEFAULT_MODEL_VERSION,
+      filters_applied: { k_min: kMin, k_decayed_min: kDecayedMin, classification, limit },
     });
   } catch (error) {
     log('ERROR', `API v1 holders error: ${error.message}`);
@@ -282,17 +893,184 @@ async function handleApiV1Holders(req, res) {
   }
 }
 
+/**
+ * GET /api/v1/token/:mint/history - K series and trend (7d/30d delta, 30d slope)
+ * ?days=90&from=&to=&limit= (from/to: ISO date or unix seconds)
+ * On-demand tokens use their calculation history, tracked tokens their snapshots.
+ */
+async function handleApiV1TokenHistory(req, res, params) {
+  try {
+    const mint = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Invalid token mint address' });
+    }
+
+    const { from, to, limit, trendFrom, error } = parseHistoryWindow(url);
+    if (error) {
+      return sendJson(res, 400, { error });
+    }
+
+    const tracked = await db.isTrackedToken(mint);
+    const rows = tracked
+      ? await db.getSnapshotRange({ mint, from, to, limit })
+      : await db.getTokenSnapshots(mint, { from, to, limit });
+
+    if (rows.length === 0 && !tracked && !(await db.getToken(mint))?.calc_mode) {
+      return sendJson(res, 404, {
+        error: 'No history for this token',
+        hint: `Request /api/v1/token/${mint} first to queue a K calculation`,
+      });
+    }
+
+    const trendRows = tracked
+      ? await db.getSnapshotRange({ mint, from: trendFrom })
+      : await db.getTokenSnapshots(mint, { from: trendFrom });
+
+    const history = rows.map((row) => ({
+      date: new Date(row.created_at * 1000).toISOString(),
+      k: row.k,
+      k_supply: row.k_supply,
+      k_time: row.k_time,
+      holders: row.holders,
+      mode: row.calc_mode || (tracked ? 'full' : 'sample'),
+      model_version: row.model_version,
+    }));
+
+    sendJson(res, 200, {
+      mint,
+      history,
+      count: history.length,
+      trend: db.computeKTrend(trendRows),
+      source: tracked ? 'snapshots' : 'token_snapshots',
+      from: new Date(from * 1000).toISOString(),
+      to: to ? new Date(to * 1000).toISOString() : null,
+    });
+  } catch (error) {
+    log('ERROR', `API v1 token history error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /api/v1/token/:mint/holders - Per-holder analysis of an on-demand token
+ * ?classification=&min_retention=&sort=balance|retention|first_buy&order=desc|asc&limit=&offset=
+ * Served from the latest calculateTokenK() run (sample or full, see `mode`).
+ */
+async function handleApiV1TokenHolders(req, res, params) {
+  try {
+    const mint = params[0];
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const classification = url.searchParams.get('classification') || null;
+    const minRetentionParam = url.searchParams.get('min_retention');
+    const minRetention = minRetentionParam !== null ? parseFloat(minRetentionParam) : null;
+    const sort = url.searchParams.get('sort') || 'balance';
+    const order = url.searchParams.get('order') === 'asc' ? 'asc' : 'desc';
+    const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '100') || 100, 1), 500);
+    const offset = Math.max(parseInt(url.searchParams.get('offset') || '0') || 0, 0);
+
+    if (!security.validateAddress(mint)) {
+      return sendJson(res, 400, { error: 'Invalid token mint address' });
+    }
+
+    if (classification && !scoring.CLASSIFICATIONS.includes(classification)) {
+      return sendJson(res, 400, { error: 'Invalid classification', valid: scoring.CLASSIFICATIONS });
+    }
+
+    if (minRetention !== null && Number.isNaN(minRetention)) {
+      return sendJson(res, 400, { error: 'min_retention must be a number (e.g. 0.5)' });
+    }
+
+    if (!db.TOKEN_HOLDER_SORTS[sort]) {
+      return sendJson(res, 400, { error: 'Invalid sort', valid: Object.keys(db.TOKEN_HOLDER_SORTS) });
+    }
+
+    if (await db.isTrackedToken(mint)) {
+      return sendJson(res, 400, {
+        error: 'Token is tracked',
+        hint: `Use /k-metric/${mint}/holders for realtime holders of tracked tokens`,
+      });
+    }
+
+    const token = await db.getToken(mint);
+    if (!token?.calc_mode) {
+      return sendJson(res, 404, {
+        error: 'No holder analysis for this token',
+        hint: `Request /api/v1/token/${mint} first to queue a K calculation`,
+      });
+    }
+
+    const { holders, total } = await db.getTokenHolders(mint, { classification, minRetention, sort, order, limit, offset });
+
+    sendJson(res, 200, {
+      mint,
+      holders,
+      total,
+      limit,
+      offset,
+      breakdown: await db.getTokenHolderBreakdown(mint),
+      mode: token.calc_mode,
+      analyzed: token.analyzed,
+      population: token.holders,
+      model_version: token.model_version || scoring.DEFAULT_MODEL_VERSION,
+      last_sync: token.last_sync,
+      filters_applied: { classification, min_retention: minRetention, sort, order },
+    });
+  } catch (error) {
+    log('ERROR', `API v1 token holders error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
+/**
+ * GET /api/v1/jobs/:id - State of a background job (job_id of a queued response)
+ * status: queued | running | done | failed; progress: pages fetched so far (K_wallet scans)
+ */
+async function handleApiV1Job(req, res, params) {
+  try {
+    const job = await db.getJob(params[0]);
+    if (!job) {
+      return sendJson(res, 404, { error: 'Job not found', hint: 'Finished jobs are kept for 7 days' });
+    }
+
+    const resultUrl = job.type === 'k_wallet' ? `/api/v1/wallet/${job.key}` : `/api/v1/token/${job.key}`;
+
+    sendJson(res, 200, {
+      ...job,
+      result_url: job.status === 'done' ? resultUrl : null,
+      retry_after: job.status === 'queued' || job.status === 'running' ? 10 : null,
+    });
+  } catch (error) {
+    log('ERROR', `API v1 job error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 // Route definitions
 export const routes = {
   'GET /api/v1/status': handleApiV1Status,
+  'GET /api/v1/models': handleApiV1Models,
+  'GET /api/v1/platforms': handleApiV1Platforms,
   'GET /api/v1/holders': handleApiV1Holders,
   'POST /api/v1/wallets': handleApiV1WalletsBatch,
+  'POST /api/v1/wallets/compare': handleApiV1WalletsCompare,
   'POST /api/v1/tokens': handleApiV1TokensBatch,
+  'GET /api/v1/tokens/leaderboard': handleApiV1TokensLeaderboard,
 };
 
 export const dynamicRoutes = [
   { pattern: /^GET \/api\/v1\/token\/([A-Za-z0-9]{32,44})$/, handler: handleApiV1Token },
+  { pattern: /^GET \/api\/v1\/token\/([A-Za-z0-9]{32,44})\/k$/, handler: handleApiV1TokenKAt },
+  { pattern: /^GET \/api\/v1\/token\/([A-Za-z0-9]{32,44})\/holders$/, handler: handleApiV1TokenHolders },
+  { pattern: /^GET \/api\/v1\/token\/([A-Za-z0-9]{32,44})\/history$/, handler: handleApiV1TokenHistory },
   { pattern: /^GET \/api\/v1\/wallet\/([A-Za-z0-9]{32,44})$/, handler: handleApiV1Wallet },
+  { pattern: /^GET \/api\/v1\/wallet\/([A-Za-z0-9]{32,44})\/cluster$/, handler: handleApiV1WalletCluster },
+  { pattern: /^GET \/api\/v1\/wallet\/([A-Za-z0-9]{32,44})\/positions$/, handler: handleApiV1WalletPositions },
+  { pattern: /^GET \/api\/v1\/wallet\/([A-Za-z0-9]{32,44})\/profile$/, handler: handleApiV1WalletProfile },
+  { pattern: /^GET \/api\/v1\/wallet\/([A-Za-z0-9]{32,44})\/history$/, handler: handleApiV1WalletHistory },
+  { pattern: /^GET \/api\/v1\/wallet\/([A-Za-z0-9]{32,44})\/similar$/, handler: handleApiV1WalletSimilar },
+  { pattern: /^GET \/api\/v1\/jobs\/([a-f0-9-]{36})$/, handler: handleApiV1Job },
 ];
 
 export default { routes, dynamicRoutes };
@@ -3,6 +3,9 @@
  *
  * Internal API for the K-Metric dashboard.
  * Used by index.html and wallet.html.
+ *
+ * Unscoped routes serve the primary token (TOKEN_MINT);
+ * /k-metric/:mint/* serve any tracked (tier 1) token.
  */
 
 import db from '../db.js';
@@ -13,27 +16,109 @@ import sync from '../sync.js';
 import walletScore from '../wallet-score.js';
 import gating from '../gating.js';
 import security from '../security.js';
+import scoring from '../scoring.js';
+import labels from '../labels.js';
+import bundles from '../bundles.js';
 import { kMetricCache, getOrCompute, getAllCacheStats } from '../cache.js';
 import { log } from '../utils.js';
-import { sendJson } from './utils.js';
+import { sendJson, jobRef } from './utils.js';
 import ws from '../ws.js';
 
 const MAINTENANCE_MODE = process.env.MAINTENANCE === '1' || process.env.MAINTENANCE === 'true';
 
+/**
+ * Resolve the mint for a dashboard route
+ * Sends 404 and returns null if a mint was given but is not tracked
+ */
+async function resolveTrackedMint(res, params = []) {
+  const mint = params[0];
+  if (!mint) return db.getPrimaryMint();
+
+  if (!security.validateAddress(mint)) {
+    sendJson(res, 400, { error: 'Invalid token mint address' });
+    return null;
+  }
+
+  if (!(await db.isTrackedToken(mint))) {
+    sendJson(res, 404, {
+      error: 'Token not tracked',
+      mint,
+      hint: 'Use /api/v1/token/:mint for on-demand K, or ask an admin to track it',
+    });
+    return null;
+  }
+
+  return mint;
+}
+
+/**
+ * GET /k-metric/tokens - List tracked tokens
+ */
+async function handleGetTrackedTokens(req, res) {
+  try {
+    const mints = await db.getTrackedMints();
+    const primary = db.getPrimaryMint();
+
+    const tokens = [];
+    for (const mint of mints) {
+      const token = await db.getToken(mint);
+      const stats = await db.getStats(mint);
+      tokens.push({
+        mint,
+        symbol: token?.symbol || null,
+        primary: mint === primary,
+        launch_ts: token?.launch_ts || null,
+        wallets: stats.wallets,
+        transactions: stats.transactions,
+        snapshots: stats.snapshots,
+        last_slot: await db.getLastProcessedSlot(mint),
+      });
+    }
+
+    sendJson(res, 200, { tokens, total: tokens.length });
+  } catch (error) {
+    log('ERROR', `Tracked tokens error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 /**
  * GET /k-metric - Get current K-metric
+ * GET /k-metric/:mint - Same for a tracked token
+ * ?model=<version> computes K under an alternative scoring model
+ * ?mode=entity computes K over entities (linked wallets merged, see clusters.js)
+ * ?bundles=collapse|exclude counts launch bundles as one holder or not at all (see bundles.js)
  * Cached for 30 seconds to handle high request volume
  */
-async function handleGetKMetric(req, res) {
+async function handleGetKMetric(req, res, params) {
   try {
+    const mint = await resolveTrackedMint(res, params);
+    if (!mint) return;
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const model = scoring.getModel(url.searchParams.get('model'));
+    if (!model) {
+      return sendJson(res, 400, { error: 'Unknown scoring model', valid: scoring.listModels().map(m => m.version) });
+    }
+
+    const mode = url.searchParams.get('mode') || 'wallet';
+    if (!calculator.CALCULATION_MODES.includes(mode)) {
+      return sendJson(res, 400, { error: 'Invalid mode', valid: calculator.CALCULATION_MODES });
+    }
+
+    const bundlePolicy = url.searchParams.get('bundles') || 'include';
+    if (!bundles.BUNDLE_POLICIES.includes(bundlePolicy)) {
+      return sendJson(res, 400, { error: 'Invalid bundles policy', valid: bundles.BUNDLE_POLICIES });
+    }
+
     // Use cache-through pattern for K-metric
     const data = await getOrCompute(
       kMetricCache,
-      'k-metric-current',
+      `k-metric-current:${mint}:${model.version}:${mode}:${bundlePolicy}`,
       async () => {
-        const calculated = await calculator.calculate();
+        const calculated = await calculator.calculate(mint, { model: model.version, mode, bundles: bundlePolicy });
         if (!calculated) return null;
-        const tokenInfo = await helius.fetchTokenInfo();
+        const tokenInfo = await helius.fetchTokenInfo(false, mint);
         calculated.token = tokenInfo;
         return calculated;
       },
@@ -53,14 +138,53 @@ async function handleGetKMetric(req, res) {
 
 /**
  * GET /k-metric/history - Get historical snapshots
+ * GET /k-metric/:mint/history - Same for a tracked token
  */
-async function handleGetHistory(req, res) {
+async function handleGetHistory(req, res, params) {
   try {
+    const mint = await resolveTrackedMint(res, params);
+    if (!mint) return;
+
     const url = new URL(req.url, `http://${req.headers.host}`);
     const days = parseInt(url.searchParams.get('days') || '30');
+    const interval = url.searchParams.get('interval') || 'raw';
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '1000'), 5000);
+    const fieldsParam = url.searchParams.get('fields');
+
+    // from/to accept ISO dates or unix seconds; default window is the last `days` days
+    const parseTime = (value) => {
+      if (!value) return null;
+      if (/^\d+$/.test(value)) return parseInt(value);
+      const ms = Date.parse(value);
+      return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+    };
+    const to = parseTime(url.searchParams.get('to'));
+    const from = parseTime(url.searchParams.get('from'))
+      ?? (to ?? Math.floor(Date.now() / 1000)) - days * 86400;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return sendJson(res, 400, { error: 'Invalid from/to (expected ISO date or unix seconds)' });
+    }
+
+    if (calculator.parseInterval(interval) === null) {
+      return sendJson(res, 400, { error: 'Invalid interval', valid: ['raw', '5m', '1h', '1d'] });
+    }
 
-    const history = await calculator.getHistory(days);
-    sendJson(res, 200, { history, count: history.length });
+    const fields = fieldsParam ? fieldsParam.split(',').map(f => f.trim()).filter(Boolean) : null;
+    const invalidFields = (fields || []).filter(f => !(f in calculator.HISTORY_FIELDS));
+    if (invalidFields.length > 0) {
+      return sendJson(res, 400, { error: `Invalid fields: ${invalidFields.join(', ')}`, valid: Object.keys(calculator.HISTORY_FIELDS) });
+    }
+
+    const history = await calculator.getHistory({ mint, from, to, interval, fields, limit });
+    sendJson(res, 200, {
+      mint,
+      history,
+      count: history.length,
+      from: new Date(from * 1000).toISOString(),
+      to: to ? new Date(to * 1000).toISOString() : null,
+      interval,
+    });
   } catch (error) {
     log('ERROR', `History error: ${error.message}`);
     sendJson(res, 500, { error: error.message });
@@ -69,43 +193,48 @@ async function handleGetHistory(req, res) {
 
 /**
  * GET /k-metric/holders - Get holder list with stats
+ * GET /k-metric/:mint/holders - Same for a tracked token
  */
-async function handleGetHolders(req, res) {
+async function handleGetHolders(req, res, params) {
   try {
+    const mint = await resolveTrackedMint(res, params);
+    if (!mint) return;
+
     const url = new URL(req.url, `http://${req.headers.host}`);
     const limit = parseInt(url.searchParams.get('limit') || '100');
     const excludePools = url.searchParams.get('exclude_pools') === 'true';
     const minUsd = parseFloat(url.searchParams.get('min_usd') || '1');
 
-    const tokenInfo = await helius.fetchTokenInfo();
+    const tokenInfo = await helius.fetchTokenInfo(false, mint);
     const price = tokenInfo.price || 0.0000001;
     const minBalance = Math.floor((minUsd / price) * 1e6);
 
-    const wallets = await db.getWallets(minBalance);
+    const wallets = await db.getWallets(minBalance, mint);
 
     const now = Math.floor(Date.now() / 1000);
-    const TOKEN_LAUNCH_TS = parseInt(process.env.TOKEN_LAUNCH_TS || '0');
-    const OG_EARLY_WINDOW = parseInt(process.env.OG_EARLY_WINDOW || '21') * 86400;
-    const OG_HOLD_THRESHOLD = parseInt(process.env.OG_HOLD_THRESHOLD || '55') * 86400;
+    const launchTs = await db.getTokenLaunchTs(mint);
+    const model = scoring.getModel();
 
     const sortedWallets = wallets
       .sort((a, b) => (b.current_balance > a.current_balance ? 1 : b.current_balance < a.current_balance ? -1 : 0));
 
+    // Pool detection also persists address labels (excluded from K)
     const topAddresses = sortedWallets.slice(0, Math.min(limit + 20, sortedWallets.length)).map(w => w.address);
-    const poolResults = await helius.batchCheckPools(topAddresses);
+    const poolResults = await labels.detectLabels(topAddresses);
+    const labelMap = await labels.getLabelMap(mint, topAddresses);
 
     let sorted = sortedWallets.map((w) => {
       const holdDays = w.first_buy_ts ? Math.floor((now - w.first_buy_ts) / 86400) : 0;
-      const isEarlyBuyer = w.first_buy_ts && w.first_buy_ts <= TOKEN_LAUNCH_TS + OG_EARLY_WINDOW;
-      const hasHeldLongEnough = w.first_buy_ts && (now - w.first_buy_ts) >= OG_HOLD_THRESHOLD;
-      const retention = w.first_buy_amount > 0n
-        ? Math.round(Number(w.current_balance) / Number(w.first_buy_amount) * 1000) / 1000
-        : 1.0;
-
-      const classification = retention >= 1.5 ? 'accumulator'
-        : retention >= 1.0 ? 'holder'
-        : retention >= 0.5 ? 'reducer'
-        : 'extractor';
+      const retention = Math.round(scoring.computeRetention({
+        current: w.current_balance,
+        firstBuy: w.first_buy_amount,
+        totalReceived: w.total_received,
+        bought: w.bought,
+        transferredIn: w.transferred_in,
+        linkedOut: w.linked_out,
+        airdropped: w.airdropped,
+      }, model) * 1000) / 1000;
+      const peakPosition = { current: w.current_balance, peak: w.peak_balance, firstBuy: w.first_buy_amount };
 
       const poolInfo = poolResults.get(w.address);
       const isPool = poolInfo?.isPool || false;
@@ -115,15 +244,20 @@ async function handleGetHolders(req, res) {
         balance: w.current_balance.toString(),
         firstBuyAmount: w.first_buy_amount.toString(),
         retention,
-        classification,
-        neverSold: w.total_sent === 0n,
+        peakRetention: Math.round(scoring.computePeakRetention(peakPosition) * 1000) / 1000,
+        isDistributor: scoring.isDistributor(peakPosition, model),
+        classification: scoring.classifyRetention(retention, model),
+        neverSold: w.sold === 0n,
         holdDays,
-        isOG: Boolean(isEarlyBuyer && hasHeldLongEnough),
+        isOG: scoring.isOG(w.first_buy_ts, launchTs, now, model),
         isPool,
         poolProgram: poolInfo?.program || null,
+        label: labelMap.get(w.address) || null,
+        excludedFromK: labels.isExcludedLabel(labelMap.get(w.address)),
         k_wallet: w.k_wallet,
         k_wallet_tokens: w.k_wallet_tokens,
         k_wallet_slot: w.k_wallet_slot,
+        k_wallet_delta_30d: w.k_wallet_delta_30d,
       };
     });
 
@@ -137,9 +271,11 @@ async function handleGetHolders(req, res) {
     const poolCount = sorted.filter(h => h.isPool).length;
 
     sendJson(res, 200, {
+      mint,
       holders: sorted,
       total: wallets.length,
       pools_detected: poolCount,
+      model_version: model.version,
       filter: {
         min_usd: minUsd,
         price: price,
@@ -159,11 +295,15 @@ async function handleGetHolders(req, res) {
 
 /**
  * GET /k-metric/stats - Get database stats including PoH slot
+ * GET /k-metric/:mint/stats - Same for a tracked token
  */
-async function handleGetStats(req, res) {
+async function handleGetStats(req, res, params) {
   try {
-    const stats = await db.getStats();
-    const lastSlot = await db.getLastProcessedSlot();
+    const mint = await resolveTrackedMint(res, params);
+    if (!mint) return;
+
+    const stats = await db.getStats(mint);
+    const lastSlot = await db.getLastProcessedSlot(mint);
 
     sendJson(res, 200, {
       ...stats,
@@ -179,6 +319,30 @@ async function handleGetStats(req, res) {
   }
 }
 
+/**
+ * GET /k-metric/bundles - Launch bundle groups and bundled supply share
+ * GET /k-metric/:mint/bundles - Same for a tracked token
+ * Detection runs on the local ledger (no RPC); cached for 60 seconds
+ */
+async function handleGetBundles(req, res, params) {
+  try {
+    const mint = await resolveTrackedMint(res, params);
+    if (!mint) return;
+
+    const data = await getOrCompute(
+      kMetricCache,
+      `bundles:${mint}`,
+      () => bundles.detectBundles(mint),
+      60 * 1000
+    );
+
+    sendJson(res, 200, { mint, ...data });
+  } catch (error) {
+    log('ERROR', `Bundles error: ${error.message}`);
+    sendJson(res, 500, { error: error.message });
+  }
+}
+
 /**
  * GET /k-metric/status - Get sync status and system health
  */
@@ -196,7 +360,7 @@ async function handleGetStatus(req, res) {
       mode: 'hybrid',
       description: 'Webhook (real-time) + Polling (5min fallback)',
       gating: gatingStatus,
-      queue: walletScore.getQueueStats(),
+      queue: await walletScore.getQueueStats(),
       cache: cacheStats,
       websocket: ws.getStats(),
       maintenance: MAINTENANCE_MODE,
@@ -215,13 +379,17 @@ async function handleGetStatus(req, res) {
 
 /**
  * GET /k-metric/live - Live transaction feed
+ * GET /k-metric/:mint/live - Same for a tracked token
  */
-async function handleGetLiveFeed(req, res) {
+async function handleGetLiveFeed(req, res, params) {
   try {
+    const mint = await resolveTrackedMint(res, params);
+    if (!mint) return;
+
     const url = new URL(req.url, `http://${req.headers.host}`);
     const limit = Math.min(parseInt(url.searchParams.get('limit') || '10'), 50);
 
-    const transactions = db.getRecentTransactions(limit);
+    const transactions = db.getRecentTransactions(limit, mint);
     const decimals = parseInt(process.env.TOKEN_DECIMALS || '6');
 
     const formatted = transactions.map(tx => ({
@@ -234,7 +402,7 @@ async function handleGetLiveFeed(req, res) {
       ago: tx.block_time ? Math.floor(Date.now() / 1000) - tx.block_time : null,
     }));
 
-    sendJson(res, 200, { transactions: formatted });
+    sendJson(res, 200, { mint, transactions: formatted });
   } catch (error) {
     log('ERROR', `Live feed error: ${error.message}`);
     sendJson(res, 500, { error: error.message });
@@ -271,6 +439,7 @@ async function handleHealth(req, res) {
 
 /**
  * GET /k-metric/wallet/:address/k-score - Wallet K for this token
+ * Optional ?mint= selects another tracked token
  */
 async function handleGetWalletKScore(req, res, params) {
   try {
@@ -280,7 +449,12 @@ async function handleGetWalletKScore(req, res, params) {
       return sendJson(res, 400, { error: 'Invalid wallet address format' });
     }
 
-    const kScore = await db.getWalletKScore(address);
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const mintParam = url.searchParams.get('mint');
+    const mint = await resolveTrackedMint(res, mintParam ? [mintParam] : []);
+    if (!mint) return;
+
+    const kScore = await db.getWalletKScore(address, mint);
 
     if (!kScore) {
       return sendJson(res, 404, {
@@ -328,17 +502,24 @@ async function handleGetWalletKGlobal(req, res, params) {
       const ageSeconds = Math.floor(Date.now() / 1000) - dbCached.updated_at;
       const isStale = ageSeconds > 86400;
 
-      if (isStale) {
-        await walletScore.enqueueWallet(address);
-      }
+      const refresh = isStale ? await walletScore.enqueueWallet(address) : null;
 
       return sendJson(res, 200, {
         address,
         k_wallet: dbCached.k_wallet,
         tokens_analyzed: dbCached.tokens_analyzed,
+        k_wallet_complete: dbCached.k_wallet_complete,
+        k_wallet_decayed: dbCached.k_wallet_decayed,
+        half_life_days: dbCached.half_life_days,
+        k_wallet_delta_30d: dbCached.k_wallet_delta_30d,
+        confidence: dbCached.confidence,
+        history_complete: dbCached.history_complete,
+        partial_positions: dbCached.partial_positions,
+        platforms: dbCached.platforms,
         updated_at: dbCached.updated_at,
         age_seconds: ageSeconds,
         stale: isStale,
+        ...jobRef(refresh?.id),
         source: 'db',
         poh: {
           slot: dbCached.poh_slot,
@@ -347,31 +528,44 @@ async function handleGetWalletKGlobal(req, res, params) {
       });
     }
 
-    const status = walletScore.getWalletStatus(address);
-
-    if (status.status === 'ready') {
-      sendJson(res, 200, { ...status.data, source: 'memory' });
+    // Scanned recently without any supported token: nothing stored on the wallet rows
+    const lastJob = await walletScore.getWalletJob(address);
+    if (lastJob?.status === 'done' && lastJob.result?.k_wallet === null &&
+        Math.floor(Date.now() / 1000) - lastJob.finished_at < 86400) {
+      sendJson(res, 200, {
+        address,
+        k_wallet: null,
+        tokens_analyzed: 0,
+        history_complete: lastJob.result.history_complete ?? null,
+        message: 'No PumpFun tokens found',
+        updated_at: lastJob.finished_at,
+        source: 'job',
+        ...jobRef(lastJob.id),
+      });
       return;
     }
 
-    if (status.status === 'calculating') {
+    const job = await walletScore.enqueueWallet(address);
+
+    if (job.status === 'running') {
       sendJson(res, 202, {
         status: 'calculating',
         message: 'K_wallet calculation in progress',
-        started_at: status.started_at,
-        elapsed_ms: status.elapsed_ms,
+        address,
+        started_at: job.started_at,
+        progress: job.progress,
         retry_after: 5,
+        ...jobRef(job.id),
       });
       return;
     }
 
-    await walletScore.enqueueWallet(address);
-
     sendJson(res, 202, {
       status: 'queued',
       message: 'K_wallet calculation queued',
       address,
       retry_after: 10,
+      ...jobRef(job.id),
       queue_stats: await db.getKWalletQueueStats(),
     });
   } catch (error) {
@@ -427,15 +621,20 @@ async function handleWebhook(req, res) {
 
 /**
  * POST /k-metric/sync - Force resync
+ * Body: { mint? } (defaults to primary token)
  */
 async function handleSync(req, res) {
   try {
-    log('INFO', 'Manual sync triggered');
+    const mint = await resolveTrackedMint(res, req.body?.mint ? [req.body.mint] : []);
+    if (!mint) return;
+
+    log('INFO', `Manual sync triggered for ${mint.slice(0, 8)}`);
 
-    const holders = await helius.fetchHolders();
+    const holders = await helius.fetchHolders(mint);
 
     for (const holder of holders) {
       await db.upsertWallet({
+        mint,
         address: holder.address,
         balance: holder.balance,
         firstBuyTs: null,
@@ -446,10 +645,11 @@ async function handleSync(req, res) {
       });
     }
 
-    const kMetric = await calculator.calculateAndSave();
+    const kMetric = await calculator.calculateAndSave(mint);
 
     sendJson(res, 200, {
       success: true,
+      mint,
       holdersUpdated: holders.length,
       k: kMetric.k,
     });
@@ -462,9 +662,11 @@ async function handleSync(req, res) {
 // Route definitions
 export const routes = {
   'GET /k-metric': handleGetKMetric,
+  'GET /k-metric/tokens': handleGetTrackedTokens,
   'GET /k-metric/history': handleGetHistory,
   'GET /k-metric/holders': handleGetHolders,
   'GET /k-metric/stats': handleGetStats,
+  'GET /k-metric/bundles': handleGetBundles,
   'GET /k-metric/status': handleGetStatus,
   'GET /k-metric/live': handleGetLiveFeed,
   'GET /k-metric/health': handleHealth,
@@ -476,6 +678,12 @@ export const routes = {
 export const dynamicRoutes = [
   { pattern: /^GET \/k-metric\/wallet\/([A-Za-z0-9]{32,44})\/k-score$/, handler: handleGetWalletKScore },
   { pattern: /^GET \/k-metric\/wallet\/([A-Za-z0-9]{32,44})\/k-global$/, handler: handleGetWalletKGlobal },
+  { pattern: /^GET \/k-metric\/([A-Za-z0-9]{32,44})$/, handler: handleGetKMetric },
+  { pattern: /^GET \/k-metric\/([A-Za-z0-9]{32,44})\/history$/, handler: handleGetHistory },
+  { pattern: /^GET \/k-metric\/([A-Za-z0-9]{32,44})\/holders$/, handler: handleGetHolders },
+  { pattern: /^GET \/k-metric\/([A-Za-z0-9]{32,44})\/stats$/, handler: handleGetStats },
+  { pattern: /^GET \/k-metric\/([A-Za-z0-9]{32,44})\/bundles$/, handler: handleGetBundles },
+  { pattern: /^GET \/k-metric\/([A-Za-z0-9]{32,44})\/live$/, handler: handleGetLiveFeed },
 ];
 
 export default { routes, dynamicRoutes };
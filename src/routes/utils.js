@@ -3,6 +3,7 @@
  * Shared helpers for all route handlers
  */
 
+import { createHash } from 'crypto';
 import gating from '../gating.js';
 import { log } from '../utils.js';
 
@@ -42,6 +43,57 @@ export function requireApiKey(req) {
   return req.apiKeyMeta || null;
 }
 
+/**
+ * Identify who made a request: API key id, or hashed client IP for public requests
+ * @returns {string}
+ */
+export function requesterId(req) {
+  if (req.apiKeyMeta) return `key:${req.apiKeyMeta.id}`;
+  const ip = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || 'unknown';
+  return `ip:${createHash('sha256').update(ip).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Job reference for responses of queued work (poll status_url until done)
+ * @param {string|null} jobId
+ */
+export function jobRef(jobId) {
+  return jobId ? { job_id: jobId, status_url: `/api/v1/jobs/${jobId}` } : {};
+}
+
+/**
+ * Time window of a history endpoint: ?days=90&from=&to=&limit= (from/to: ISO date or unix seconds)
+ * The trend always looks at the last 90 days (trendFrom), whatever window is listed.
+ * @returns {Object} { from, to, limit, trendFrom } or { error } (400 message)
+ */
+export function parseHistoryWindow(url) {
+  const parseTime = (value) => {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? NaN : Math.floor(ms / 1000);
+  };
+
+  const daysParam = url.searchParams.get('days');
+  const limitParam = url.searchParams.get('limit');
+  if (daysParam && !/^\d+$/.test(daysParam)) return { error: 'Invalid days (expected a whole number)' };
+  if (limitParam && !/^[1-9]\d*$/.test(limitParam)) return { error: 'Invalid limit (expected a positive integer)' };
+
+  const now = Math.floor(Date.now() / 1000);
+  const to = parseTime(url.searchParams.get('to'));
+  const from = parseTime(url.searchParams.get('from')) ?? (to ?? now) - parseInt(daysParam || '90') * 86400;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return { error: 'Invalid from/to (expected ISO date or unix seconds)' };
+  }
+
+  return {
+    from,
+    to,
+    limit: Math.min(parseInt(limitParam || '1000'), 5000),
+    trendFrom: now - 90 * 86400,
+  };
+}
+
 /**
  * Log and return error response
  */
@@ -0,0 +1,173 @@
+/**
+ * Scoring Models
+ *
+ * Single source of truth for how retention is classified and how K is derived.
+ * Every caller (calculator, token-score, wallet-score, db/wallets, helius, routes)
+ * goes through a named, versioned model so results can be tagged `model_version`
+ * and recomputed under an alternative model for comparison.
+ *
+ * A model defines:
+ *   - thresholds:      retention cut-offs (accumulator / holder / reducer, else extractor)
+ *   - retentionBasis:  denominator of retention ('first_buy' or 'total_received')
+ *   - countAirdrops:   whether airdropped tokens count as held (and as a basis when
+ *                      nothing was bought); only enforced where the transfer type is known
+ *   - og:              early window and minimum hold for OG holders (days)
+ *   - distributor:     max current/peak ratio for wallets that grew then dumped
+ *
+ * K = % of holders with retention >= thresholds.holder (maintained + accumulators)
+ */
+
+import { loadEnv } from './utils.js';
+
+loadEnv();
+
+const OG_EARLY_WINDOW_DAYS = parseInt(process.env.OG_EARLY_WINDOW || '21');
+const OG_HOLD_THRESHOLD_DAYS = parseInt(process.env.OG_HOLD_THRESHOLD || '55');
+
+// Model registry (never edit a published version - add a new one)
+const MODELS = {
+  v1: {
+    version: 'v1',
+    description: 'Retention vs first buy, 1.5 / 1.0 / 0.5 thresholds',
+    thresholds: { accumulator: 1.5, holder: 1.0, reducer: 0.5 },
+    retentionBasis: 'first_buy',
+    countAirdrops: true,
+    og: { earlyWindowDays: OG_EARLY_WINDOW_DAYS, minHoldDays: OG_HOLD_THRESHOLD_DAYS },
+    distributor: { maxPeakRetention: 0.5 },
+  },
+  'v1-strict': {
+    version: 'v1-strict',
+    description: 'Retention vs total received, airdrops excluded, 2.0 / 1.0 / 0.75 thresholds',
+    thresholds: { accumulator: 2.0, holder: 1.0, reducer: 0.75 },
+    retentionBasis: 'total_received',
+    countAirdrops: false,
+    og: { earlyWindowDays: 14, minHoldDays: 90 },
+    distributor: { maxPeakRetention: 0.5 },
+  },
+};
+
+export const DEFAULT_MODEL_VERSION = MODELS[process.env.SCORING_MODEL] ? process.env.SCORING_MODEL : 'v1';
+
+export const CLASSIFICATIONS = ['accumulator', 'holder', 'reducer', 'extractor'];
+
+/**
+ * Get a scoring model by version (defaults to SCORING_MODEL / v1)
+ * @returns {Object|null} Model, or null if the version is unknown
+ */
+export function getModel(version = DEFAULT_MODEL_VERSION) {
+  return MODELS[version || DEFAULT_MODEL_VERSION] || null;
+}
+
+/**
+ * List available models (for API discovery)
+ */
+export function listModels() {
+  return Object.values(MODELS).map((model) => ({
+    ...model,
+    default: model.version === DEFAULT_MODEL_VERSION,
+  }));
+}
+
+/**
+ * Pick the first-buy amount under a model
+ * Models that exclude airdrops use the first swap receive when it is known.
+ * @param {Object} position - { firstBuy, firstSwap } (firstSwap undefined when transfer types are unknown)
+ */
+export function firstBuyFor({ firstBuy, firstSwap }, model = getModel()) {
+  if (model.countAirdrops || firstSwap === undefined || firstSwap === null) return firstBuy;
+  return firstSwap || firstBuy;
+}
+
+/**
+ * Compute retention under a model
+ * Only purchases form the basis. Tokens received by peer transfer are not held (not a buy);
+ * tokens sent to a linked wallet (same owner, see clusters.getLinkedWallets) are added back,
+ * so they are not a sell. Any other transfer out reduces the position like a sell.
+ * @param {Object} position - { current, firstBuy, totalReceived, bought, transferredIn, linkedOut, airdropped }
+ *   (Number or BigInt; flow fields are optional and default to 0)
+ * @returns {number} Retention ratio (1 when there is no basis to compare against)
+ */
+export function computeRetention({
+  current, firstBuy, totalReceived, bought, transferredIn, linkedOut, airdropped,
+}, model = getModel()) {
+  const airdroppedNum = Number(airdropped || 0);
+  const purchased = Number(bought || 0) || Number(totalReceived || 0);
+  const basis = model.retentionBasis === 'total_received'
+    ? purchased || Number(firstBuy || 0)
+    : Number(firstBuy || 0) || (model.countAirdrops ? airdroppedNum : 0);
+
+  if (basis <= 0) return 1;
+
+  const held = Number(current || 0)
+    - Number(transferredIn || 0)
+    + Number(linkedOut || 0)
+    - (model.countAirdrops ? 0 : airdroppedNum);
+  return Math.max(0, held) / basis;
+}
+
+/**
+ * Compute peak retention (drawdown from peak): current / peak balance
+ * Peak never drops below current or first buy (stale or missing peak data).
+ * @returns {number} Ratio in [0, 1] (1 when there is no peak)
+ */
+export function computePeakRetention({ current, peak, firstBuy }) {
+  const currentNum = Number(current || 0);
+  const peakNum = Math.max(Number(peak || 0), Number(firstBuy || 0), currentNum);
+  if (peakNum <= 0) return 1;
+  return currentNum / peakNum;
+}
+
+/**
+ * Distributor = grew the position above first buy, then sold most of it from the peak
+ * (flagged even if still above first buy)
+ */
+export function isDistributor({ current, peak, firstBuy }, model = getModel()) {
+  const peakNum = Number(peak || 0);
+  if (peakNum <= Number(firstBuy || 0)) return false;
+  return computePeakRetention({ current, peak, firstBuy }) < model.distributor.maxPeakRetention;
+}
+
+/**
+ * Classify retention under a model
+ */
+export function classifyRetention(retention, model = getModel()) {
+  const { thresholds } = model;
+  if (retention >= thresholds.accumulator) return 'accumulator';
+  if (retention >= thresholds.holder) return 'holder';
+  if (retention >= thresholds.reducer) return 'reducer';
+  return 'extractor';
+}
+
+/**
+ * Whether a retention counts toward K (maintained or accumulated)
+ */
+export function isMaintained(retention, model = getModel()) {
+  return retention >= model.thresholds.holder;
+}
+
+/**
+ * OG = early buyer (within the model's launch window) AND held long enough
+ * @param {number} firstBuyTs - First buy (unix seconds)
+ * @param {number} launchTs - Token launch (unix seconds)
+ * @param {number} now - Reference time (unix seconds)
+ */
+export function isOG(firstBuyTs, launchTs, now, model = getModel()) {
+  if (!firstBuyTs) return false;
+  const isEarlyBuyer = firstBuyTs <= launchTs + model.og.earlyWindowDays * 86400;
+  const hasHeldLongEnough = (now - firstBuyTs) >= model.og.minHoldDays * 86400;
+  return isEarlyBuyer && hasHeldLongEnough;
+}
+
+export default {
+  DEFAULT_MODEL_VERSION,
+  CLASSIFICATIONS,
+  getModel,
+  listModels,
+  firstBuyFor,
+  computeRetention,
+  computePeakRetention,
+  isDistributor,
+  classifyRetention,
+  isMaintained,
+  isOG,
+};
@@ -23,6 +23,10 @@ import tokenScore from './token-score.js';
 import security from './security.js';
 import webhooks from './webhooks.js';
 import ws from './ws.js';
+import labels from './labels.js';
+import bundles from './bundles.js';
+import platforms from './platforms.js';
+import clusters from './clusters.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.join(__dirname, '..');
@@ -137,43 +141,111 @@ async function serveStatic(req, res) {
 }
 
 /**
- * Start daily snapshot scheduler
- * Takes a snapshot every 24 hours, and immediately if none today
+ * Take a snapshot for every tracked token
  */
-async function startDailySnapshots() {
-  const SNAPSHOT_INTERVAL = 24 * 60 * 60 * 1000; // 24 hours
-
-  // Check if we need a snapshot today
-  const snapshots = await db.getSnapshots(1);
-  const today = new Date().toISOString().split('T')[0];
-  const hasToday = snapshots.some(s => {
-    const ts = s.created_at;
-    const dateStr = typeof ts === 'string' ? ts : new Date(ts).toISOString();
-    return dateStr.startsWith(today);
-  });
+async function snapshotTrackedTokens() {
+  const mints = await db.getTrackedMints();
+  for (const mint of mints) {
+    try {
+      await calculator.calculateAndSave(mint);
+    } catch (error) {
+      log('ERROR', `Snapshot failed for ${mint.slice(0, 8)}: ${error.message}`);
+    }
+  }
+}
 
-  if (!hasToday) {
-    log('INFO', 'Taking daily snapshot...');
+/**
+ * Downsample old snapshots for every tracked token
+ * raw → hourly after SNAPSHOT_RAW_RETENTION_DAYS, hourly → daily after SNAPSHOT_HOURLY_RETENTION_DAYS
+ */
+async function rollupTrackedSnapshots() {
+  const now = Math.floor(Date.now() / 1000);
+  const rawRetention = parseInt(process.env.SNAPSHOT_RAW_RETENTION_DAYS || '7') * 86400;
+  const hourlyRetention = parseInt(process.env.SNAPSHOT_HOURLY_RETENTION_DAYS || '90') * 86400;
+
+  for (const mint of await db.getTrackedMints()) {
     try {
-      await calculator.calculateAndSave();
-      log('INFO', 'Daily snapshot saved');
+      const hourly = await db.rollupSnapshots(mint, 'raw', 'hourly', 3600, now - rawRetention);
+      const daily = await db.rollupSnapshots(mint, 'hourly', 'daily', 86400, now - hourlyRetention);
+      if (hourly || daily) {
+        log('INFO', `Snapshots rolled up for ${mint.slice(0, 8)}: ${hourly} raw → hourly, ${daily} hourly → daily`);
+      }
     } catch (error) {
-      log('ERROR', `Daily snapshot failed: ${error.message}`);
+      log('ERROR', `Snapshot rollup failed for ${mint.slice(0, 8)}: ${error.message}`);
     }
   }
+}
+
+/**
+ * Start snapshot scheduler
+ * Takes a snapshot every SNAPSHOT_INTERVAL (5m, 1h, 1d...; default 1d),
+ * immediately if the latest one is older than that, and rolls up old snapshots hourly
+ */
+async function startSnapshots() {
+  const interval = process.env.SNAPSHOT_INTERVAL || '1d';
+  const intervalSeconds = calculator.parseInterval(interval) || 86400;
+  const ROLLUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  // Take a snapshot now if the latest one is stale (per tracked token)
+  const now = Math.floor(Date.now() / 1000);
+  for (const mint of await db.getTrackedMints()) {
+    const snapshots = await db.getSnapshots(1, mint);
+    const isStale = !snapshots.length || now - snapshots[0].created_at >= intervalSeconds;
+
+    if (isStale) {
+      log('INFO', `Taking snapshot for ${mint.slice(0, 8)}...`);
+      try {
+        await calculator.calculateAndSave(mint);
+        log('INFO', 'Snapshot saved');
+      } catch (error) {
+        log('ERROR', `Snapshot failed: ${error.message}`);
+      }
+    }
+  }
+
+  await rollupTrackedSnapshots();
 
   // Schedule next snapshots
   setInterval(async () => {
-    log('INFO', 'Taking scheduled daily snapshot...');
-    try {
-      await calculator.calculateAndSave();
-      log('INFO', 'Daily snapshot saved');
-    } catch (error) {
-      log('ERROR', `Daily snapshot failed: ${error.message}`);
+    log('INFO', 'Taking scheduled snapshots...');
+    await snapshotTrackedTokens();
+    log('INFO', 'Snapshots saved');
+  }, intervalSeconds * 1000);
+
+  // Schedule rollups
+  setInterval(rollupTrackedSnapshots, ROLLUP_INTERVAL);
+
+  log('INFO', `Snapshots enabled (every ${interval}, rollup hourly)`);
+}
+
+/**
+ * Start address label and bundle detection
+ * Registers stored CEX labels, then labels pools/program accounts among the
+ * top holders of every tracked token and flags launch bundles, now and hourly
+ */
+async function startLabelDetection() {
+  const DETECTION_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+  const cex = await labels.loadCexLabels();
+  if (cex > 0) log('INFO', `Loaded ${cex} CEX wallet labels`);
+
+  const detect = async () => {
+    for (const mint of await db.getTrackedMints()) {
+      try {
+        await labels.detectLabelsForMint(mint);
+      } catch (error) {
+        log('ERROR', `Label detection failed for ${mint.slice(0, 8)}: ${error.message}`);
+      }
+      try {
+        await bundles.detectBundles(mint);
+      } catch (error) {
+        log('ERROR', `Bundle detection failed for ${mint.slice(0, 8)}: ${error.message}`);
+      }
     }
-  }, SNAPSHOT_INTERVAL);
+  };
 
-  log('INFO', 'Daily snapshots enabled (every 24h)');
+  await detect();
+  setInterval(detect, DETECTION_INTERVAL);
 }
 
 async function main() {
@@ -181,11 +253,21 @@ async function main() {
   await db.getDb();
   log('INFO', 'Database initialized');
 
+  // Mints matched to a platform by their launch transaction (no vanity suffix)
+  const detectedPlatforms = await platforms.loadDetectedPlatforms();
+  log('INFO', `Platforms: ${platforms.PLATFORM_NAMES.join(', ')} (${detectedPlatforms} mints detected by launch)`);
+
   // Check if we have data
   const stats = await db.getStats();
   if (stats.wallets === 0) {
     log('WARN', 'No wallet data found. Run: node scripts/backfill.js');
   } else {
+    // Transfers to linked wallets (same owner) are not sells: recompute from the ledger
+    for (const mint of await db.getTrackedMints()) {
+      const linked = await clusters.refreshLinkedFlows(mint);
+      if (linked) log('INFO', `Linked transfers for ${mint.slice(0, 8)}: ${linked} wallets`);
+    }
+
     const kMetric = await calculator.calculate();
     if (kMetric) {
       log('INFO', `Current K: ${kMetric.k}% (${kMetric.holders} holders)`);
@@ -323,16 +405,31 @@ async function main() {
     log('INFO', `  http://localhost:${PORT}/`);
     log('INFO', `  http://localhost:${PORT}/wallet`);
     log('INFO', 'Dashboard API (/k-metric):');
-    log('INFO', `  GET  /k-metric                       → K_token (this token)`);
-    log('INFO', `  GET  /k-metric/history               → Historical snapshots`);
+    log('INFO', `  GET  /k-metric                       → K_token (this token, ?mode=entity, ?bundles=)`);
+    log('INFO', `  GET  /k-metric/tokens                → Tracked tokens`);
+    log('INFO', `  GET  /k-metric/:mint                 → K_token (tracked token)`);
+    log('INFO', `  GET  /k-metric/history               → Historical snapshots (from/to/interval/fields)`);
     log('INFO', `  GET  /k-metric/holders               → Holder list`);
+    log('INFO', `  GET  /k-metric/bundles               → Launch bundles (snipers)`);
     log('INFO', `  GET  /k-metric/wallet/:addr/k-score  → K_wallet (this token)`);
-    log('INFO', `  GET  /k-metric/wallet/:addr/k-global → K_wallet (all PumpFun)`);
+    log('INFO', `  GET  /k-metric/wallet/:addr/k-global → K_wallet (all platforms)`);
     log('INFO', `  POST /k-metric/webhook               → Helius webhook`);
     log('INFO', 'Oracle API v1 (/api/v1):');
     log('INFO', `  GET  /api/v1/status                  → Oracle status`);
+    log('INFO', `  GET  /api/v1/models                  → Scoring models`);
+    log('INFO', `  GET  /api/v1/platforms               → Supported launch platforms`);
     log('INFO', `  GET  /api/v1/token/:mint             → Token K score`);
+    log('INFO', `  GET  /api/v1/token/:mint/k?at_slot=  → K as of slot (ledger replay)`);
+    log('INFO', `  GET  /api/v1/token/:mint/holders     → Per-holder analysis (on-demand)`);
+    log('INFO', `  GET  /api/v1/token/:mint/history     → K history + trend`);
+    log('INFO', `  GET  /api/v1/tokens/leaderboard      → Token leaderboard`);
     log('INFO', `  GET  /api/v1/wallet/:addr            → Wallet K scores`);
+    log('INFO', `  GET  /api/v1/wallet/:addr/cluster    → Linked wallets (entity)`);
+    log('INFO', `  GET  /api/v1/wallet/:addr/positions  → Per-token positions`);
+    log('INFO', `  GET  /api/v1/wallet/:addr/profile    → Behaviour profile`);
+    log('INFO', `  GET  /api/v1/wallet/:addr/history    → K_wallet history`);
+    log('INFO', `  GET  /api/v1/wallet/:addr/similar    → Similar wallets`);
+    log('INFO', `  GET  /api/v1/jobs/:id                → Background job status`);
     log('INFO', 'WebSocket:');
     log('INFO', `  ws://localhost:${PORT}/ws?key=API_KEY → Real-time events`);
     log('INFO', '───────────────────────────────────────────');
@@ -342,10 +439,10 @@ async function main() {
     // Start polling fallback service
     sync.startPolling();
 
-    // Start K_wallet queue worker
+    // Start K_wallet job worker
     walletScore.startWorker();
 
-    // Start Token K queue worker
+    // Start Token K job worker
     tokenScore.startWorker();
 
     // Start webhook delivery worker
@@ -354,8 +451,13 @@ async function main() {
     // Start scheduled backups (every 6 hours)
     security.startScheduledBackups();
 
-    // Start daily snapshots (every 24 hours, also take one now if needed)
-    startDailySnapshots();
+    // Start address label detection (pools excluded from K), before snapshots use it
+    startLabelDetection()
+      .catch(error => log('ERROR', `Label detection failed to start: ${error.message}`))
+      .finally(() => {
+        // Start snapshots (every SNAPSHOT_INTERVAL, also take one now if stale)
+        startSnapshots();
+      });
   });
 }
 
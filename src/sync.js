@@ -3,33 +3,38 @@
  *
  * Hybrid sync: Webhook (real-time) + Polling (fallback)
  * Uses PoH slot as ordering key to avoid duplicates.
+ * Every tracked (tier 1) token is synced independently.
  */
 
 import db from './db.js';
 import helius from './helius.js';
 import calculator from './calculator.js';
 import walletScore from './wallet-score.js';
+import clusters from './clusters.js';
 import ws from './ws.js';
 import { log } from './utils.js';
 
 const POLL_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const TOKEN_MINT = process.env.TOKEN_MINT;
 
 let pollTimer = null;
-let isPolling = false;
+const pollingMints = new Set(); // Mints with a poll in progress
 
 /**
  * Sync holder delta: compare on-chain vs DB, add missing holders
  * Filters by $1 USD minimum using real-time price
  * Called at startup and periodically
+ * @param {string} mint - Tracked token mint (defaults to TOKEN_MINT)
  */
-export async function syncHolderDelta() {
-  log('INFO', 'Syncing holder delta (on-chain vs DB)...');
+export async function syncHolderDelta(mint = db.getPrimaryMint()) {
   const startTime = Date.now();
+  let short = mint;
 
   try {
+    short = mint.slice(0, 8);
+    log('INFO', `Syncing holder delta for ${short} (on-chain vs DB)...`);
+
     // 1. Get current token price for $1 filter
-    const tokenInfo = await helius.fetchTokenInfo();
+    const tokenInfo = await helius.fetchTokenInfo(false, mint);
     const price = tokenInfo.price || 0;
 
     if (price <= 0) {
@@ -42,20 +47,20 @@ export async function syncHolderDelta() {
     log('INFO', `$1 filter = ${(oneUsdInTokens / 1e6).toFixed(0)}M tokens (price: $${price.toFixed(6)})`);
 
     // 2. Fetch on-chain holders
-    const onChainHolders = await helius.fetchHolders();
+    const onChainHolders = await helius.fetchHolders(mint);
     const qualifiedHolders = onChainHolders.filter(h => h.balance >= oneUsdInTokens);
 
     log('INFO', `On-chain: ${onChainHolders.length} total, ${qualifiedHolders.length} >= $1`);
 
     // 3. Get DB holders
-    const dbWallets = await db.getWallets(0);
+    const dbWallets = await db.getWallets(0, mint);
     const dbAddresses = new Set(dbWallets.map(w => w.address));
 
     // 4. Find missing holders
     const missing = qualifiedHolders.filter(h => !dbAddresses.has(h.address));
 
     if (missing.length === 0) {
-      log('INFO', 'Holder delta: no missing holders');
+      log('INFO', `Holder delta ${short}: no missing holders`);
       return { added: 0, onChain: qualifiedHolders.length, db: dbWallets.length };
     }
 
@@ -64,12 +69,16 @@ export async function syncHolderDelta() {
     // 5. Add missing holders
     for (const holder of missing) {
       await db.upsertWallet({
+        mint,
         address: holder.address,
         balance: holder.balance,
         firstBuyTs: null,
-        firstBuyAmount: holder.balance, // Assume current balance is first buy for now
+        // Unknown origin: balance stands in as first buy until the K_wallet job resolves it from history
+        firstBuyAmount: holder.balance,
+        firstBuySource: 'assumed',
         received: holder.balance,
         sent: 0,
+        bought: 0,
         lastTxSig: null,
       });
 
@@ -78,14 +87,14 @@ export async function syncHolderDelta() {
     }
 
     const elapsed = Date.now() - startTime;
-    log('INFO', `Holder delta complete: +${missing.length} holders (${elapsed}ms)`);
+    log('INFO', `Holder delta ${short} complete: +${missing.length} holders (${elapsed}ms)`);
 
     // 6. Store $1 threshold for calculator to use
-    await db.setSyncState('one_usd_threshold', oneUsdInTokens.toString());
-    await db.setSyncState('token_price', price.toString());
+    await db.setSyncState('one_usd_threshold', oneUsdInTokens.toString(), mint);
+    await db.setSyncState('token_price', price.toString(), mint);
 
     // 7. Recalculate K with updated holders
-    await calculator.calculate();
+    await calculator.calculate(mint);
 
     return {
       added: missing.length,
@@ -96,30 +105,31 @@ export async function syncHolderDelta() {
     };
 
   } catch (error) {
-    log('ERROR', `Holder delta sync failed: ${error.message}`);
+    log('ERROR', `Holder delta sync failed for ${short}: ${error.message}`);
     return { added: 0, error: error.message };
   }
 }
 
 /**
- * Fetch new transactions since last processed slot
+ * Fetch new transactions since last processed slot for one mint
  */
-async function fetchNewTransactions() {
-  if (isPolling) {
-    log('DEBUG', 'Polling already in progress, skipping');
+async function fetchNewTransactions(mint = db.getPrimaryMint()) {
+  const short = mint.slice(0, 8);
+  if (pollingMints.has(mint)) {
+    log('DEBUG', `Polling already in progress for ${short}, skipping`);
     return 0;
   }
 
-  isPolling = true;
+  pollingMints.add(mint);
   const startTime = Date.now();
 
   try {
-    const lastSlot = await db.getLastProcessedSlot();
-    log('INFO', `Polling for new transactions (last slot: ${lastSlot})`);
+    const lastSlot = await db.getLastProcessedSlot(mint);
+    log('INFO', `Polling ${short} for new transactions (last slot: ${lastSlot})`);
 
     // Fetch recent transactions for the token
     const result = await helius.rpc('getSignaturesForAddress', [
-      TOKEN_MINT,
+      mint,
       { limit: 100 }
     ]);
 
@@ -165,41 +175,47 @@ async function fetchNewTransactions() {
     for (const tx of allTransactions) {
       try {
         // Parse token transfers
-        const changes = helius.parseTransaction(tx);
+        const changes = await clusters.markLinkedTransfers(mint, helius.parseTransaction(tx, mint));
 
         for (const change of changes) {
           // Record transaction with PoH slot
           await db.recordTransaction({
+            mint,
             signature: `${change.signature}-${change.wallet}`,
             slot: tx.slot,
             blockTime: tx.blockTime,
             wallet: change.wallet,
             amountChange: change.amountChange,
+            kind: change.kind,
           });
 
           // Update wallet balance and detect holder changes
-          const holderChange = await updateWalletBalance(change);
+          const holderChange = await db.applyWalletChange({ ...change, mint, blockTime: tx.blockTime });
 
           // Queue K_wallet recalculation (high priority - tx triggered)
-          await walletScore.enqueueWallet(change.wallet);
+          await walletScore.enqueueWallet(change.wallet, { requeueRunning: true });
 
           // WebSocket broadcast: transaction
           ws.broadcast('tx', {
+            mint,
             signature: change.signature,
             wallet: change.wallet,
             amount: change.amountChange,
             slot: tx.slot,
             type: change.amountChange > 0 ? 'buy' : 'sell',
+            kind: change.kind,
           });
 
           // WebSocket broadcast: holder changes
           if (holderChange === 'new') {
             ws.broadcast('holder:new', {
+              mint,
               address: change.wallet,
               balance: change.amountChange,
             });
           } else if (holderChange === 'exit') {
             ws.broadcast('holder:exit', {
+              mint,
               address: change.wallet,
               lastBalance: Math.abs(change.amountChange),
             });
@@ -207,6 +223,9 @@ async function fetchNewTransactions() {
 
           processed++;
         }
+
+        // Peer transfers link sender and recipient (entity clustering)
+        await clusters.recordTransferLinks(mint, changes);
       } catch (e) {
         log('WARN', `Error processing tx: ${e.message}`);
       }
@@ -214,60 +233,43 @@ async function fetchNewTransactions() {
 
     if (processed > 0) {
       // Recalculate K
-      const kMetric = await calculator.calculate();
+      const kMetric = await calculator.calculate(mint);
       const elapsed = Date.now() - startTime;
-      log('INFO', `Polling complete: ${processed} transfers, K=${kMetric?.k}% (${elapsed}ms)`);
+      log('INFO', `Polling ${short} complete: ${processed} transfers, K=${kMetric?.k}% (${elapsed}ms)`);
     }
 
     return processed;
 
   } catch (error) {
-    log('ERROR', `Polling error: ${error.message}`);
+    log('ERROR', `Polling error for ${short}: ${error.message}`);
     return 0;
   } finally {
-    isPolling = false;
+    pollingMints.delete(mint);
   }
 }
 
 /**
- * Update wallet balance from a transfer
- * @returns {'new'|'exit'|null} Holder change type
+ * Poll every tracked token sequentially (shares the Helius rate limit)
  */
-async function updateWalletBalance(change) {
-  const wallets = await db.getWallets(0);
-  const existing = wallets.find(w => w.address === change.wallet);
-
-  if (existing) {
-    const oldBalance = Number(existing.current_balance);
-    const newBalance = oldBalance + change.amountChange;
-    await db.upsertWallet({
-      address: change.wallet,
-      balance: Math.max(0, newBalance),
-      firstBuyTs: existing.first_buy_ts,
-      firstBuyAmount: Number(existing.first_buy_amount),
-      received: change.amountChange > 0 ? change.amountChange : 0,
-      sent: change.amountChange < 0 ? Math.abs(change.amountChange) : 0,
-      lastTxSig: change.signature,
-    });
-    // Detect exit: had balance, now zero
-    if (oldBalance > 0 && newBalance <= 0) {
-      return 'exit';
-    }
-    return null;
-  } else if (change.amountChange > 0) {
-    // New wallet
-    await db.upsertWallet({
-      address: change.wallet,
-      balance: change.amountChange,
-      firstBuyTs: change.blockTime,
-      firstBuyAmount: change.amountChange,
-      received: change.amountChange,
-      sent: 0,
-      lastTxSig: change.signature,
-    });
-    return 'new';
+async function fetchAllTrackedTransactions() {
+  const mints = await db.getTrackedMints();
+  let processed = 0;
+  for (const mint of mints) {
+    processed += await fetchNewTransactions(mint);
   }
-  return null;
+  return processed;
+}
+
+/**
+ * Holder delta sync for every tracked token
+ */
+async function syncAllHolderDeltas() {
+  const mints = await db.getTrackedMints();
+  const results = {};
+  for (const mint of mints) {
+    results[mint] = await syncHolderDelta(mint);
+  }
+  return results;
 }
 
 /**
@@ -283,21 +285,26 @@ export function startPolling(intervalMs = POLL_INTERVAL) {
   log('INFO', `Starting polling service (interval: ${intervalMs / 1000}s)`);
 
   // Immediate: sync holder delta (find missing $1+ holders)
-  syncHolderDelta().catch(e => log('ERROR', `Initial delta sync failed: ${e.message}`));
+  syncAllHolderDeltas().catch(e => log('ERROR', `Initial delta sync failed: ${e.message}`));
 
   // Initial transaction poll after 30 seconds
   setTimeout(() => {
-    fetchNewTransactions();
+    fetchAllTrackedTransactions().catch(e => log('ERROR', `Initial poll failed: ${e.message}`));
   }, 30000);
 
   // Regular polling (transactions + delta every 5 polls)
+  // Tracked tokens are re-read each tick so newly tracked mints join automatically
   let pollCount = 0;
   pollTimer = setInterval(async () => {
-    await fetchNewTransactions();
-    pollCount++;
-    // Delta sync every 5 polls (25 minutes)
-    if (pollCount % 5 === 0) {
-      await syncHolderDelta();
+    try {
+      await fetchAllTrackedTransactions();
+      pollCount++;
+      // Delta sync every 5 polls (25 minutes)
+      if (pollCount % 5 === 0) {
+        await syncAllHolderDeltas();
+      }
+    } catch (error) {
+      log('ERROR', `Polling tick failed: ${error.message}`);
     }
   }, intervalMs);
 
@@ -317,21 +324,24 @@ export function stopPolling() {
 
 /**
  * Manual sync trigger
+ * @param {string|null} mint - Single tracked mint, or all tracked tokens when null
  */
-export async function syncNow() {
-  return await fetchNewTransactions();
+export async function syncNow(mint = null) {
+  if (mint) return await fetchNewTransactions(mint);
+  return await fetchAllTrackedTransactions();
 }
 
 /**
  * Get sync status
+ * @param {string} mint - Tracked token mint (defaults to TOKEN_MINT)
  */
-export async function getStatus() {
-  const lastSlot = await db.getLastProcessedSlot();
-  const stats = await db.getStats();
+export async function getStatus(mint = db.getPrimaryMint()) {
+  const lastSlot = await db.getLastProcessedSlot(mint);
+  const stats = await db.getStats(mint);
 
   return {
     lastProcessedSlot: lastSlot,
-    isPolling,
+    isPolling: pollingMints.has(mint),
     pollInterval: POLL_INTERVAL,
     ...stats,
   };
@@ -6,82 +6,165 @@
  *
  * K = (maintained + accumulators) / total_holders
  *
- * Where:
- *   - Accumulator: retention >= 1.5 (bought more)
- *   - Maintained:  retention >= 1.0 (never sold)
- *   - Reducer:     retention >= 0.5 (sold some)
- *   - Extractor:   retention < 0.5  (paper hands)
+ * Classification thresholds, retention basis and OG rules come from the
+ * scoring model (see scoring.js); results are tagged with model_version.
  *
- *   retention = current_balance / first_buy_amount
+ * Modes:
+ * - sample: MAX_HOLDERS_TO_ANALYZE holders, each via per-wallet history (fast, approximate).
+ *           TOKEN_K_SAMPLE_STRATEGY picks them: 'top' (largest balances) or 'stratified'
+ *           (random within SAMPLE_STRATA balance-rank strata, K weighted by stratum size).
+ *           Results carry the supply fraction covered and, for stratified samples, a 95%
+ *           confidence interval on K (top holders are not a random sample: no interval).
+ * - full:   streams the mint's whole transaction history once into local wallet
+ *           rows (like backfill), then refreshes incrementally from the last slot
  */
 
 import db from './db.js';
 import helius from './helius.js';
 import calculator from './calculator.js';
-import { log } from './utils.js';
+import scoring from './scoring.js';
+import labels from './labels.js';
+import bundles from './bundles.js';
+import platforms from './platforms.js';
+import clusters from './clusters.js';
+import { tokenCache, kMetricCache, getOrCompute } from './cache.js';
+import { log, loadEnv } from './utils.js';
+
+loadEnv();
 
-const TOKEN_MINT = process.env.TOKEN_MINT; // Primary token ($ASDFASDFA)
 const TOKEN_K_TTL = 3600; // 1 hour cache
+
+// Tier 2: popular on-demand tokens, refreshed in the background on a shorter TTL.
+// Requests count distinct requesters (API key or IP) per day: promoted at TIER2_PROMOTE_REQUESTS over
+// TIER2_WINDOW_DAYS, demoted below TIER2_DEMOTE_REQUESTS.
+const TIER2_TTL = parseInt(process.env.TIER2_TTL || '600');
+const TIER2_WINDOW_DAYS = parseInt(process.env.TIER2_WINDOW_DAYS || '3');
+const TIER2_PROMOTE_REQUESTS = parseInt(process.env.TIER2_PROMOTE_REQUESTS || '20');
+const TIER2_DEMOTE_REQUESTS = parseInt(process.env.TIER2_DEMOTE_REQUESTS || '5');
 const MAX_HOLDERS_TO_ANALYZE = 50; // Sample top 50 holders for speed
+const POSITION_TTL = parseInt(process.env.WALLET_POSITION_TTL || '3600'); // Reuse stored holder positions this fresh
 const PARALLEL_CONCURRENCY = 5; // Process 5 holders in parallel
 
-/**
- * Check if token is PumpFun or Ignition (dev.fun)
- */
-export function isValidToken(mint) {
-  const lower = mint.toLowerCase();
-  return lower.endsWith('pump') || lower.endsWith('asdf') || lower.endsWith('dev');
-}
+export const TOKEN_K_MODES = ['sample', 'full'];
+const DEFAULT_MODE = TOKEN_K_MODES.includes(process.env.TOKEN_K_MODE) ? process.env.TOKEN_K_MODE : 'sample';
+
+export const SAMPLE_STRATEGIES = ['top', 'stratified'];
+const SAMPLE_STRATEGY = SAMPLE_STRATEGIES.includes(process.env.TOKEN_K_SAMPLE_STRATEGY)
+  ? process.env.TOKEN_K_SAMPLE_STRATEGY
+  : 'top';
+const SAMPLE_STRATA = 5;
+const Z_95 = 1.96;
 
 /**
- * Classify retention (same as K_wallet)
+ * Check if token belongs to a supported launch platform (suffix or detected launch, see platforms.js)
  */
-function classifyRetention(retention) {
-  if (retention >= 1.5) return 'accumulator';
-  if (retention >= 1.0) return 'holder';
-  if (retention >= 0.5) return 'reducer';
-  return 'extractor';
+export function isValidToken(mint) {
+  return platforms.isSupportedMint(mint);
 }
 
 /**
  * Get token K score (cached or calculate)
  * Returns cached result if fresh, otherwise queues for calculation
+ * @param {Object} options - { model, mode, requester }
+ *   model: alternative scoring model (tracked tokens only)
+ *   mode: 'full' queues an exhaustive calculation unless the cached K already is one
+ *   requester: API key or IP identifier, counted toward tier 2 promotion once the lookup succeeds
  */
-export async function getTokenK(mint) {
-  // Primary token uses existing calculator with full precision
-  if (mint === TOKEN_MINT) {
-    const result = await calculator.calculate();
+export async function getTokenK(mint, options = {}) {
+  // Tracked tokens (primary + tier 1) use the local calculator with full precision
+  if (await db.isTrackedToken(mint)) {
+    const result = await calculator.calculate(mint, { model: options.model });
+    if (!result) {
+      return {
+        mint,
+        status: 'syncing',
+        message: 'Tracked token has no local holder data yet',
+        retry_after: 60,
+      };
+    }
     return {
       mint,
       k: result.k,
+      k_supply: result.kSupply,
+      k_time: result.kTime,
       holders: result.holders,
       accumulators: result.accumulators,
-      maintained: result.neverSold, // never_sold = maintained in original schema
-      reducers: result.holders - result.accumulators - result.neverSold,
-      extractors: 0, // Not tracked in original
+      maintained: result.maintained - result.accumulators,
+      reducers: result.partialSellers,
+      extractors: result.majorSellers,
+      distributors: result.distributors,
+      bundled_supply_pct: result.bundledSupplyPct,
+      model_version: result.model_version,
+      mode: 'full',
+      analyzed: result.holders,
+      sample: {
+        strategy: 'full',
+        size: result.holders,
+        population: result.holders,
+        supply_covered_pct: 100,
+        confidence: { level: 0.95, k_low: result.k, k_high: result.k },
+      },
       tier: 1,
       quality: 'realtime',
-      source: 'primary',
+      source: mint === db.getPrimaryMint() ? 'primary' : 'tracked',
       cached: false,
     };
   }
 
+  const result = await getOnDemandTokenK(mint, options);
+  if (options.requester) await db.recordTokenRequest(mint, options.requester);
+  return result;
+}
+
+/**
+ * On-demand token K (tier 2/3): cached result, or a queued calculation
+ */
+async function getOnDemandTokenK(mint, options) {
   // Check cache
   const cached = await db.getToken(mint);
 
+  // Exhaustive K requested over a sampled (or missing) result
+  if (options.mode === 'full' && cached?.calc_mode !== 'full') {
+    if (cached?.sync_status === 'syncing') {
+      const running = await db.getLatestJob('token_k', mint);
+      return {
+        mint,
+        status: 'syncing',
+        message: 'K calculation in progress, request full mode again once it completes',
+        retry_after: 30,
+        job_id: running?.id || null,
+      };
+    }
+    const job = await db.enqueueToken(mint, 10, 'full');
+    return {
+      mint,
+      status: 'queued',
+      mode: 'full',
+      message: 'Full K calculation queued (streams the whole mint history)',
+      retry_after: 60,
+      job_id: job.id,
+    };
+  }
+
   if (cached && cached.k !== null) {
     const age = Math.floor(Date.now() / 1000) - cached.last_sync;
-    const isFresh = age < TOKEN_K_TTL;
+    const isFresh = age < (cached.tier === 2 ? TIER2_TTL : TOKEN_K_TTL);
 
     if (isFresh || cached.sync_status === 'syncing') {
       return {
         mint,
         k: cached.k,
+        k_supply: cached.k_supply,
+        k_time: cached.k_time,
         holders: cached.holders,
         accumulators: cached.accumulators,
         maintained: cached.maintained,
         reducers: cached.reducers,
         extractors: cached.extractors,
+        model_version: cached.model_version || scoring.DEFAULT_MODEL_VERSION,
+        mode: cached.calc_mode || 'sample',
+        analyzed: cached.analyzed ?? null,
+        sample: formatSample(cached),
         tier: cached.tier,
         quality: cached.tier === 2 ? 'tracked' : 'on-demand',
         source: 'cache',
@@ -93,15 +176,21 @@ export async function getTokenK(mint) {
     }
 
     // Stale - queue refresh but return cached
-    await db.enqueueToken(mint, 5);
+    const job = await db.enqueueToken(mint, 5);
     return {
       mint,
       k: cached.k,
+      k_supply: cached.k_supply,
+      k_time: cached.k_time,
       holders: cached.holders,
       accumulators: cached.accumulators,
       maintained: cached.maintained,
       reducers: cached.reducers,
       extractors: cached.extractors,
+      model_version: cached.model_version || scoring.DEFAULT_MODEL_VERSION,
+      mode: cached.calc_mode || 'sample',
+      analyzed: cached.analyzed ?? null,
+      sample: formatSample(cached),
       tier: cached.tier,
       quality: 'stale',
       source: 'cache',
@@ -109,44 +198,158 @@ export async function getTokenK(mint) {
       age_seconds: age,
       stale: true,
       refreshing: true,
+      job_id: job.id,
     };
   }
 
-  // Not cached or sync in progress - check status
-  if (cached?.sync_status === 'syncing') {
+  // Not cached - report the pending job (queued on first request, or again after it failed)
+  const pending = await db.getLatestJob('token_k', mint);
+  if (pending?.status === 'running') {
     return {
       mint,
       status: 'syncing',
       message: 'K calculation in progress',
       retry_after: 30,
+      job_id: pending.id,
     };
   }
 
-  if (cached?.sync_status === 'queued') {
+  if (pending?.status === 'queued') {
     return {
       mint,
       status: 'queued',
       message: 'K calculation queued',
       retry_after: 60,
+      job_id: pending.id,
     };
   }
 
   // Not found - queue for calculation
-  await db.enqueueToken(mint, 10); // High priority for first request
+  const job = await db.enqueueToken(mint, 10); // High priority for first request
   return {
     mint,
     status: 'queued',
     message: 'K calculation queued (first request)',
     retry_after: 60,
+    job_id: job.id,
   };
 }
 
 /**
  * Calculate K for a token (internal - called by worker)
- * Fetches all holders and their history to compute accurate K
+ * Tokens with a stored full history always refresh in full mode (incremental).
+ * @param {Object} options - { mode } 'sample' or 'full' (defaults to TOKEN_K_MODE)
+ */
+export async function calculateTokenK(mint, options = {}) {
+  const hasFullHistory = Boolean(await db.getSyncState('full_sync_slot', mint));
+  const mode = hasFullHistory ? 'full' : (options.mode || DEFAULT_MODE);
+  if (!TOKEN_K_MODES.includes(mode)) throw new Error(`Unknown token K mode: ${mode}`);
+
+  return mode === 'full' ? calculateFullTokenK(mint) : calculateSampledTokenK(mint);
+}
+
+/**
+ * Pick the holders to analyze (holders sorted by balance, descending)
+ * @returns {Object[]} strata: [{ population, holders }] (one stratum for 'top')
+ */
+function selectSample(holders, strategy, size) {
+  if (strategy === 'top' || holders.length <= size) {
+    return [{ population: holders.length, holders: holders.slice(0, size) }];
+  }
+
+  // Equal-count balance-rank strata, sampled proportionally at random
+  const strata = [];
+  for (let h = 0; h < SAMPLE_STRATA; h++) {
+    const members = holders.slice(
+      Math.floor((h * holders.length) / SAMPLE_STRATA),
+      Math.floor(((h + 1) * holders.length) / SAMPLE_STRATA)
+    );
+    if (members.length === 0) continue;
+    const take = Math.min(members.length, Math.max(1, Math.round((size * members.length) / holders.length)));
+    // Partial Fisher-Yates shuffle
+    const pool = [...members];
+    for (let i = 0; i < take; i++) {
+      const j = i + Math.floor(Math.random() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    strata.push({ population: members.length, holders: pool.slice(0, take) });
+  }
+  return strata;
+}
+
+/**
+ * Wilson score interval of a proportion (stays inside [0, 1], non-zero width at p = 0 or 1)
+ * @returns {number[]} [low, high]
+ */
+function wilsonInterval(p, n, z = Z_95) {
+  const z2 = z * z;
+  const denominator = 1 + z2 / n;
+  const center = (p + z2 / (2 * n)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + z2 / (4 * n * n))) / denominator;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Estimate of K from the analyzed holders, with a 95% confidence interval:
+ *   - every holder selected (census): exact, low = high = k
+ *   - 'top': the largest holders are not a random sample, no interval (low/high null)
+ *   - 'stratified': Wilson interval at the effective sample size of the stratified
+ *     estimate (stratum variances with finite population correction)
+ * Strata without analyzed holders are dropped.
+ * @param {Object[]} strata - [{ population, sampled, analyzed: [{ retention }] }]
+ * @returns {Object} { k, low, high } in percent
+ */
+function estimateK(strata, model, strategy) {
+  const usable = strata.filter((stratum) => stratum.analyzed.length > 0);
+  const population = usable.reduce((sum, stratum) => sum + stratum.population, 0);
+  if (population === 0) return { k: 0, low: null, high: null };
+
+  let estimate = 0;
+  let variance = 0;
+  let analyzed = 0;
+  for (const stratum of usable) {
+    const n = stratum.analyzed.length;
+    const weight = stratum.population / population;
+    const p = stratum.analyzed.filter((h) => scoring.isMaintained(h.retention, model)).length / n;
+    const fpc = 1 - n / stratum.population;
+    estimate += weight * p;
+    variance += weight * weight * fpc * (p * (1 - p)) / Math.max(n - 1, 1);
+    analyzed += n;
+  }
+
+  const k = Math.round(estimate * 100);
+  if (strata.every((stratum) => stratum.sampled >= stratum.population)) return { k, low: k, high: k };
+  if (strategy === 'top') return { k, low: null, high: null };
+
+  // Sample size giving the same variance under simple random sampling
+  const effective = variance > 0 ? (estimate * (1 - estimate)) / variance : analyzed;
+  const [low, high] = wilsonInterval(estimate, effective);
+  return { k, low: Math.round(low * 100), high: Math.round(high * 100) };
+}
+
+/**
+ * Sampling metadata for a token K response (tokens row or calculation result)
+ * biased: top holders only (not a random sample), confidence is then null
  */
-export async function calculateTokenK(mint) {
+function formatSample(row) {
+  if (!row.sample_strategy) return null;
+  const hasInterval = row.k_ci_low !== null && row.k_ci_low !== undefined;
+  return {
+    strategy: row.sample_strategy,
+    size: row.sample_size,
+    population: row.holders,
+    supply_covered_pct: row.supply_covered,
+    biased: row.sample_strategy === 'top' && row.sample_size < row.holders,
+    confidence: hasInterval ? { level: 0.95, k_low: row.k_ci_low, k_high: row.k_ci_high } : null,
+  };
+}
+
+/**
+ * Sampled K: a sample of holders, each via per-wallet enhanced history
+ */
+async function calculateSampledTokenK(mint) {
   const startTime = Date.now();
+  const model = scoring.getModel();
   log('INFO', `[TokenScore] Calculating K for ${mint.slice(0, 8)}...`);
 
   try {
@@ -158,6 +361,7 @@ export async function calculateTokenK(mint) {
         mint,
         k: null,
         holders: 0,
+        mode: 'sample',
         message: 'No holders found',
         duration_ms: Date.now() - startTime,
       };
@@ -165,9 +369,10 @@ export async function calculateTokenK(mint) {
 
     log('INFO', `[TokenScore] Found ${holders.length} holders for ${mint.slice(0, 8)}`);
 
-    // 2. For each holder, get their history and calculate retention
+    // 2. For each sampled holder, get their history and calculate retention
     // Use parallel processing with concurrency limit for speed
-    const holdersToAnalyze = holders.slice(0, MAX_HOLDERS_TO_ANALYZE);
+    const strata = selectSample(holders, SAMPLE_STRATEGY, MAX_HOLDERS_TO_ANALYZE);
+    const holdersToAnalyze = strata.flatMap((stratum, index) => stratum.holders.map((h) => ({ ...h, stratum: index })));
     const analyzed = [];
 
     // Process in batches of PARALLEL_CONCURRENCY
@@ -179,13 +384,39 @@ export async function calculateTokenK(mint) {
           const history = await getHolderTokenHistory(holder.address, mint);
 
           if (history.first_buy_amount > 0) {
-            const retention = history.current_balance / history.first_buy_amount;
+            const retention = scoring.computeRetention({
+              current: history.current_balance,
+              firstBuy: scoring.firstBuyFor({
+                firstBuy: history.first_buy_amount,
+                firstSwap: history.first_swap_amount,
+              }, model),
+              totalReceived: history.total_bought,
+              bought: history.total_bought,
+              transferredIn: history.transferred_in,
+              linkedOut: history.linked_out,
+              airdropped: history.airdropped,
+            }, model);
+            const classification = scoring.classifyRetention(retention, model);
+
+            if (!history.stored) {
+              await db.upsertWalletPositions(holder.address, [{
+                ...history,
+                mint,
+                platform: platforms.platformOf(mint),
+                current: history.current_balance,
+                retention,
+                classification,
+              }], { modelVersion: model.version, source: 'token_history' });
+            }
+
             return {
               address: holder.address,
+              stratum: holder.stratum,
               current_balance: history.current_balance,
               first_buy_amount: history.first_buy_amount,
+              first_buy_ts: history.first_buy_ts,
               retention,
-              classification: classifyRetention(retention),
+              classification,
             };
           }
           return null;
@@ -208,9 +439,43 @@ export async function calculateTokenK(mint) {
     const reducers = analyzed.filter(h => h.classification === 'reducer').length;
     const extractors = analyzed.filter(h => h.classification === 'extractor').length;
 
-    const k = analyzed.length > 0
-      ? Math.round(((accumulators + maintained) / analyzed.length) * 100)
-      : 0;
+    // K estimate and confidence interval (none for top-N, see estimateK)
+    const estimate = estimateK(strata.map((stratum, index) => ({
+      population: stratum.population,
+      sampled: stratum.holders.length,
+      analyzed: analyzed.filter(h => h.stratum === index),
+    })), model, SAMPLE_STRATEGY);
+    const k = estimate.k;
+
+    // Share of supply held by the sampled holders
+    const totalSupply = holders.reduce((sum, h) => sum + h.balance, 0);
+    const sampledSupply = holdersToAnalyze.reduce((sum, h) => sum + h.balance, 0);
+    const supplyCovered = totalSupply > 0 ? Math.round((sampledSupply / totalSupply) * 1000) / 10 : 0;
+
+    // Supply-weighted and hold-time-weighted K
+    const now = Math.floor(Date.now() / 1000);
+    const weighted = (weightOf) => {
+      let total = 0;
+      let kept = 0;
+      for (const h of analyzed) {
+        const weight = weightOf(h);
+        total += weight;
+        if (scoring.isMaintained(h.retention, model)) kept += weight;
+      }
+      return total > 0 ? Math.round((kept / total) * 100) : 0;
+    };
+    const kSupply = weighted(h => h.current_balance);
+    const kTime = weighted(h => Math.max(h.first_buy_ts ? Math.floor((now - h.first_buy_ts) / 86400) : 0, 1));
+
+    // 4. Persist the per-holder analysis (GET /api/v1/token/:mint/holders)
+    await db.replaceTokenHolders(mint, analyzed.map((h) => ({
+      address: h.address,
+      balance: h.current_balance,
+      first_buy_amount: h.first_buy_amount,
+      first_buy_ts: h.first_buy_ts,
+      retention: Math.round(h.retention * 1000) / 1000,
+      classification: h.classification,
+    })), model.version);
 
     const duration = Date.now() - startTime;
     log('INFO', `[TokenScore] K=${k}% for ${mint.slice(0, 8)} (${duration}ms, ${analyzed.length} analyzed)`);
@@ -218,12 +483,21 @@ export async function calculateTokenK(mint) {
     return {
       mint,
       k,
+      k_supply: kSupply,
+      k_time: kTime,
       holders: holders.length,
       analyzed: analyzed.length,
       accumulators,
       maintained,
       reducers,
       extractors,
+      model_version: model.version,
+      mode: 'sample',
+      sample_strategy: SAMPLE_STRATEGY,
+      sample_size: holdersToAnalyze.length,
+      supply_covered: supplyCovered,
+      k_ci_low: estimate.low,
+      k_ci_high: estimate.high,
       duration_ms: duration,
     };
   } catch (error) {
@@ -232,6 +506,86 @@ export async function calculateTokenK(mint) {
   }
 }
 
+/**
+ * Full K: every holder from the mint's transaction stream
+ * Balance changes are applied to local wallet rows (mint-scoped, same as tracked
+ * tokens); the next run resumes at the last stored slot.
+ */
+async function calculateFullTokenK(mint) {
+  const startTime = Date.now();
+  const lastSlot = parseInt(await db.getSyncState('full_sync_slot', mint) || '0');
+  log('INFO', `[TokenScore] Full K for ${mint.slice(0, 8)} (from slot ${lastSlot})...`);
+
+  // Resume at the last slot (inclusive): already recorded changes are skipped
+  let maxSlot = lastSlot;
+  let applied = 0;
+  await helius.streamMintTransactions(async (transactions) => {
+    for (const tx of transactions) {
+      for (const change of await clusters.markLinkedTransfers(mint, helius.parseTransaction(tx, mint))) {
+        const isNew = await db.recordTransaction({
+          ...change,
+          signature: `${change.signature}-${change.wallet}`,
+        });
+        if (!isNew) continue;
+        await db.applyWalletChange({ ...change, mint });
+        applied++;
+      }
+      if (tx.slot > maxSlot) maxSlot = tx.slot;
+    }
+    await db.setSyncState('full_sync_slot', String(maxSlot), mint);
+    return transactions.length;
+  }, null, mint, lastSlot);
+
+  log('INFO', `[TokenScore] Applied ${applied} balance changes for ${mint.slice(0, 8)} (slot ${maxSlot})`);
+
+  // Pools would count as holders; bundles only need the local ledger
+  try {
+    await labels.detectLabelsForMint(mint);
+    await bundles.detectBundles(mint);
+  } catch (error) {
+    log('WARN', `[TokenScore] Label/bundle detection failed for ${mint.slice(0, 8)}: ${error.message}`);
+  }
+
+  const result = await calculator.calculate(mint, { includeHolders: true });
+  const duration = Date.now() - startTime;
+
+  if (!result) {
+    return { mint, k: null, holders: 0, mode: 'full', message: 'No holders found', duration_ms: duration };
+  }
+
+  await db.replaceTokenHolders(mint, result.holdersDetail.map((h) => ({
+    address: h.address,
+    balance: h.balance,
+    first_buy_amount: h.firstBuy,
+    first_buy_ts: h.firstBuyTs,
+    retention: h.retention,
+    classification: h.classification,
+  })), result.model_version);
+
+  log('INFO', `[TokenScore] K=${result.k}% for ${mint.slice(0, 8)} (${duration}ms, ${result.holders} holders, full)`);
+
+  return {
+    mint,
+    k: result.k,
+    k_supply: result.kSupply,
+    k_time: result.kTime,
+    holders: result.holders,
+    analyzed: result.holders,
+    accumulators: result.accumulators,
+    maintained: result.maintained - result.accumulators,
+    reducers: result.partialSellers,
+    extractors: result.majorSellers,
+    model_version: result.model_version,
+    mode: 'full',
+    sample_strategy: 'full',
+    sample_size: result.holders,
+    supply_covered: 100,
+    k_ci_low: result.k,
+    k_ci_high: result.k,
+    duration_ms: duration,
+  };
+}
+
 /**
  * Fetch token holders using Helius RPC
  */
@@ -267,16 +621,48 @@ async function fetchTokenHolders(mint) {
 
 /**
  * Get holder's history for a specific token
- * Returns first_buy_amount and current_balance
+ * Returns first_buy_amount (first purchase), current_balance and transfer flows.
+ * A position stored within POSITION_TTL (K_wallet scan or earlier token K) is reused (stored: true).
  */
 async function getHolderTokenHistory(walletAddress, mint) {
-  let firstBuyAmount = 0;
-  let firstBuyTs = null;
-  let currentBalance = 0;
-  let totalBought = 0;
-  let totalSold = 0;
+  const stored = await db.getWalletPosition(walletAddress, mint, Math.floor(Date.now() / 1000) - POSITION_TTL);
+  if (stored) {
+    return {
+      first_buy_ts: stored.first_buy_ts,
+      first_buy_slot: stored.first_buy_slot,
+      first_buy_amount: stored.first_buy_amount,
+      first_swap_amount: stored.first_swap_amount,
+      total_bought: stored.total_bought,
+      total_sold: stored.total_sold,
+      transferred_in: stored.transferred_in,
+      transferred_out: stored.transferred_out,
+      linked_out: stored.linked_out,
+      airdropped: stored.airdropped,
+      tx_count: stored.tx_count,
+      last_tx_ts: stored.last_tx_ts,
+      current_balance: stored.current,
+      stored: true,
+    };
+  }
+
+  const position = {
+    first_buy_ts: null,
+    first_buy_slot: null,
+    first_buy_amount: 0,
+    first_swap_amount: 0,
+    total_bought: 0,
+    total_sold: 0,
+    transferred_in: 0,
+    transferred_out: 0,
+    linked_out: 0,
+    airdropped: 0,
+    current: 0,
+    tx_count: 0,
+    last_tx_ts: null,
+  };
 
   // Fetch transaction history
+  const linkedWallets = await clusters.getLinkedWallets(walletAddress, mint);
   let before = null;
   const maxPages = 10; // Limit API calls per holder
 
@@ -291,25 +677,22 @@ async function getHolderTokenHistory(walletAddress, mint) {
     for (const tx of txs) {
       if (!tx.tokenTransfers) continue;
 
-      for (const transfer of tx.tokenTransfers) {
-        if (transfer.mint !== mint) continue;
-
-        const amount = transfer.tokenAmount || 0;
-        const isReceive = transfer.toUserAccount === walletAddress;
-        const isSend = transfer.fromUserAccount === walletAddress;
-
-        if (isReceive) {
-          totalBought += amount;
-          currentBalance += amount;
-          // Track first buy (going backwards, so update each time)
-          firstBuyTs = tx.timestamp;
-          firstBuyAmount = amount;
-        }
+      const mintTransfers = tx.tokenTransfers.filter((t) => t.mint === mint);
+      if (mintTransfers.length === 0) continue;
+      const kind = helius.classifyEnhancedTransfer(tx, mintTransfers);
+      position.tx_count++;
+      if (position.last_tx_ts === null) position.last_tx_ts = tx.timestamp;
 
-        if (isSend) {
-          totalSold += amount;
-          currentBalance -= amount;
-        }
+      for (const transfer of mintTransfers) {
+        helius.applyHistoryTransfer(position, {
+          amount: transfer.tokenAmount || 0,
+          isReceive: transfer.toUserAccount === walletAddress,
+          isSend: transfer.fromUserAccount === walletAddress,
+          kind,
+          timestamp: tx.timestamp,
+          slot: tx.slot ?? null,
+          linked: transfer.fromUserAccount === walletAddress && linkedWallets.has(transfer.toUserAccount),
+        });
       }
     }
 
@@ -318,37 +701,308 @@ async function getHolderTokenHistory(walletAddress, mint) {
   }
 
   // Normalize
-  if (currentBalance < 0) currentBalance = 0;
+  const { current, ...flows } = position;
+  return {
+    ...flows,
+    current_balance: Math.max(0, current),
+  };
+}
+
+// ============================================
+// Leaderboard
+// ============================================
+
+export const LEADERBOARD_SORTS = {
+  k: (t) => t.k,
+  holders: (t) => t.holders,
+  trend: (t) => t.k_slope_30d,
+  fresh: (t) => t.last_sync,
+};
+
+export const TOKEN_QUALITIES = ['realtime', 'tracked', 'on-demand'];
+
+/**
+ * Quality label of a token's K (same as getTokenK)
+ */
+function qualityOf(tier) {
+  if (tier === 1) return 'realtime';
+  return tier === 2 ? 'tracked' : 'on-demand';
+}
 
+/**
+ * Latest K of a tracked mint without recalculating it: the /k-metric cache entry
+ * (default model, wallet mode, bundles included) or else the last snapshot
+ * @returns {Promise<Object|null>} { k, kSupply, kTime, holders, bundledSupplyPct, asOf, source }
+ */
+export async function getLatestKMetric(mint) {
+  const cached = kMetricCache.get(`k-metric-current:${mint}:${scoring.DEFAULT_MODEL_VERSION}:wallet:include`);
+  if (cached) {
+    return { ...cached, asOf: Math.floor(Date.parse(cached.calculatedAt) / 1000), source: 'cache' };
+  }
+
+  const [snapshot] = await db.getSnapshots(1, mint);
+  if (!snapshot) return null;
   return {
-    first_buy_ts: firstBuyTs,
-    first_buy_amount: firstBuyAmount,
-    current_balance: currentBalance,
-    total_bought: totalBought,
-    total_sold: totalSold,
+    k: snapshot.k,
+    kSupply: snapshot.k_supply,
+    kTime: snapshot.k_time,
+    holders: snapshot.holders,
+    bundledSupplyPct: null,
+    asOf: snapshot.created_at,
+    source: 'snapshot',
   };
 }
 
+/**
+ * All tokens with a non-stale K: tracked tokens (cached or last snapshot K, snapshot trend)
+ * + registry results fresh for their tier's TTL
+ */
+async function getLeaderboardEntries() {
+  const now = Math.floor(Date.now() / 1000);
+  const entries = [];
+
+  for (const mint of await db.getTrackedMints()) {
+    const latest = await getLatestKMetric(mint);
+    if (!latest) continue;
+    const token = await db.getToken(mint);
+    const trend = db.computeKTrend(await db.getSnapshotRange({ mint, from: now - 90 * 86400 }));
+    entries.push({
+      mint,
+      symbol: token?.symbol || null,
+      k: latest.k,
+      k_supply: latest.kSupply,
+      k_time: latest.kTime,
+      holders: latest.holders,
+      ...trend,
+      tier: 1,
+      mode: 'full',
+      last_sync: latest.asOf,
+    });
+  }
+
+  const tracked = new Set(entries.map((e) => e.mint));
+  for (const token of await db.getFreshTokens(now - Math.max(TOKEN_K_TTL, TIER2_TTL))) {
+    if (tracked.has(token.mint)) continue;
+    if (now - token.last_sync >= (token.tier === 2 ? TIER2_TTL : TOKEN_K_TTL)) continue;
+    entries.push({
+      mint: token.mint,
+      symbol: token.symbol,
+      k: token.k,
+      k_supply: token.k_supply,
+      k_time: token.k_time,
+      holders: token.holders,
+      k_delta_7d: token.k_delta_7d,
+      k_delta_30d: token.k_delta_30d,
+      k_slope_30d: token.k_slope_30d,
+      tier: token.tier,
+      mode: token.calc_mode || 'sample',
+      last_sync: token.last_sync,
+    });
+  }
+
+  return entries.map((entry) => ({
+    ...entry,
+    platform: platforms.platformOf(entry.mint),
+    quality: qualityOf(entry.tier),
+    age_seconds: now - entry.last_sync,
+  }));
+}
+
+/**
+ * Leaderboard order: sort value (missing values always last), then mint
+ * @param {Object} a - { value, mint }
+ * @param {Object} b - { value, mint }
+ * @param {number} direction - 1 ascending, -1 descending
+ */
+function compareRanked(a, b, direction) {
+  if (a.value === b.value) return a.mint < b.mint ? -1 : a.mint > b.mint ? 1 : 0;
+  if (a.value === null) return 1;
+  if (b.value === null) return -1;
+  return (a.value - b.value) * direction;
+}
+
+/**
+ * Token leaderboard (cursor paginated)
+ * The filtered, sorted list is cached in tokenCache per sort + filters;
+ * the cursor carries the sort value and mint of the last returned entry (keyset:
+ * the next page starts after that key even if the entry left the ranking).
+ * @param {Object} options - { sort, order, platform, minHolders, quality, mode, limit, cursor }
+ * @returns {Promise<Object>} { tokens, total, next_cursor }
+ */
+export async function getLeaderboard({ sort = 'k', order = 'desc', platform = null, minHolders = 0, quality = null, mode = null, limit = 50, cursor = null } = {}) {
+  const key = `leaderboard:${sort}:${order}:${platform || ''}:${minHolders}:${quality || ''}:${mode || ''}`;
+
+  const valueOf = (t) => LEADERBOARD_SORTS[sort](t) ?? null;
+  const direction = order === 'asc' ? 1 : -1;
+  const ranked = await getOrCompute(tokenCache, key, async () => {
+    return (await getLeaderboardEntries())
+      .filter((t) => !platform || t.platform === platform)
+      .filter((t) => (t.holders || 0) >= minHolders)
+      .filter((t) => !quality || t.quality === quality)
+      .filter((t) => !mode || t.mode === mode)
+      .sort((a, b) => compareRanked({ value: valueOf(a), mint: a.mint }, { value: valueOf(b), mint: b.mint }, direction));
+  }, 60 * 1000);
+
+  let start = 0;
+  if (cursor) {
+    const index = ranked.findIndex((t) => compareRanked(cursor, { value: valueOf(t), mint: t.mint }, direction) < 0);
+    start = index >= 0 ? index : ranked.length;
+  }
+
+  const tokens = ranked.slice(start, start + limit);
+  const hasMore = start + limit < ranked.length;
+
+  return {
+    tokens,
+    total: ranked.length,
+    next_cursor: hasMore ? encodeCursor(tokens[tokens.length - 1], valueOf) : null,
+  };
+}
+
+/**
+ * Opaque leaderboard cursor (base64url JSON of the last entry's sort value and mint)
+ */
+function encodeCursor(token, valueOf) {
+  return Buffer.from(JSON.stringify({ value: valueOf(token), mint: token.mint })).toString('base64url');
+}
+
+/**
+ * Decode a leaderboard cursor (null if invalid)
+ */
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof decoded?.mint !== 'string') return null;
+    if (decoded.value !== null && typeof decoded.value !== 'number') return null;
+    return { value: decoded.value, mint: decoded.mint };
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// Tier 2 (promotion + scheduled refresh)
+// ============================================
+
+/**
+ * Date (YYYY-MM-DD) a number of days ago
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400 * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Promote frequently requested tokens to tier 2, demote those whose interest faded
+ * Pinned tiers (admin) are left alone.
+ * @returns {Promise<Object>} { promoted, demoted }
+ */
+export async function updateTokenTiers() {
+  const stats = await db.getTokenRequestStats(daysAgo(TIER2_WINDOW_DAYS - 1));
+  const promoted = [];
+  const demoted = [];
+
+  for (const token of stats) {
+    if (token.tier_pinned) continue;
+    if (token.tier !== 2 && token.requests >= TIER2_PROMOTE_REQUESTS) {
+      await db.setTokenTier(token.mint, 2);
+      promoted.push(token.mint);
+    } else if (token.tier === 2 && token.requests < TIER2_DEMOTE_REQUESTS) {
+      await db.setTokenTier(token.mint, 3);
+      demoted.push(token.mint);
+    }
+  }
+
+  await db.cleanupTokenRequests(daysAgo(Math.max(TIER2_WINDOW_DAYS, 30)));
+
+  if (promoted.length > 0 || demoted.length > 0) {
+    log('INFO', `[TokenScore] Tiers: ${promoted.length} promoted to tier 2, ${demoted.length} demoted`);
+  }
+  return { promoted, demoted };
+}
+
+/**
+ * Queue tier 2 tokens whose K is older than TIER2_TTL (failed ones back off from TIER2_TTL, see getTier2RefreshDue)
+ * @returns {Promise<number>} Tokens queued
+ */
+export async function refreshTier2Tokens() {
+  const due = await db.getTier2RefreshDue(Math.floor(Date.now() / 1000) - TIER2_TTL, TIER2_TTL);
+  for (const mint of due) {
+    await db.enqueueToken(mint, 3);
+  }
+  return due.length;
+}
+
+/**
+ * Tier 2 policy and on-demand tokens with their recent request counts (admin)
+ */
+export async function getTokenTiers() {
+  const stats = await db.getTokenRequestStats(daysAgo(TIER2_WINDOW_DAYS - 1));
+  return {
+    policy: {
+      window_days: TIER2_WINDOW_DAYS,
+      promote_requests: TIER2_PROMOTE_REQUESTS,
+      demote_requests: TIER2_DEMOTE_REQUESTS,
+      tier2_ttl: TIER2_TTL,
+    },
+    tokens: stats
+      .filter((token) => token.tier === 2 || token.tier_pinned || token.requests > 0)
+      .sort((a, b) => a.tier - b.tier || b.requests - a.requests)
+      .map((token) => ({ ...token, tier_pinned: !!token.tier_pinned })),
+  };
+}
+
+let tierTimers = [];
+const TIER_EVALUATION_INTERVAL = 60 * 60 * 1000; // Hourly
+const TIER2_REFRESH_INTERVAL = 60 * 1000; // Check for due refreshes every minute
+
+/**
+ * Start tier evaluation (hourly) and tier 2 refresh scheduling
+ */
+function startTierScheduler() {
+  const run = (task, name) => () => task()
+    .catch(error => log('ERROR', `[TokenScore] ${name} failed: ${error.message}`));
+
+  run(updateTokenTiers, 'Tier update')();
+  tierTimers = [
+    setInterval(run(updateTokenTiers, 'Tier update'), TIER_EVALUATION_INTERVAL),
+    setInterval(run(refreshTier2Tokens, 'Tier 2 refresh'), TIER2_REFRESH_INTERVAL),
+  ];
+}
+
 // ============================================
 // Background Worker
 // ============================================
 
 let workerRunning = false;
-const WORKER_INTERVAL = 30 * 1000; // 30 seconds between jobs
+const WORKER_INTERVAL = 30 * 1000; // 30 seconds between jobs per slot
+const TOKEN_K_CONCURRENCY = Math.max(1, parseInt(process.env.TOKEN_K_CONCURRENCY || '1') || 1);
+const JOB_CLEANUP_INTERVAL = 60 * 60 * 1000;
+let lastJobCleanup = 0;
 
 /**
- * Start token K calculation worker
+ * Start token K calculation worker (TOKEN_K_CONCURRENCY slots over the token_k jobs)
  */
-export function startWorker() {
+export async function startWorker() {
   if (workerRunning) {
     log('WARN', '[TokenScore] Worker already running');
     return;
   }
 
   workerRunning = true;
-  log('INFO', '[TokenScore] Starting token K queue worker');
+  log('INFO', `[TokenScore] Starting token K job worker (concurrency ${TOKEN_K_CONCURRENCY})`);
+
+  // Jobs left running by a previous process have no worker anymore
+  try {
+    const requeued = await db.requeueRunningJobs('token_k');
+    if (requeued > 0) log('INFO', `[TokenScore] Re-queued ${requeued} interrupted jobs`);
+  } catch (error) {
+    log('ERROR', `[TokenScore] Failed to re-queue interrupted jobs: ${error.message}`);
+  }
 
-  processWorkerLoop();
+  for (let slot = 0; slot < TOKEN_K_CONCURRENCY; slot++) {
+    processWorkerLoop(slot);
+  }
+  startTierScheduler();
 }
 
 /**
@@ -356,34 +1010,47 @@ export function startWorker() {
  */
 export function stopWorker() {
   workerRunning = false;
-  log('INFO', '[TokenScore] Stopping token K queue worker');
+  tierTimers.forEach(clearInterval);
+  tierTimers = [];
+  log('INFO', '[TokenScore] Stopping token K job worker');
 }
 
 /**
- * Worker loop
+ * Worker loop - one per concurrency slot (slot 0 also cleans up finished jobs)
  */
-async function processWorkerLoop() {
+async function processWorkerLoop(slot) {
   while (workerRunning) {
     try {
-      // Get next token from queue
-      const mint = await db.dequeueToken();
+      if (slot === 0 && Date.now() - lastJobCleanup > JOB_CLEANUP_INTERVAL) {
+        lastJobCleanup = Date.now();
+        await db.cleanupJobs('token_k');
+      }
+
+      // Get next token job
+      const job = await db.dequeueToken();
 
-      if (mint) {
-        log('INFO', `[TokenScore] Processing ${mint.slice(0, 8)} from queue...`);
+      if (job) {
+        const { mint } = job;
+        log('INFO', `[TokenScore] Processing ${mint.slice(0, 8)} (job ${job.jobId.slice(0, 8)})...`);
 
         try {
-          const result = await calculateTokenK(mint);
+          const result = await calculateTokenK(mint, { mode: job.mode });
           await db.completeToken(mint, result);
+          await db.completeJob(job.jobId, {
+            k: result.k,
+            holders: result.holders,
+            mode: result.mode,
+            analyzed: result.analyzed,
+            duration_ms: result.duration_ms,
+          });
           log('INFO', `[TokenScore] Completed ${mint.slice(0, 8)}: K=${result.k}%`);
         } catch (error) {
           log('ERROR', `[TokenScore] Failed ${mint.slice(0, 8)}: ${error.message}`);
           await db.failToken(mint, error.message);
+          await db.failJob(job.jobId, error.message);
         }
       }
 
-      // Cleanup stale entries
-      await db.cleanupTokenQueue(3);
-
     } catch (error) {
       log('ERROR', `[TokenScore] Worker error: ${error.message}`);
     }
@@ -400,7 +1067,17 @@ export async function getQueueStats() {
 }
 
 export default {
+  TOKEN_K_MODES,
+  SAMPLE_STRATEGIES,
+  LEADERBOARD_SORTS,
+  TOKEN_QUALITIES,
   isValidToken,
+  getLatestKMetric,
+  getLeaderboard,
+  decodeCursor,
+  updateTokenTiers,
+  refreshTier2Tokens,
+  getTokenTiers,
   getTokenK,
   calculateTokenK,
   startWorker,
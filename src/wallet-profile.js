@@ -0,0 +1,156 @@
+/**
+ * Wallet Behaviour Profile
+ *
+ * Trading behaviour of a wallet beyond K_wallet, computed from the positions stored by
+ * its last K_wallet scan (wallet_positions, source wallet_history):
+ *   - hold time:  first buy to full exit (last transaction), or to now while still held
+ *   - flips:      positions fully exited within FLIP_WINDOW_HOURS of the first buy
+ *   - size:       average tokens bought per position (UI amounts, mints not comparable)
+ *   - retention:  distribution of position retention, win/loss = maintained or not (K_wallet)
+ *   - sniper:     share of first buys within SNIPER_SLOTS slots of the mint's launch
+ *
+ * Launch slots come from platform detection (platforms.js); missing ones are looked up,
+ * at most PROFILE_LAUNCH_LOOKUPS per profile request.
+ */
+
+import db from './db.js';
+import scoring from './scoring.js';
+import platforms from './platforms.js';
+import { loadEnv } from './utils.js';
+
+loadEnv();
+
+const SNIPER_SLOTS = parseInt(process.env.SNIPER_SLOTS || '10');
+const PROFILE_LAUNCH_LOOKUPS = parseInt(process.env.PROFILE_LAUNCH_LOOKUPS || '25');
+const FLIP_WINDOW_HOURS = 24;
+const EXIT_TOLERANCE = 1e-6; // UI amounts are floats
+
+// Retention buckets (upper bound exclusive)
+const RETENTION_BUCKETS = [
+  { name: 'exited', max: EXIT_TOLERANCE },
+  { name: 'below_50', max: 0.5 },
+  { name: '50_100', max: 1 },
+  { name: '100_200', max: 2 },
+  { name: 'above_200', max: Infinity },
+];
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(value, digits = 3) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function isExited(position) {
+  return position.current <= EXIT_TOLERANCE;
+}
+
+/**
+ * Sniper stats: first buys within SNIPER_SLOTS of launch, among positions with both slots known
+ */
+function sniperStats(positions, launchSlots) {
+  let checked = 0;
+  let snipes = 0;
+  for (const position of positions) {
+    const launchSlot = launchSlots.get(position.mint);
+    if (!position.first_buy_slot || launchSlot === undefined) continue;
+    checked++;
+    if (position.first_buy_slot - launchSlot <= SNIPER_SLOTS) snipes++;
+  }
+  return { score: checked ? round(snipes / checked) : null, snipes, checked, slots: SNIPER_SLOTS };
+}
+
+/**
+ * Behaviour profile of a wallet from its stored positions
+ * @param {Object} options - { resolveLaunches: look up missing launch slots (batch lookups skip it) }
+ * @returns {Promise<Object|null>} null if the wallet was never scanned (no K_wallet scan state)
+ */
+export async function getWalletProfile(address, { resolveLaunches = true } = {}) {
+  const scan = await db.getWalletScanState(address);
+  if (!scan) return null;
+  const positions = await db.getWalletPositionsBySource(address, 'wallet_history');
+
+  const now = Math.floor(Date.now() / 1000);
+  const model = scoring.getModel();
+  const bought = positions.filter((position) => position.first_buy_ts);
+
+  const holdHours = [];
+  let flips = 0;
+  for (const position of bought) {
+    const end = isExited(position) ? (position.last_tx_ts || position.first_buy_ts) : now;
+    const hours = Math.max(0, end - position.first_buy_ts) / 3600;
+    holdHours.push(hours);
+    if (isExited(position) && hours <= FLIP_WINDOW_HOURS) flips++;
+  }
+
+  const distribution = Object.fromEntries(RETENTION_BUCKETS.map((bucket) => [bucket.name, 0]));
+  const classifications = Object.fromEntries(scoring.CLASSIFICATIONS.map((name) => [name, 0]));
+  let wins = 0;
+  let scored = 0;
+  for (const position of positions) {
+    if (position.classification) classifications[position.classification] = (classifications[position.classification] || 0) + 1;
+    if (position.retention === null) continue;
+    scored++;
+    distribution[RETENTION_BUCKETS.find((bucket) => position.retention < bucket.max).name]++;
+    if (scoring.isMaintained(position.retention, model)) wins++;
+  }
+
+  const launchSlots = await platforms.getLaunchSlots(
+    bought.filter((position) => position.first_buy_slot).map((position) => position.mint),
+    { lookups: resolveLaunches ? PROFILE_LAUNCH_LOOKUPS : 0 }
+  );
+
+  const active = positions.filter((position) => !isExited(position)).length;
+
+  return {
+    address,
+    positions: positions.length,
+    active_positions: active,
+    dead_positions: positions.length - active,
+    median_hold_hours: round(median(holdHours), 1),
+    flips,
+    flip_rate: bought.length ? round(flips / bought.length) : null,
+    avg_position_size: bought.length
+      ? round(bought.reduce((sum, position) => sum + position.total_bought, 0) / bought.length, 2)
+      : null,
+    retention: {
+      median: round(median(positions.filter((p) => p.retention !== null).map((p) => p.retention))),
+      wins,
+      losses: scored - wins,
+      win_rate: scored ? round(wins / scored) : null,
+      distribution,
+    },
+    classifications,
+    sniper: sniperStats(bought, launchSlots),
+    partial_positions: positions.filter((position) => position.partial === 1).length,
+    history_complete: scan.history_complete === null || scan.history_complete === undefined ? null : scan.history_complete === 1,
+    model_version: model.version,
+    updated_at: Math.max(scan.scanned_at || 0, ...positions.map((position) => position.updated_at || 0)),
+  };
+}
+
+/**
+ * Summary fields of a profile (batch lookups)
+ */
+export function profileSummary(profile) {
+  if (!profile) return null;
+  return {
+    median_hold_hours: profile.median_hold_hours,
+    flip_rate: profile.flip_rate,
+    active_positions: profile.active_positions,
+    dead_positions: profile.dead_positions,
+    win_rate: profile.retention.win_rate,
+    sniper_score: profile.sniper.score,
+  };
+}
+
+export default {
+  getWalletProfile,
+  profileSummary,
+};
@@ -6,181 +6,307 @@
  *
  * Architecture:
  * 1. Fetch all token accounts for wallet (Helius RPC)
- * 2. Filter PumpFun tokens (ends with 'pump' or 'asdf')
+ * 2. Filter tokens of supported launch platforms (see platforms.js)
  * 3. For each token, calculate retention = current / first_buy
- * 4. K_wallet = count(retention >= 1) / total_tokens
+ * 4. K_wallet = count(retention >= 1) / total_tokens, also broken down per platform
+ *
+ * Refreshes fetch only transactions newer than the wallet's last scan and merge them
+ * into its stored positions (wallet_positions), rebuilding from full history when needed.
+ *
+ * Scans stop after MAX_PAGES pages: for very active wallets the oldest transactions are never
+ * seen. Positions that may predate the scanned history are flagged partial; K_wallet is also
+ * computed without them (k_wallet_complete) and confidence is the share of complete positions.
+ *
+ * A recency-weighted K_wallet (k_wallet_decayed) weights each position by 0.5^(age / half-life),
+ * age = time since its last transaction (K_WALLET_HALF_LIFE_DAYS, 0 disables it).
+ *
+ * Calculations run as persistent k_wallet jobs (db/jobs.js), K_WALLET_CONCURRENCY at a time;
+ * GET /api/v1/jobs/:id reports their state and page progress.
  */
 
 import helius from './helius.js';
 import db from './db.js';
-import { log } from './utils.js';
-
-const TOKEN_MINT = process.env.TOKEN_MINT;
+import scoring from './scoring.js';
+import platforms from './platforms.js';
+import clusters from './clusters.js';
+import { log, loadEnv } from './utils.js';
 
-// Cache for wallet scores (TTL: 24 hours - K_wallet data is stable)
-const cache = new Map();
-const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+loadEnv();
 
-// Background queue
-const queue = new Map(); // address -> { status, started_at }
-const QUEUE_TIMEOUT = 5 * 60 * 1000; // 5 min max per calculation
-const MAX_CONCURRENT = 3; // Max concurrent calculations
-let activeCalculations = 0;
+const K_WALLET_CONCURRENCY = Math.max(1, parseInt(process.env.K_WALLET_CONCURRENCY || '2') || 1);
+const MAX_PAGES = 50; // Enhanced API pages per scan (100 txs each)
+const SCAN_PLATFORM_LOOKUPS = parseInt(process.env.SCAN_PLATFORM_LOOKUPS || '50'); // Launch detections per scan
+const K_WALLET_HALF_LIFE_DAYS = Math.max(0, parseFloat(process.env.K_WALLET_HALF_LIFE_DAYS || '90') || 0);
 
 /**
- * Check if a token is a PumpFun token
- * Case insensitive: ends with 'pump' or 'asdf'
+ * Check if a token belongs to a supported launch platform (PumpFun, Ignition, dev.fun...)
  */
 export function isPumpFunToken(mint) {
-  const lower = mint.toLowerCase();
-  return lower.endsWith('pump') || lower.endsWith('asdf');
+  return platforms.isSupportedMint(mint);
+}
+
+/**
+ * K_wallet per launch platform
+ * @returns {Object} platform -> { tokens, maintained, k_wallet }
+ */
+function platformBreakdown(positions, model) {
+  const breakdown = {};
+  for (const position of positions) {
+    const platform = position.platform || 'unknown';
+    if (!breakdown[platform]) breakdown[platform] = { tokens: 0, maintained: 0, k_wallet: 0 };
+    breakdown[platform].tokens++;
+    if (scoring.isMaintained(position.retention, model)) breakdown[platform].maintained++;
+  }
+  for (const stats of Object.values(breakdown)) {
+    stats.k_wallet = Math.round((stats.maintained / stats.tokens) * 1000) / 1000;
+  }
+  return breakdown;
 }
 
 /**
- * Classify retention (same as K_token)
+ * Recency-weighted K_wallet: share of maintained positions, each weighted by 0.5^(age / half-life)
+ * Age runs from the position's last transaction (first buy if unknown); undated positions are skipped.
+ * @returns {number|null} null if disabled or no dated position
  */
-function classifyRetention(retention) {
-  if (retention >= 1.5) return 'accumulator';
-  if (retention >= 1.0) return 'holder';
-  if (retention >= 0.5) return 'reducer';
-  return 'extractor';
+function decayedKWallet(positions, model, halfLifeDays = K_WALLET_HALF_LIFE_DAYS, now = Math.floor(Date.now() / 1000)) {
+  if (!halfLifeDays) return null;
+  let weights = 0;
+  let maintained = 0;
+  for (const position of positions) {
+    const ts = position.last_tx_ts || position.first_buy_ts;
+    if (!ts) continue;
+    const weight = 0.5 ** (Math.max(0, now - ts) / (halfLifeDays * 86400));
+    weights += weight;
+    if (scoring.isMaintained(position.retention, model)) maintained += weight;
+  }
+  return weights > 0 ? Math.round((maintained / weights) * 1000) / 1000 : null;
 }
 
 // Note: Token retention calculation is done in helius.getCompletePumpFunHistory()
 // which correctly tracks first_buy_amount by iterating backwards through tx history
 
+const POSITION_FLOWS = ['total_bought', 'total_sold', 'transferred_in', 'transferred_out', 'linked_out', 'airdropped', 'current'];
+const BALANCE_TOLERANCE = 1e-6; // UI amounts are floats
+
 /**
- * Get queue/cache status for a wallet
+ * Merge new-transaction deltas into a wallet's stored positions
+ * @param {Object[]} stored - wallet_positions rows (source wallet_history)
+ * @param {Map<string, Object>} delta - Raw positions of the new transactions (see getCompletePumpFunHistory until)
+ * @param {boolean} historyComplete - The last full scan reached the wallet's first transaction
+ * @returns {Map<string, Object>|null} Finalized positions, null if inconsistent (balance below zero
+ *   on a complete position)
  */
-export function getWalletStatus(address) {
-  // Check cache first
-  const cached = cache.get(address);
-  if (cached && Date.now() - cached.calculated_at < CACHE_TTL) {
-    return { status: 'ready', data: cached };
+function mergePositions(stored, delta, model, historyComplete) {
+  const merged = new Map();
+  for (const row of stored) {
+    const position = { mint: row.mint, tx_count: row.tx_count, last_tx_ts: row.last_tx_ts, partial: row.partial === 1 };
+    for (const field of ['first_buy_ts', 'first_buy_slot', 'first_buy_amount', 'first_swap_amount', ...POSITION_FLOWS]) {
+      position[field] = row[field];
+    }
+    merged.set(row.mint, position);
   }
 
-  // Check if queued/calculating
-  const queued = queue.get(address);
-  if (queued) {
-    const elapsed = Date.now() - queued.started_at;
-    if (elapsed > QUEUE_TIMEOUT) {
-      // Timeout, clear and allow retry
-      queue.delete(address);
-      return { status: 'timeout', message: 'Calculation timed out, retry' };
+  for (const [mint, change] of delta) {
+    const base = merged.get(mint);
+    if (!base) {
+      // Not seen by a truncated full scan: may have been held before its window
+      merged.set(mint, { ...change, partial: !historyComplete });
+      continue;
+    }
+    for (const field of POSITION_FLOWS) base[field] += change[field];
+    base.tx_count += change.tx_count;
+    base.last_tx_ts = change.last_tx_ts ?? base.last_tx_ts;
+    // First buy only comes from the new transactions if none was known
+    if (!base.first_buy_ts && change.first_buy_ts) {
+      base.first_buy_ts = change.first_buy_ts;
+      base.first_buy_slot = change.first_buy_slot;
+      base.first_buy_amount = change.first_buy_amount;
     }
-    return { status: queued.status, started_at: queued.started_at, elapsed_ms: elapsed };
+    if (!base.first_swap_amount && change.first_swap_amount) base.first_swap_amount = change.first_swap_amount;
   }
 
-  return { status: 'not_found' };
+  for (const [mint, position] of merged) {
+    // Sold more than ever held: stored positions are out of sync with the chain, unless the
+    // position is partial (older history unseen, stored balance clamped at 0)
+    const scale = Math.max(1, position.total_bought + position.transferred_in + position.airdropped);
+    if (position.current < -BALANCE_TOLERANCE * scale && !position.partial) return null;
+    if (!helius.finalizePosition(position, model)) merged.delete(mint);
+  }
+  return merged;
 }
 
 /**
- * Queue a wallet for background calculation
+ * Whether the new transactions reach a mint detected after the wallet's last full scan that
+ * has no stored position: its older transactions were skipped as unsupported
  */
-export function queueWalletCalculation(address) {
-  // Already cached?
-  const cached = cache.get(address);
-  if (cached && Date.now() - cached.calculated_at < CACHE_TTL) {
-    return { status: 'ready', data: cached };
-  }
-
-  // Already in queue?
-  const queued = queue.get(address);
-  if (queued && Date.now() - queued.started_at < QUEUE_TIMEOUT) {
-    return { status: queued.status, started_at: queued.started_at };
+async function hasNewlyDetectedMint(delta, stored, state) {
+  const storedMints = new Set(stored.map((row) => row.mint));
+  for (const mint of delta.keys()) {
+    if (storedMints.has(mint)) continue;
+    const detection = await db.getTokenPlatform(mint);
+    if (detection?.source === 'launch' && detection.detected_at > (state.full_scan_at || 0)) return true;
   }
-
-  // Add to queue
-  queue.set(address, { status: 'queued', started_at: Date.now() });
-  log('INFO', `[WalletScore] Queued ${address.slice(0, 8)} for calculation`);
-
-  // Process queue
-  processQueue();
-
-  return { status: 'queued', message: 'Calculation queued' };
+  return false;
 }
 
 /**
- * Process background queue
+ * Fetch a wallet's positions
+ * A wallet scanned before only fetches transactions newer than its stored newest signature
+ * and merges them; the full history is rebuilt on first scan or when the increment is
+ * inconsistent (too many new transactions, negative balance, fetch error), when mints of
+ * the last scan were left undetected, or when a mint it traded was detected since.
+ * Mints without a known platform are detected during the scan (SCAN_PLATFORM_LOOKUPS).
+ * @param {Object} options - { full: skip the incremental path }
+ * @returns {Promise<Object>} { positions: Map, stats, scan: { mode: 'incremental' | 'full', reason, historyComplete,
+ *   platformsPending: mints left undetected } }
  */
-async function processQueue() {
-  if (activeCalculations >= MAX_CONCURRENT) return;
-
-  // Find next queued wallet
-  for (const [address, info] of queue.entries()) {
-    if (info.status === 'queued') {
-      activeCalculations++;
-      queue.set(address, { ...info, status: 'calculating' });
-
-      // Calculate in background
-      calculateWalletKScoreInternal(address)
-        .then(result => {
-          cache.set(address, result);
-          queue.delete(address);
-          log('INFO', `[WalletScore] Completed ${address.slice(0, 8)}: K=${result.k_wallet}`);
-        })
-        .catch(err => {
-          log('ERROR', `[WalletScore] Failed ${address.slice(0, 8)}: ${err.message}`);
-          queue.set(address, { status: 'error', error: err.message, started_at: info.started_at });
-        })
-        .finally(() => {
-          activeCalculations--;
-          processQueue(); // Process next
-        });
-
-      break; // Only start one at a time
+async function fetchWalletPositions(address, model, { full = false, onProgress = null } = {}) {
+  let mode = 'full';
+  const historyOptions = {
+    maxPages: MAX_PAGES,
+    model: model.version,
+    isSupportedMint: platforms.isSupportedMint,
+    isKnownMint: platforms.isKnownMint,
+    resolvePlatforms: (mints) => platforms.detectPlatforms(mints, { lookups: SCAN_PLATFORM_LOOKUPS }),
+    linkedWallets: await clusters.getLinkedWallets(address),
+    onProgress: ({ pages, positions }) => {
+      if (pages % 10 === 0) {
+        log('DEBUG', `[WalletScore] ${address.slice(0, 8)}: ${pages} pages, ${positions} tokens found`);
+      }
+      onProgress?.({ mode, pages, max_pages: MAX_PAGES, positions });
     }
+  };
+
+  let reason = full ? 'forced' : 'first_scan';
+  const state = full ? null : await db.getWalletScanState(address);
+
+  if (state?.platforms_pending > 0) {
+    reason = 'platforms_pending';
+  } else if (state?.newest_signature) {
+    try {
+      mode = 'incremental';
+      const delta = await helius.getCompletePumpFunHistory(address, { ...historyOptions, until: state.newest_signature });
+      const stored = delta.stats.truncated ? [] : await db.getWalletPositionsBySource(address, 'wallet_history');
+      if (delta.stats.truncated) {
+        reason = 'too_many_new_transactions';
+      } else if (await hasNewlyDetectedMint(delta.positions, stored, state)) {
+        reason = 'new_platform_mint';
+      } else {
+        const positions = mergePositions(stored, delta.positions, model, state.history_complete === 1);
+        if (positions) {
+          return {
+            positions,
+            stats: { ...delta.stats, newestSignature: delta.stats.newestSignature || state.newest_signature },
+            // New transactions do not reach older history: completeness is the last full scan's
+            scan: {
+              mode: 'incremental',
+              reason: null,
+              historyComplete: state.history_complete === 1,
+              platformsPending: delta.stats.unresolvedMints,
+            },
+          };
+        }
+        reason = 'negative_balance';
+      }
+    } catch (error) {
+      reason = 'incremental_fetch_failed';
+      log('WARN', `[WalletScore] Incremental fetch failed for ${address.slice(0, 8)}: ${error.message}`);
+    }
+    log('INFO', `[WalletScore] Full rebuild for ${address.slice(0, 8)} (${reason})`);
   }
+
+  mode = 'full';
+  const { positions, stats } = await helius.getCompletePumpFunHistory(address, historyOptions);
+  return {
+    positions,
+    stats,
+    scan: { mode: 'full', reason, historyComplete: !stats.truncated, platformsPending: stats.unresolvedMints },
+  };
 }
 
 /**
  * Calculate global K_wallet score (internal)
  * Uses COMPLETE transaction history for accurate results
  * K_wallet = % of PumpFun tokens where retention >= 1
+ * @param {Object} options - { onProgress: called per fetched page with { mode, pages, max_pages, positions } }
  */
-async function calculateWalletKScoreInternal(address) {
+async function calculateWalletKScoreInternal(address, { onProgress = null } = {}) {
   log('INFO', `[WalletScore] Calculating K for ${address.slice(0, 8)}...`);
   const startTime = Date.now();
+  const model = scoring.getModel();
 
-  // Fetch COMPLETE PumpFun history (up to 5000 txs)
-  const { positions, stats } = await helius.getCompletePumpFunHistory(address, {
-    maxPages: 50,
-    onProgress: ({ pages, positions }) => {
-      if (pages % 10 === 0) {
-        log('DEBUG', `[WalletScore] ${address.slice(0, 8)}: ${pages} pages, ${positions} tokens found`);
-      }
-    }
+  // New transactions merged into stored positions, or COMPLETE history (up to 5000 txs)
+  const { positions, stats, scan } = await fetchWalletPositions(address, model, { onProgress });
+
+  await db.setWalletScanState(address, {
+    newestSignature: stats.newestSignature,
+    mode: scan.mode,
+    transactions: stats.totalTxs,
+    historyComplete: scan.historyComplete,
+    platformsPending: scan.platformsPending,
   });
 
   if (positions.size === 0) {
+    await db.upsertWalletPositions(address, [], { source: 'wallet_history', replace: true });
     return {
       address,
       k_wallet: null,
       tokens_analyzed: 0,
       tokens_total: 0,
+      history_complete: scan.historyComplete,
       message: 'No PumpFun tokens found',
+      stats: {
+        scan_mode: scan.mode,
+        rebuild_reason: scan.reason,
+        pages_fetched: stats.pages,
+        total_transactions: stats.totalTxs,
+        pump_transfers: stats.pumpTxs,
+      },
       calculated_at: Date.now(),
     };
   }
 
   // Convert positions Map to array for analysis
   const positionsList = Array.from(positions.values());
+  for (const position of positionsList) {
+    position.platform = platforms.platformOf(position.mint);
+  }
+
+  // Override with local DB data for our tracked tokens
+  const trackedMints = await db.getTrackedMints();
+  for (const mint of trackedMints) {
+    const ourToken = positionsList.find(p => p.mint === mint);
+    if (!ourToken) continue;
 
-  // Override with local DB data for our tracked token
-  const localData = await db.getWalletKScore(address);
-  if (localData) {
-    const ourToken = positionsList.find(p => p.mint === TOKEN_MINT);
-    if (ourToken) {
+    // Holders added from a holder snapshot only have an assumed first buy: resolve it from history
+    if (ourToken.first_buy_ts) {
+      await db.setWalletFirstBuy(address, mint, { ts: ourToken.first_buy_ts, amount: ourToken.first_buy_amount });
+    }
+
+    const localData = await db.getWalletKScore(address, mint);
+    if (localData) {
       ourToken.retention = localData.retention;
       ourToken.classification = localData.classification;
       ourToken.data_quality = 'local_db';
+      ourToken.partial = false; // Local ledger covers the whole token history
     }
   }
 
-  // Calculate K_wallet = % tokens with retention >= 1 (maintained or accumulated)
-  const maintained = positionsList.filter(p => p.retention >= 1.0).length;
+  // Persist per-mint positions (GET /api/v1/wallet/:addr/positions, reused by token K)
+  await db.upsertWalletPositions(address, positionsList, { modelVersion: model.version, source: 'wallet_history', replace: true });
+
+  // Calculate K_wallet = % tokens maintained or accumulated (scoring model)
+  const maintained = positionsList.filter(p => scoring.isMaintained(p.retention, model)).length;
   const kWallet = Math.round((maintained / positionsList.length) * 1000) / 1000;
 
+  // Same without partial positions (first buy possibly unseen), confidence = share of complete positions
+  const complete = positionsList.filter(p => !p.partial);
+  const completeMaintained = complete.filter(p => scoring.isMaintained(p.retention, model)).length;
+  const kWalletComplete = complete.length > 0 ? Math.round((completeMaintained / complete.length) * 1000) / 1000 : null;
+  const confidence = Math.round((complete.length / positionsList.length) * 1000) / 1000;
+
+  const kWalletDecayed = decayedKWallet(positionsList, model);
+
   // Breakdown by classification
   const accumulators = positionsList.filter(p => p.classification === 'accumulator').length;
   const holders = positionsList.filter(p => p.classification === 'holder').length;
@@ -196,75 +322,71 @@ async function calculateWalletKScoreInternal(address) {
     tokens_analyzed: positionsList.length,
     tokens_total: positionsList.length,
     maintained_count: maintained,
+    k_wallet_decayed: kWalletDecayed,
+    half_life_days: kWalletDecayed !== null ? K_WALLET_HALF_LIFE_DAYS : null,
+    k_wallet_complete: kWalletComplete,
+    confidence,
+    history_complete: scan.historyComplete,
+    partial_positions: positionsList.length - complete.length,
+    model_version: model.version,
     breakdown: {
       accumulators,
       holders,
       reducers,
       extractors,
     },
+    platforms: platformBreakdown(positionsList, model),
     stats: {
+      scan_mode: scan.mode,
+      rebuild_reason: scan.reason,
       pages_fetched: stats.pages,
       total_transactions: stats.totalTxs,
       pump_transfers: stats.pumpTxs,
     },
     tokens: positionsList.map(p => ({
       mint: p.mint,
+      platform: p.platform,
       retention: Math.round(p.retention * 1000) / 1000,
       classification: p.classification,
       total_bought: p.total_bought,
       total_sold: p.total_sold,
       current: p.current,
       tx_count: p.tx_count,
+      partial: !!p.partial,
     })),
     calculated_at: Date.now(),
     calculation_time_ms: elapsed,
   };
 
-  // Cache result
-  cache.set(address, result);
-
   return result;
 }
 
-/**
- * Clear cache for a wallet (used after new transactions)
- */
-export function clearWalletCache(address) {
-  cache.delete(address);
-}
-
-/**
- * Clear all cache
- */
-export function clearAllCache() {
-  cache.clear();
-}
-
 /**
  * Get queue stats
  */
-export function getQueueStats() {
+export async function getQueueStats() {
   return {
-    queue_size: queue.size,
-    active_calculations: activeCalculations,
-    cache_size: cache.size,
+    ...(await db.getKWalletQueueStats()),
+    concurrency: K_WALLET_CONCURRENCY,
+    active_calculations: activeJobs,
   };
 }
 
 // ============================================
-// DB Queue Worker (scale-ready)
+// Job Worker
 // ============================================
 
 let workerRunning = false;
-const WORKER_INTERVAL = 10 * 1000; // 10 seconds between jobs
-const WORKER_BATCH_SIZE = 1; // Process 1 at a time (rate limit protection)
+let activeJobs = 0;
+const WORKER_INTERVAL = 10 * 1000; // 10 seconds between jobs per slot (rate limit protection)
+const JOB_LOCK_SECONDS = 300; // Extended on every fetched page
 const STALE_CHECK_INTERVAL = 60 * 60 * 1000; // Check for stale wallets every hour
 const K_WALLET_TTL = 24 * 60 * 60; // 24 hours before K_wallet is considered stale
 let lastStaleCheck = 0;
 
 /**
- * Start the K_wallet queue worker
- * Runs in background, processes queue from DB
+ * Start the K_wallet job worker
+ * Runs K_WALLET_CONCURRENCY worker slots over the k_wallet jobs
  * Auto-backfills all holders on first run
  */
 export async function startWorker() {
@@ -274,14 +396,14 @@ export async function startWorker() {
   }
 
   workerRunning = true;
-  log('INFO', '[WalletScore] Starting K_wallet queue worker');
+  log('INFO', `[WalletScore] Starting K_wallet job worker (concurrency ${K_WALLET_CONCURRENCY})`);
 
-  // Clear existing queue on startup to ensure clean state relative to current PoH
+  // Jobs left running by a previous process have no worker anymore
   try {
-    await db.clearKWalletQueue();
-    log('INFO', '[WalletScore] Cleared pending queue for fresh start');
+    const requeued = await db.requeueRunningJobs('k_wallet');
+    if (requeued > 0) log('INFO', `[WalletScore] Re-queued ${requeued} interrupted jobs`);
   } catch (e) {
-    log('ERROR', `[WalletScore] Failed to clear queue: ${e.message}`);
+    log('ERROR', `[WalletScore] Failed to re-queue interrupted jobs: ${e.message}`);
   }
 
   // Auto-backfill: Queue all holders without K_wallet on startup
@@ -296,7 +418,9 @@ export async function startWorker() {
     }
   }, 5000); // Wait 5 seconds after server start
 
-  processWorkerLoop();
+  for (let slot = 0; slot < K_WALLET_CONCURRENCY; slot++) {
+    processWorkerLoop(slot);
+  }
 }
 
 /**
@@ -304,55 +428,79 @@ export async function startWorker() {
  */
 export function stopWorker() {
   workerRunning = false;
-  log('INFO', '[WalletScore] Stopping K_wallet queue worker');
+  log('INFO', '[WalletScore] Stopping K_wallet job worker');
 }
 
 /**
- * Worker loop - processes DB queue
- * Also periodically checks for stale K_wallet entries and re-queues them
+ * Run one k_wallet job: calculate, store K_wallet with the PoH slot, record the outcome
  */
-async function processWorkerLoop() {
+async function runJob({ jobId, address }) {
+  log('INFO', `[WalletScore] Processing ${address.slice(0, 8)} (job ${jobId.slice(0, 8)})...`);
+  activeJobs++;
+
+  try {
+    // Get current PoH slot for ordering
+    const currentSlot = await db.getLastProcessedSlot();
+
+    const result = await calculateWalletKScoreInternal(address, {
+      onProgress: (progress) => db.updateJobProgress(jobId, progress, JOB_LOCK_SECONDS)
+        .catch((error) => log('WARN', `[WalletScore] Progress update failed: ${error.message}`)),
+    });
+
+    if (result.k_wallet !== null) {
+      // Save to DB with PoH slot
+      const kWalletPct = Math.round(result.k_wallet * 100);
+      const platformPct = Object.fromEntries(Object.entries(result.platforms)
+        .map(([platform, stats]) => [platform, { ...stats, k_wallet: Math.round(stats.k_wallet * 100) }]));
+      await db.completeKWallet(address, kWalletPct, result.tokens_analyzed, currentSlot, platformPct, {
+        kWalletComplete: result.k_wallet_complete !== null ? Math.round(result.k_wallet_complete * 100) : null,
+        confidence: result.confidence,
+        partial: result.partial_positions,
+        historyComplete: result.history_complete,
+      }, result.k_wallet_decayed !== null ? {
+        kWallet: Math.round(result.k_wallet_decayed * 100),
+        halfLifeDays: result.half_life_days,
+      } : null);
+      log('INFO', `[WalletScore] Saved ${address.slice(0, 8)}: K=${kWalletPct}% (${result.tokens_analyzed} tokens)`);
+    } else {
+      // No tokens found - mark as complete with NULL
+      await db.completeKWallet(address, null, 0, currentSlot);
+      log('INFO', `[WalletScore] ${address.slice(0, 8)}: No PumpFun tokens`);
+    }
+
+    await db.completeJob(jobId, {
+      k_wallet: result.k_wallet !== null ? Math.round(result.k_wallet * 100) : null,
+      k_wallet_decayed: result.k_wallet_decayed != null ? Math.round(result.k_wallet_decayed * 100) : null,
+      tokens_analyzed: result.tokens_analyzed,
+      confidence: result.confidence ?? null,
+      history_complete: result.history_complete,
+      poh_slot: currentSlot,
+      ...result.stats,
+    });
+  } catch (error) {
+    const status = await db.failJob(jobId, error.message);
+    log('ERROR', `[WalletScore] Failed ${address.slice(0, 8)} (${status}): ${error.message}`);
+  } finally {
+    activeJobs--;
+  }
+}
+
+/**
+ * Worker loop - one per concurrency slot
+ * Slot 0 also periodically re-queues stale K_wallet entries and cleans up finished jobs
+ */
+async function processWorkerLoop(slot) {
   while (workerRunning) {
     try {
-      // Periodically check for stale wallets and re-queue them
       const now = Date.now();
-      if (now - lastStaleCheck > STALE_CHECK_INTERVAL) {
+      if (slot === 0 && now - lastStaleCheck > STALE_CHECK_INTERVAL) {
         lastStaleCheck = now;
         await refreshStaleWallets();
+        await db.cleanupJobs('k_wallet');
       }
 
-      // Get next wallet from queue
-      const address = await db.dequeueKWallet();
-
-      if (address) {
-        log('INFO', `[WalletScore] Processing ${address.slice(0, 8)} from queue...`);
-
-        try {
-          // Get current PoH slot for ordering
-          const currentSlot = await db.getLastProcessedSlot();
-
-          // Calculate K_wallet
-          const result = await calculateWalletKScoreInternal(address);
-
-          if (result.k_wallet !== null) {
-            // Save to DB with PoH slot
-            const kWalletPct = Math.round(result.k_wallet * 100);
-            await db.completeKWallet(address, kWalletPct, result.tokens_analyzed, currentSlot);
-            log('INFO', `[WalletScore] Saved ${address.slice(0, 8)}: K=${kWalletPct}% (${result.tokens_analyzed} tokens)`);
-          } else {
-            // No tokens found - mark as complete with NULL
-            await db.completeKWallet(address, null, 0, currentSlot);
-            log('INFO', `[WalletScore] ${address.slice(0, 8)}: No PumpFun tokens`);
-          }
-        } catch (error) {
-          log('ERROR', `[WalletScore] Failed ${address.slice(0, 8)}: ${error.message}`);
-          await db.failKWallet(address, error.message);
-        }
-      }
-
-      // Cleanup stale entries periodically
-      await db.cleanupKWalletQueue(5);
-
+      const job = await db.dequeueKWallet();
+      if (job) await runJob(job);
     } catch (error) {
       log('ERROR', `[WalletScore] Worker error: ${error.message}`);
     }
@@ -396,11 +544,21 @@ export async function backfillAllHolders() {
 }
 
 /**
- * Enqueue a single wallet (high priority - triggered by tx)
+ * Enqueue a single wallet (high priority - triggered by tx or API request)
+ * @param {Object} options - { priority, requeueRunning: new transactions since a running scan started }
+ * @returns {Promise<Object>} Job (the wallet's pending one if already queued)
+ */
+export async function enqueueWallet(address, { priority = 10, requeueRunning = false } = {}) {
+  const job = await db.enqueueKWallet(address, priority, { requeueRunning });
+  log('DEBUG', `[WalletScore] Enqueued ${address.slice(0, 8)} for K_wallet update (job ${job.id.slice(0, 8)})`);
+  return job;
+}
+
+/**
+ * Latest K_wallet job of a wallet (pending one first), null if never queued
  */
-export async function enqueueWallet(address) {
-  await db.enqueueKWallet(address, 10); // High priority for tx-triggered
-  log('DEBUG', `[WalletScore] Enqueued ${address.slice(0, 8)} for K_wallet update`);
+export async function getWalletJob(address) {
+  return db.getLatestJob('k_wallet', address);
 }
 
 /**
@@ -409,7 +567,16 @@ export async function enqueueWallet(address) {
  */
 export async function getKWalletFromDB(address) {
   const dbInstance = await db.getDb();
-  const stmt = dbInstance.prepare('SELECT k_wallet, k_wallet_tokens, k_wallet_updated_at, k_wallet_slot FROM wallets WHERE address = ?');
+  // K_wallet is wallet-level (same on every tracked-mint row), take the latest
+  const stmt = dbInstance.prepare(`
+    SELECT k_wallet, k_wallet_tokens, k_wallet_updated_at, k_wallet_slot, k_wallet_platforms,
+      k_wallet_complete, k_wallet_confidence, k_wallet_partial, k_wallet_history_complete,
+      k_wallet_decayed, k_wallet_half_life, k_wallet_delta_30d
+    FROM wallets
+    WHERE address = ?
+    ORDER BY k_wallet_updated_at DESC NULLS LAST
+    LIMIT 1
+  `);
   const row = stmt.get(address);
 
   if (!row || row.k_wallet === null) {
@@ -419,6 +586,14 @@ export async function getKWalletFromDB(address) {
   return {
     k_wallet: row.k_wallet,
     tokens_analyzed: row.k_wallet_tokens,
+    k_wallet_complete: row.k_wallet_complete,
+    k_wallet_decayed: row.k_wallet_decayed,
+    half_life_days: row.k_wallet_half_life,
+    k_wallet_delta_30d: row.k_wallet_delta_30d,
+    confidence: row.k_wallet_confidence,
+    history_complete: row.k_wallet_history_complete === null ? null : row.k_wallet_history_complete === 1,
+    partial_positions: row.k_wallet_partial,
+    platforms: row.k_wallet_platforms ? JSON.parse(row.k_wallet_platforms) : null,
     updated_at: row.k_wallet_updated_at,
     poh_slot: row.k_wallet_slot,
   };
@@ -426,15 +601,12 @@ export async function getKWalletFromDB(address) {
 
 export default {
   isPumpFunToken,
-  getWalletStatus,
-  queueWalletCalculation,
-  clearWalletCache,
-  clearAllCache,
   getQueueStats,
-  // DB queue functions
+  // Job worker
   startWorker,
   stopWorker,
   backfillAllHolders,
   enqueueWallet,
+  getWalletJob,
   getKWalletFromDB,
 };
@@ -0,0 +1,156 @@
+/**
+ * Wallet Similarity
+ *
+ * Compares the trading behaviour of two wallets from the positions stored by their
+ * K_wallet scans (wallet_positions, source wallet_history):
+ *   - overlap:   mints both wallets traded (jaccard = shared / all mints of either)
+ *   - co-buys:   first buy time difference on shared mints; timing score = mean of
+ *                0.5^(|delta| / CO_BUY_WINDOW_SECONDS) (1 = same second)
+ *   - agreement: share of shared mints with the same retention classification
+ *
+ * similarity = jaccard * (weights.overlap + weights.timing * timing + weights.agreement * agreement)
+ * (SIMILARITY_WEIGHTS, sum 1), 0..1: timing and agreement only count in proportion to the overlap,
+ * so a few shared mints among many cannot make two wallets similar. 1 = same mints, bought in
+ * the same second, same classifications. Similar wallets are searched among scanned wallets
+ * sharing at least one mint.
+ */
+
+import db from './db.js';
+import { loadEnv } from './utils.js';
+
+loadEnv();
+
+const CO_BUY_WINDOW_SECONDS = parseInt(process.env.CO_BUY_WINDOW_SECONDS || '300');
+const SIMILAR_CANDIDATES = 200; // Wallets with the highest mint overlap (jaccard) compared in full
+const SIMILARITY_WEIGHTS = { overlap: 0.4, timing: 0.4, agreement: 0.2 };
+
+function round(value, digits = 3) {
+  if (value === null || value === undefined) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Compare two wallets' positions
+ * @param {Object[]} positionsA - wallet_positions rows
+ * @param {Object[]} positionsB - wallet_positions rows
+ * @returns {Object} { comparison: { similarity, overlap, co_buy, agreement }, shared: [{ a, b }] }
+ */
+function comparePositions(positionsA, positionsB) {
+  const byMintB = new Map(positionsB.map((position) => [position.mint, position]));
+  const shared = positionsA.filter((position) => byMintB.has(position.mint))
+    .map((a) => ({ a, b: byMintB.get(a.mint) }));
+  const union = positionsA.length + positionsB.length - shared.length;
+  const jaccard = union ? shared.length / union : 0;
+
+  const timed = shared.filter(({ a, b }) => a.first_buy_ts && b.first_buy_ts);
+  const deltas = timed.map(({ a, b }) => b.first_buy_ts - a.first_buy_ts);
+  const timing = deltas.length
+    ? deltas.reduce((sum, delta) => sum + 0.5 ** (Math.abs(delta) / CO_BUY_WINDOW_SECONDS), 0) / deltas.length
+    : 0;
+
+  const classified = shared.filter(({ a, b }) => a.classification && b.classification);
+  const agreeing = classified.filter(({ a, b }) => a.classification === b.classification).length;
+  const agreement = classified.length ? agreeing / classified.length : 0;
+
+  const similarity = jaccard * (SIMILARITY_WEIGHTS.overlap +
+    SIMILARITY_WEIGHTS.timing * timing +
+    SIMILARITY_WEIGHTS.agreement * agreement);
+
+  const comparison = {
+    similarity: round(similarity),
+    overlap: {
+      shared_mints: shared.length,
+      mints_a: positionsA.length,
+      mints_b: positionsB.length,
+      jaccard: round(jaccard),
+    },
+    co_buy: {
+      timed_mints: deltas.length,
+      within_window: deltas.filter((delta) => Math.abs(delta) <= CO_BUY_WINDOW_SECONDS).length,
+      window_seconds: CO_BUY_WINDOW_SECONDS,
+      median_delta_seconds: median(deltas.map(Math.abs)),
+      timing_score: round(timing),
+    },
+    agreement: {
+      classified_mints: classified.length,
+      same_classification: agreeing,
+      score: round(agreement),
+    },
+  };
+  return { comparison, shared };
+}
+
+/**
+ * Whether a wallet had a K_wallet scan (a scan may find no supported positions)
+ */
+async function isScanned(address) {
+  return (await db.getWalletScanState(address)) !== null;
+}
+
+/**
+ * Compare two scanned wallets
+ * @returns {Promise<Object>} Comparison with the shared mints listed, or { missing: [addresses never scanned] }
+ */
+export async function compareWallets(addressA, addressB) {
+  const missing = [];
+  for (const address of [addressA, addressB]) {
+    if (!(await isScanned(address))) missing.push(address);
+  }
+  if (missing.length) return { missing };
+
+  const positionsA = await db.getWalletPositionsBySource(addressA, 'wallet_history');
+  const positionsB = await db.getWalletPositionsBySource(addressB, 'wallet_history');
+
+  const { comparison, shared } = comparePositions(positionsA, positionsB);
+  return {
+    a: addressA,
+    b: addressB,
+    ...comparison,
+    weights: SIMILARITY_WEIGHTS,
+    shared: shared
+      .map(({ a, b }) => ({
+        mint: a.mint,
+        platform: a.platform || b.platform,
+        buy_delta_seconds: a.first_buy_ts && b.first_buy_ts ? b.first_buy_ts - a.first_buy_ts : null,
+        a: { first_buy_ts: a.first_buy_ts, retention: a.retention, classification: a.classification },
+        b: { first_buy_ts: b.first_buy_ts, retention: b.retention, classification: b.classification },
+      }))
+      .sort((x, y) => Math.abs(x.buy_delta_seconds ?? Number.MAX_SAFE_INTEGER) - Math.abs(y.buy_delta_seconds ?? Number.MAX_SAFE_INTEGER)),
+  };
+}
+
+/**
+ * Scanned wallets most similar to a wallet
+ * @param {Object} options - { limit, minSimilarity }
+ * @returns {Promise<Object[]|null>} Matches (most similar first), null if the wallet was never scanned
+ */
+export async function findSimilarWallets(address, { limit = 10, minSimilarity = 0 } = {}) {
+  if (!(await isScanned(address))) return null;
+  const positions = await db.getWalletPositionsBySource(address, 'wallet_history');
+  if (positions.length === 0) return [];
+
+  const candidates = await db.getWalletsSharingMints(address, SIMILAR_CANDIDATES);
+  const matches = [];
+  for (const candidate of candidates) {
+    const { comparison } = comparePositions(positions, await db.getWalletPositionsBySource(candidate, 'wallet_history'));
+    if (comparison.similarity < minSimilarity) continue;
+    matches.push({ address: candidate, ...comparison });
+  }
+
+  return matches
+    .sort((x, y) => y.similarity - x.similarity || y.overlap.shared_mints - x.overlap.shared_mints)
+    .slice(0, limit);
+}
+
+export default {
+  compareWallets,
+  findSimilarWallets,
+};
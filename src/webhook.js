@@ -9,13 +9,17 @@ import crypto from 'crypto';
 import db from './db.js';
 import calculator from './calculator.js';
 import walletScore from './wallet-score.js';
+import helius from './helius.js';
+import clusters from './clusters.js';
 import { log } from './utils.js';
 import security from './security.js';
 
 const WEBHOOK_SECRET = process.env.HELIUS_WEBHOOK_SECRET;
-const TOKEN_MINT = process.env.TOKEN_MINT;
 const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 
+// Enhanced event types that move token balances (swaps are buys/sells, see helius.classifyEnhancedTransfer)
+const ACCEPTED_EVENT_TYPES = new Set(['TRANSFER', 'TOKEN_TRANSFER', 'SWAP']);
+
 /**
  * Verify Helius webhook signature (HMAC-SHA256)
  * Security: In production, HELIUS_WEBHOOK_SECRET is REQUIRED
@@ -57,7 +61,7 @@ export function verifySignature(payload, signature) {
 /**
  * Process webhook payload
  * Uses Solana PoH (Proof of History) slot as ordering key.
- * Only processes transactions with slot > lastProcessedSlot.
+ * Only processes transactions with slot > lastProcessedSlot of each tracked mint.
  *
  * @param {Object[]} events - Array of Helius webhook events
  */
@@ -73,79 +77,78 @@ export async function processEvents(events) {
     events = [events];
   }
 
-  // Get last processed slot (PoH reference)
-  const lastProcessedSlot = await db.getLastProcessedSlot();
+  // Tracked mints and their last processed slot (PoH reference)
+  const trackedMints = await db.getTrackedMints();
+  const lastProcessedSlots = new Map();
+  for (const mint of trackedMints) {
+    lastProcessedSlots.set(mint, await db.getLastProcessedSlot(mint));
+  }
+
   let processed = 0;
-  let maxSlot = lastProcessedSlot;
+  const maxSlots = new Map(lastProcessedSlots);
 
   for (const event of events) {
     try {
-      // Check if this is a token transfer for our mint
-      if (event.type !== 'TRANSFER' && event.type !== 'TOKEN_TRANSFER') {
+      // Check if this is a token transfer or swap for a tracked mint
+      if (!ACCEPTED_EVENT_TYPES.has(event.type)) {
         continue;
       }
 
-      // PoH ordering: skip if we've already processed this slot
       const slot = event.slot || 0;
-      if (slot <= lastProcessedSlot && lastProcessedSlot > 0) {
-        log('DEBUG', `Skipping already processed slot ${slot}`);
-        continue;
-      }
-
       const tokenTransfers = event.tokenTransfers || [];
       const relevantTransfers = tokenTransfers.filter(
-        (t) => t.mint === TOKEN_MINT
+        (t) => lastProcessedSlots.has(t.mint)
       );
 
       if (relevantTransfers.length === 0) {
         continue;
       }
 
-      for (const transfer of relevantTransfers) {
-        const { fromUserAccount, toUserAccount, tokenAmount } = transfer;
-        const amount = parseInt(tokenAmount || '0');
+      for (const mint of new Set(relevantTransfers.map((t) => t.mint))) {
+        // PoH ordering: skip if we've already processed this slot for this mint
+        const lastProcessedSlot = lastProcessedSlots.get(mint);
+        if (slot <= lastProcessedSlot && lastProcessedSlot > 0) {
+          log('DEBUG', `Skipping already processed slot ${slot} for ${mint.slice(0, 8)}`);
+          continue;
+        }
+
         const signature = event.signature;
         const blockTime = event.timestamp || Math.floor(Date.now() / 1000);
-
-        // Record transaction with PoH slot
-        if (fromUserAccount) {
-          await db.recordTransaction({
-            signature: `${signature}-from`,
-            slot,
-            blockTime,
-            wallet: fromUserAccount,
-            amountChange: -amount,
-          });
-
-          // Update sender wallet
-          await updateWalletFromTransfer(fromUserAccount, -amount, blockTime, signature);
-
-          // Queue K_wallet recalculation
-          await walletScore.enqueueWallet(fromUserAccount);
+        const mintTransfers = relevantTransfers.filter((t) => t.mint === mint);
+        const kind = helius.classifyEnhancedTransfer(event, mintTransfers);
+
+        // Net balance change per wallet (a swap may move the same mint through one wallet twice)
+        const net = new Map();
+        for (const { fromUserAccount, toUserAccount, tokenAmount } of mintTransfers) {
+          const amount = parseInt(tokenAmount || '0');
+          if (fromUserAccount) net.set(fromUserAccount, (net.get(fromUserAccount) || 0) - amount);
+          if (toUserAccount) net.set(toUserAccount, (net.get(toUserAccount) || 0) + amount);
         }
+        const changes = [...net]
+          .filter(([, amountChange]) => amountChange !== 0)
+          .map(([wallet, amountChange]) => ({ mint, signature, slot, blockTime, wallet, amountChange, kind }));
 
-        if (toUserAccount) {
-          await db.recordTransaction({
-            signature: `${signature}-to`,
-            slot,
-            blockTime,
-            wallet: toUserAccount,
-            amountChange: amount,
-          });
+        // Transfers between wallets of the same owner are not sells (see clusters.markLinkedTransfers)
+        for (const change of await clusters.markLinkedTransfers(mint, changes)) {
+          // Record transaction with PoH slot (keyed per wallet, same as polling sync): replays are skipped
+          const isNew = await db.recordTransaction({ ...change, signature: `${signature}-${change.wallet}` });
+          if (!isNew) continue;
 
-          // Update receiver wallet
-          await updateWalletFromTransfer(toUserAccount, amount, blockTime, signature);
+          await db.applyWalletChange(change);
 
           // Queue K_wallet recalculation
-          await walletScore.enqueueWallet(toUserAccount);
+          await walletScore.enqueueWallet(change.wallet, { requeueRunning: true });
         }
 
+        // Peer transfers link sender and recipient (entity clustering)
+        await clusters.recordTransferLinks(mint, changes);
+
         processed++;
-      }
 
-      // Track max slot for PoH ordering
-      if (slot > maxSlot) {
-        maxSlot = slot;
+        // Track max slot per mint for PoH ordering
+        if (slot > maxSlots.get(mint)) {
+          maxSlots.set(mint, slot);
+        }
       }
     } catch (error) {
       log('ERROR', `Error processing event: ${error.message}`);
@@ -153,51 +156,19 @@ export async function processEvents(events) {
   }
 
   if (processed > 0) {
-    log('INFO', `Processed ${processed} transfers via webhook (slot ${lastProcessedSlot} → ${maxSlot})`);
+    // Recalculate K for every mint that moved (instant since it's local)
+    for (const [mint, maxSlot] of maxSlots) {
+      const lastProcessedSlot = lastProcessedSlots.get(mint);
+      if (maxSlot === lastProcessedSlot) continue;
 
-    // Recalculate K (instant since it's local)
-    await calculator.calculate();
+      log('INFO', `Processed transfers for ${mint.slice(0, 8)} via webhook (slot ${lastProcessedSlot} → ${maxSlot})`);
+      await calculator.calculate(mint);
+    }
   }
 
   return processed;
 }
 
-/**
- * Update wallet data from a transfer
- */
-async function updateWalletFromTransfer(address, amountChange, blockTime, signature) {
-  const wallets = await db.getWallets(0);
-  const existing = wallets.find((w) => w.address === address);
-
-  if (existing) {
-    // Update existing wallet
-    const newBalance = (existing.current_balance || 0) + amountChange;
-    const received = amountChange > 0 ? amountChange : 0;
-    const sent = amountChange < 0 ? Math.abs(amountChange) : 0;
-
-    await db.upsertWallet({
-      address,
-      balance: Math.max(0, newBalance),
-      firstBuyTs: existing.first_buy_ts,
-      firstBuyAmount: existing.first_buy_amount,
-      received,
-      sent,
-      lastTxSig: signature,
-    });
-  } else if (amountChange > 0) {
-    // New wallet receiving tokens
-    await db.upsertWallet({
-      address,
-      balance: amountChange,
-      firstBuyTs: blockTime,
-      firstBuyAmount: amountChange,
-      received: amountChange,
-      sent: 0,
-      lastTxSig: signature,
-    });
-  }
-}
-
 /**
  * Express middleware for webhook endpoint
  */
@@ -196,15 +196,20 @@ export function stopWorker() {
  * Trigger k_change event
  * Called when K metric changes significantly
  */
-export async function triggerKChange({ previousK, newK, delta, holders }) {
+export async function triggerKChange({ mint, metric = 'k', previousK, newK, delta, holders, k, kSupply, kTime }) {
   // Only trigger if delta > 1%
   if (Math.abs(delta) < 1) return { dispatched: 0, skipped: true };
 
   return dispatchEvent('k_change', {
+    mint,
+    metric,
     previous_k: previousK,
     new_k: newK,
     delta,
     holders,
+    k: k ?? newK,
+    k_supply: kSupply ?? null,
+    k_time: kTime ?? null,
     direction: delta > 0 ? 'up' : 'down',
   });
 }